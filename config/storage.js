@@ -0,0 +1,44 @@
+import { LocalStorageAdapter } from '../services/storage/localStorageAdapter.js';
+
+/*
+ * File storage goes through an adapter so the backend can move from local disk to an
+ * object store without touching callers. Adapters implement:
+ *
+ *   put(key, body, { contentType }) -> Promise<{ key, url }>
+ *   delete(key)                     -> Promise<void>, a missing key is not an error
+ *   getUrl(key)                     -> public URL for a stored key
+ *
+ * STORAGE_DRIVER selects the adapter; only `local` ships today.
+ */
+
+let storageAdapter = null;
+
+export const storageDriver = () => (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+
+export const localUploadDir = () => process.env.UPLOAD_DIR || 'uploads';
+
+/**
+ * Lazily create the storage adapter so its settings are read after dotenv has loaded
+ */
+export const getStorage = () => {
+  if (!storageAdapter) {
+    const driver = storageDriver();
+    if (driver !== 'local') {
+      throw new Error(`Unsupported STORAGE_DRIVER: ${driver}`);
+    }
+    storageAdapter = new LocalStorageAdapter({
+      rootDir: localUploadDir(),
+      baseUrl: process.env.UPLOAD_BASE_URL || '/uploads',
+    });
+  }
+  return storageAdapter;
+};
+
+/**
+ * Replace the storage adapter (used by tests to write to a temporary directory)
+ */
+export const setStorageAdapter = (adapter) => {
+  storageAdapter = adapter;
+};
+
+export default getStorage;
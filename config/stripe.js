@@ -0,0 +1,27 @@
+import Stripe from 'stripe';
+
+let stripeClient = null;
+
+/**
+ * Lazily create the Stripe client so STRIPE_SECRET_KEY is read after dotenv has loaded
+ */
+export const getStripe = () => {
+  if (!stripeClient) {
+    if (!process.env.STRIPE_SECRET_KEY) {
+      throw new Error('STRIPE_SECRET_KEY is not set');
+    }
+    stripeClient = new Stripe(process.env.STRIPE_SECRET_KEY);
+  }
+  return stripeClient;
+};
+
+/**
+ * Replace the Stripe client (used by tests to inject a stub)
+ */
+export const setStripeClient = (client) => {
+  stripeClient = client;
+};
+
+export const stripeCurrency = () => (process.env.STRIPE_CURRENCY || 'usd').toLowerCase();
+
+export default getStripe;
@@ -0,0 +1,186 @@
+import prisma from '../config/db.js';
+import { asyncHandler } from '../middleware/authMiddleware.js';
+import { cartInclude, resolveCart, serializeCart } from '../services/cartService.js';
+
+const loadCart = (cartId) => prisma.cart.findUnique({
+  where: { id: cartId },
+  include: cartInclude,
+});
+
+const parseQuantity = (value) => {
+  const quantity = Number(value);
+  return Number.isInteger(quantity) ? quantity : null;
+};
+
+/**
+ * Active product (and variant, when given) with the stock that limits the cart line.
+ * Products that have variants can only be added through one of them.
+ */
+const findPurchasable = async (productId, variantId) => {
+  const product = await prisma.product.findFirst({
+    where: { id: productId, isActive: true, deletedAt: null },
+    select: {
+      id: true,
+      name: true,
+      stock: true,
+      _count: { select: { variants: { where: { isActive: true } } } },
+    },
+  });
+  if (!product) return { error: 'Product not found' };
+
+  if (!variantId) {
+    if (product._count.variants > 0) return { error: `Please choose a variant of ${product.name}`, status: 400 };
+    return { product, stock: product.stock };
+  }
+
+  const variant = await prisma.productVariant.findFirst({
+    where: { id: variantId, productId, isActive: true },
+    select: { id: true, sku: true, stock: true },
+  });
+  if (!variant) return { error: 'Variant not found' };
+
+  return { product, variant, stock: variant.stock };
+};
+
+const findCartLine = (cartId, productId, variantId) => prisma.cartItem.findFirst({
+  where: { cartId, productId, variantId: variantId || null },
+});
+
+export const getCart = asyncHandler(async (req, res) => {
+  const cart = await resolveCart(req);
+
+  res.json({
+    success: true,
+    data: serializeCart(cart ? await loadCart(cart.id) : null),
+  });
+});
+
+export const addCartItem = asyncHandler(async (req, res) => {
+  const { productId, variantId } = req.body;
+  const quantity = parseQuantity(req.body.quantity ?? 1);
+
+  if (!productId || quantity === null || quantity <= 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'productId and a positive integer quantity are required',
+    });
+  }
+
+  const purchasable = await findPurchasable(productId, variantId);
+
+  if (purchasable.error) {
+    return res.status(purchasable.status || 404).json({
+      success: false,
+      message: purchasable.error,
+    });
+  }
+
+  const { product, stock } = purchasable;
+  const cart = await resolveCart(req, { create: true });
+  const existing = await findCartLine(cart.id, productId, variantId);
+  const newQuantity = (existing?.quantity || 0) + quantity;
+
+  if (newQuantity > stock) {
+    return res.status(409).json({
+      success: false,
+      message: `Only ${stock} of ${product.name} left in stock`,
+    });
+  }
+
+  if (existing) {
+    await prisma.cartItem.update({
+      where: { id: existing.id },
+      data: { quantity: newQuantity },
+    });
+  } else {
+    await prisma.cartItem.create({
+      data: { cartId: cart.id, productId, variantId: variantId || null, quantity },
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    data: serializeCart(await loadCart(cart.id)),
+    message: 'Item added to cart',
+  });
+});
+
+export const updateCartItem = asyncHandler(async (req, res) => {
+  const { productId } = req.params;
+  const { variantId } = req.body;
+  const quantity = parseQuantity(req.body.quantity);
+
+  if (quantity === null || quantity < 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Quantity must be a non-negative integer',
+    });
+  }
+
+  const cart = await resolveCart(req);
+  const item = cart && await findCartLine(cart.id, productId, variantId);
+
+  if (!item) {
+    return res.status(404).json({
+      success: false,
+      message: 'Item not found in cart',
+    });
+  }
+
+  if (quantity === 0) {
+    await prisma.cartItem.delete({ where: { id: item.id } });
+  } else {
+    const { product, stock } = await findPurchasable(productId, variantId);
+    if (product && quantity > stock) {
+      return res.status(409).json({
+        success: false,
+        message: `Only ${stock} of ${product.name} left in stock`,
+      });
+    }
+
+    await prisma.cartItem.update({
+      where: { id: item.id },
+      data: { quantity },
+    });
+  }
+
+  res.json({
+    success: true,
+    data: serializeCart(await loadCart(cart.id)),
+    message: 'Cart updated',
+  });
+});
+
+export const removeCartItem = asyncHandler(async (req, res) => {
+  const cart = await resolveCart(req);
+
+  if (cart) {
+    await prisma.cartItem.deleteMany({
+      where: {
+        cartId: cart.id,
+        productId: req.params.productId,
+        ...(req.query.variantId && { variantId: req.query.variantId }),
+      },
+    });
+  }
+
+  res.json({
+    success: true,
+    data: serializeCart(cart ? await loadCart(cart.id) : null),
+    message: 'Item removed from cart',
+  });
+});
+
+export const clearCart = asyncHandler(async (req, res) => {
+  const cart = await resolveCart(req);
+
+  if (cart) {
+    await prisma.cartItem.deleteMany({ where: { cartId: cart.id } });
+  }
+
+  res.json({
+    success: true,
+    data: serializeCart(cart ? await loadCart(cart.id) : null),
+    message: 'Cart cleared',
+  });
+});
@@ -0,0 +1,226 @@
+import prisma from '../config/db.js';
+import { asyncHandler } from '../middleware/authMiddleware.js';
+import {
+  createsCycle,
+  findCategory,
+  getCategoryTree as loadCategoryTree,
+  getDescendantIds,
+  syncCategoryName,
+} from '../services/categoryService.js';
+import { slugify } from '../services/slugService.js';
+
+/**
+ * Build Prisma data for a category from the request body.
+ * With `partial`, only the fields present in the body are returned.
+ */
+const buildCategoryData = (body, partial = false) => {
+  const errors = [];
+  const data = {};
+  const has = (field) => !partial || body[field] !== undefined;
+
+  if (has('name')) {
+    data.name = String(body.name || '').trim();
+    if (!data.name) errors.push('name is required');
+  }
+  if (body.slug !== undefined || (!partial && data.name)) {
+    data.slug = slugify(body.slug || data.name);
+    if (!data.slug) errors.push('slug must contain at least one letter or digit');
+  }
+  if (has('description')) data.description = body.description || null;
+  if (has('image')) data.image = body.image || null;
+  if (has('parentId')) data.parentId = body.parentId || null;
+  if (has('sortOrder')) {
+    data.sortOrder = Number(body.sortOrder ?? 0);
+    if (!Number.isInteger(data.sortOrder)) errors.push('sortOrder must be an integer');
+  }
+  if (has('isActive')) data.isActive = body.isActive ?? true;
+
+  return { data, errors };
+};
+
+const validateParent = async (categoryId, parentId) => {
+  if (!parentId) return null;
+
+  const categories = await prisma.category.findMany({
+    select: { id: true, parentId: true },
+  });
+  if (!categories.some(category => category.id === parentId)) {
+    return 'Parent category not found';
+  }
+  if (categoryId && createsCycle(categories, categoryId, parentId)) {
+    return 'A category cannot be moved under itself or one of its subcategories';
+  }
+  return null;
+};
+
+export const getCategoryTree = asyncHandler(async (req, res) => {
+  const tree = await loadCategoryTree();
+
+  res.json({
+    success: true,
+    data: tree,
+  });
+});
+
+export const getCategory = asyncHandler(async (req, res) => {
+  const category = await findCategory(req.params.idOrSlug);
+
+  if (!category || !category.isActive) {
+    return res.status(404).json({
+      success: false,
+      message: 'Category not found',
+    });
+  }
+
+  const categories = await prisma.category.findMany({
+    where: { isActive: true },
+    orderBy: [{ sortOrder: 'asc' }, { name: 'asc' }],
+  });
+
+  // Walk up the parents for breadcrumbs
+  const byId = new Map(categories.map(item => [item.id, item]));
+  const breadcrumbs = [];
+  for (let current = category; current; current = byId.get(current.parentId)) {
+    breadcrumbs.unshift({ id: current.id, name: current.name, slug: current.slug });
+  }
+
+  const productCount = await prisma.product.count({
+    where: {
+      isActive: true,
+      deletedAt: null,
+      categoryId: { in: getDescendantIds(categories, category.id) },
+    },
+  });
+
+  res.json({
+    success: true,
+    data: {
+      ...category,
+      breadcrumbs,
+      productCount,
+      children: categories.filter(item => item.parentId === category.id),
+    },
+  });
+});
+
+export const getAdminCategoryTree = asyncHandler(async (req, res) => {
+  const tree = await loadCategoryTree({ productWhere: {}, includeInactive: true });
+
+  res.json({
+    success: true,
+    data: tree,
+  });
+});
+
+export const createCategory = asyncHandler(async (req, res) => {
+  const { data, errors } = buildCategoryData(req.body);
+  const parentError = errors.length === 0 ? await validateParent(null, data.parentId) : null;
+  if (parentError) errors.push(parentError);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors,
+    });
+  }
+
+  try {
+    const category = await prisma.category.create({ data });
+
+    res.status(201).json({
+      success: true,
+      data: category,
+      message: 'Category created successfully',
+    });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(400).json({
+        success: false,
+        message: 'A category with this slug already exists',
+      });
+    }
+    throw error;
+  }
+});
+
+export const updateCategory = asyncHandler(async (req, res) => {
+  const { data, errors } = buildCategoryData(req.body, true);
+  const parentError = errors.length === 0 && data.parentId !== undefined
+    ? await validateParent(req.params.id, data.parentId)
+    : null;
+  if (parentError) errors.push(parentError);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors,
+    });
+  }
+
+  try {
+    const category = await prisma.$transaction(async tx => {
+      const updated = await tx.category.update({
+        where: { id: req.params.id },
+        data,
+      });
+
+      if (data.name !== undefined) {
+        await syncCategoryName(tx, updated.id, updated.name);
+      }
+
+      return updated;
+    });
+
+    res.json({
+      success: true,
+      data: category,
+      message: 'Category updated successfully',
+    });
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found',
+      });
+    }
+    if (error.code === 'P2002') {
+      return res.status(400).json({
+        success: false,
+        message: 'A category with this slug already exists',
+      });
+    }
+    throw error;
+  }
+});
+
+export const deleteCategory = asyncHandler(async (req, res) => {
+  const category = await prisma.category.findUnique({
+    where: { id: req.params.id },
+    include: {
+      _count: { select: { children: true, products: true } },
+    },
+  });
+
+  if (!category) {
+    return res.status(404).json({
+      success: false,
+      message: 'Category not found',
+    });
+  }
+
+  if (category._count.children > 0 || category._count.products > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Category still has subcategories or products, move them or deactivate it instead',
+    });
+  }
+
+  await prisma.category.delete({ where: { id: category.id } });
+
+  res.json({
+    success: true,
+    message: 'Category deleted successfully',
+  });
+});
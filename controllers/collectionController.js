@@ -0,0 +1,265 @@
+import prisma from '../config/db.js';
+import { asyncHandler } from '../middleware/authMiddleware.js';
+import {
+  COLLECTION_TYPES,
+  buildCollectionFilters,
+  normalizeCollectionRules,
+  setCollectionProducts,
+} from '../services/collectionService.js';
+import { CursorError } from '../services/paginationService.js';
+import { listProducts } from '../services/productListingService.js';
+import { slugify } from '../services/slugService.js';
+
+/**
+ * Build Prisma data for a collection from the request body. `existing` is the stored
+ * collection on update, when only the fields present in the body are returned.
+ * Manual collections take their products as `productIds`, in display order.
+ */
+const buildCollectionData = async (body, existing = null) => {
+  const errors = [];
+  const data = {};
+  const has = (field) => !existing || body[field] !== undefined;
+
+  if (has('name')) {
+    data.name = String(body.name || '').trim();
+    if (!data.name) errors.push('name is required');
+  }
+  if (body.slug !== undefined || (!existing && data.name)) {
+    data.slug = slugify(body.slug || data.name);
+    if (!data.slug) errors.push('slug must contain at least one letter or digit');
+  }
+  if (has('description')) data.description = body.description || null;
+  if (has('heroImage')) data.heroImage = body.heroImage || null;
+  if (has('sortOrder')) {
+    data.sortOrder = Number(body.sortOrder ?? 0);
+    if (!Number.isInteger(data.sortOrder)) errors.push('sortOrder must be an integer');
+  }
+  if (has('isActive')) data.isActive = body.isActive ?? true;
+  if (has('type')) {
+    data.type = body.type || 'manual';
+    if (!COLLECTION_TYPES.includes(data.type)) {
+      errors.push(`type must be one of: ${COLLECTION_TYPES.join(', ')}`);
+    }
+  }
+
+  const type = data.type ?? existing?.type;
+  if (type === 'rule') {
+    if (body.rules !== undefined || data.type === 'rule') {
+      const result = await normalizeCollectionRules(body.rules);
+      data.rules = result.rules;
+      errors.push(...result.errors);
+    }
+    if (body.productIds !== undefined) errors.push('Rule collections pick their products from rules, not productIds');
+  } else if (data.type === 'manual') {
+    data.rules = null;
+  }
+
+  let productIds;
+  if (type === 'manual' && body.productIds !== undefined) {
+    if (!Array.isArray(body.productIds)) {
+      errors.push('productIds must be an array');
+    } else {
+      productIds = [...new Set(body.productIds.map(String))];
+      const found = await prisma.product.findMany({
+        where: { id: { in: productIds }, deletedAt: null },
+        select: { id: true },
+      });
+      const foundIds = new Set(found.map(product => product.id));
+      productIds.filter(id => !foundIds.has(id)).forEach(id => errors.push(`Product not found: ${id}`));
+    }
+  }
+
+  return { data, productIds, errors };
+};
+
+const collectionCount = { _count: { select: { products: true } } };
+
+export const getCollections = asyncHandler(async (req, res) => {
+  const collections = await prisma.collection.findMany({
+    where: { isActive: true },
+    orderBy: [{ sortOrder: 'asc' }, { name: 'asc' }],
+  });
+
+  res.json({
+    success: true,
+    data: collections,
+  });
+});
+
+export const getCollectionProducts = asyncHandler(async (req, res) => {
+  const collection = await prisma.collection.findUnique({
+    where: { slug: req.params.slug },
+  });
+
+  if (!collection || !collection.isActive) {
+    return res.status(404).json({
+      success: false,
+      message: 'Collection not found',
+    });
+  }
+
+  try {
+    const { items, pagination } = await listProducts(req.query, await buildCollectionFilters(collection));
+
+    res.json({
+      success: true,
+      data: {
+        collection,
+        products: items,
+      },
+      pagination,
+    });
+  } catch (error) {
+    if (error instanceof CursorError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    throw error;
+  }
+});
+
+export const getAdminCollections = asyncHandler(async (req, res) => {
+  const collections = await prisma.collection.findMany({
+    orderBy: [{ sortOrder: 'asc' }, { name: 'asc' }],
+    include: collectionCount,
+  });
+
+  res.json({
+    success: true,
+    data: collections,
+  });
+});
+
+export const getAdminCollection = asyncHandler(async (req, res) => {
+  const collection = await prisma.collection.findUnique({
+    where: { id: req.params.id },
+    include: {
+      products: {
+        orderBy: { position: 'asc' },
+        include: {
+          product: { select: { id: true, name: true, slug: true, images: true, deletedAt: true } },
+        },
+      },
+    },
+  });
+
+  if (!collection) {
+    return res.status(404).json({
+      success: false,
+      message: 'Collection not found',
+    });
+  }
+
+  res.json({
+    success: true,
+    data: collection,
+  });
+});
+
+export const createCollection = asyncHandler(async (req, res) => {
+  const { data, productIds, errors } = await buildCollectionData(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors,
+    });
+  }
+
+  try {
+    const collection = await prisma.$transaction(async tx => {
+      const created = await tx.collection.create({ data });
+      if (productIds) await setCollectionProducts(tx, created.id, productIds);
+      return tx.collection.findUnique({ where: { id: created.id }, include: collectionCount });
+    });
+
+    res.status(201).json({
+      success: true,
+      data: collection,
+      message: 'Collection created successfully',
+    });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(400).json({
+        success: false,
+        message: 'A collection with this slug already exists',
+      });
+    }
+    throw error;
+  }
+});
+
+export const updateCollection = asyncHandler(async (req, res) => {
+  const existing = await prisma.collection.findUnique({ where: { id: req.params.id } });
+
+  if (!existing) {
+    return res.status(404).json({
+      success: false,
+      message: 'Collection not found',
+    });
+  }
+
+  const { data, productIds, errors } = await buildCollectionData(req.body, existing);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors,
+    });
+  }
+
+  try {
+    const collection = await prisma.$transaction(async tx => {
+      await tx.collection.update({
+        where: { id: existing.id },
+        data,
+      });
+
+      // Leaving manual mode drops the hand-picked list
+      if (data.type === 'rule') await setCollectionProducts(tx, existing.id, []);
+      else if (productIds) await setCollectionProducts(tx, existing.id, productIds);
+
+      return tx.collection.findUnique({ where: { id: existing.id }, include: collectionCount });
+    });
+
+    res.json({
+      success: true,
+      data: collection,
+      message: 'Collection updated successfully',
+    });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(400).json({
+        success: false,
+        message: 'A collection with this slug already exists',
+      });
+    }
+    throw error;
+  }
+});
+
+export const deleteCollection = asyncHandler(async (req, res) => {
+  try {
+    await prisma.$transaction([
+      prisma.collectionProduct.deleteMany({ where: { collectionId: req.params.id } }),
+      prisma.collection.delete({ where: { id: req.params.id } }),
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Collection deleted successfully',
+    });
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found',
+      });
+    }
+    throw error;
+  }
+});
@@ -0,0 +1,234 @@
+import { Prisma } from '@prisma/client';
+import prisma from '../config/db.js';
+import { asyncHandler } from '../middleware/authMiddleware.js';
+import { resolveCategoryReferences } from '../services/categoryService.js';
+import { COUPON_TYPES, normalizeCouponCode } from '../services/couponService.js';
+
+const toStringList = (value) => (Array.isArray(value) ? value.map(item => String(item).trim()).filter(Boolean) : []);
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+const isNonNegativeNumber = (value) => String(value).trim() !== '' && Number.isFinite(Number(value)) && Number(value) >= 0;
+
+const optionalInt = (value) => (isBlank(value) ? null : Number(value));
+
+/**
+ * Build Prisma data for a coupon from the request body.
+ * With `partial`, only the fields present in the body are returned.
+ */
+const buildCouponData = async (body, partial = false) => {
+  const errors = [];
+  const data = {};
+  const has = (field) => !partial || body[field] !== undefined;
+
+  if (has('code')) {
+    data.code = normalizeCouponCode(body.code);
+    if (!data.code) errors.push('code is required');
+  }
+  if (has('description')) data.description = body.description || '';
+  if (has('type')) {
+    if (!COUPON_TYPES.includes(body.type)) {
+      errors.push(`type must be one of: ${COUPON_TYPES.join(', ')}`);
+    }
+    data.type = body.type;
+  }
+  if (has('value')) {
+    if (isNonNegativeNumber(body.value) && Number(body.value) > 0) {
+      data.value = new Prisma.Decimal(body.value);
+    } else {
+      errors.push('value must be a number greater than 0');
+    }
+  }
+  if (data.type === 'percentage' && data.value?.greaterThan(100)) {
+    errors.push('percentage coupons cannot exceed 100');
+  }
+  for (const field of ['minSubtotal', 'maxDiscount']) {
+    if (!has(field)) continue;
+    if (isBlank(body[field])) data[field] = null;
+    else if (isNonNegativeNumber(body[field])) data[field] = new Prisma.Decimal(body[field]);
+    else errors.push(`${field} must be a non-negative number`);
+  }
+  if (has('productIds')) data.productIds = toStringList(body.productIds);
+  // Category scope as ids, slugs or names (`categories` is the older field name); a
+  // category covers its subcategories
+  const categories = body.categoryIds ?? body.categories;
+  if (!partial || categories !== undefined) {
+    const { ids, missing } = await resolveCategoryReferences(toStringList(categories));
+    missing.forEach(reference => errors.push(`Category not found: ${reference}`));
+    data.categoryIds = ids;
+  }
+  if (has('usageLimit')) data.usageLimit = optionalInt(body.usageLimit);
+  if (has('perUserLimit')) data.perUserLimit = optionalInt(body.perUserLimit);
+  for (const field of ['usageLimit', 'perUserLimit']) {
+    if (data[field] !== undefined && data[field] !== null && (!Number.isInteger(data[field]) || data[field] <= 0)) {
+      errors.push(`${field} must be a positive integer`);
+    }
+  }
+  for (const field of ['startsAt', 'endsAt']) {
+    if (!has(field)) continue;
+    if (isBlank(body[field])) {
+      data[field] = null;
+      continue;
+    }
+    const value = new Date(body[field]);
+    if (Number.isNaN(value.getTime())) errors.push(`${field} must be a valid date`);
+    else data[field] = value;
+  }
+  if (data.startsAt && data.endsAt && data.endsAt <= data.startsAt) {
+    errors.push('endsAt must be after startsAt');
+  }
+  if (has('isActive')) data.isActive = body.isActive ?? true;
+
+  return { data, errors };
+};
+
+export const getCoupons = asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = 20,
+    search,
+    isActive,
+  } = req.query;
+
+  const where = {};
+  if (isActive !== undefined) where.isActive = isActive === 'true';
+  if (search) where.code = { contains: search, mode: 'insensitive' };
+
+  const skip = (Number(page) - 1) * Number(limit);
+
+  const [coupons, total] = await prisma.$transaction([
+    prisma.coupon.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      skip,
+      take: Number(limit),
+    }),
+    prisma.coupon.count({ where }),
+  ]);
+
+  res.json({
+    success: true,
+    data: coupons,
+    pagination: {
+      currentPage: Number(page),
+      totalPages: Math.ceil(total / Number(limit)) || 1,
+      totalCoupons: total,
+      hasNext: skip + coupons.length < total,
+      hasPrev: Number(page) > 1,
+    },
+  });
+});
+
+export const getCoupon = asyncHandler(async (req, res) => {
+  const coupon = await prisma.coupon.findUnique({
+    where: { id: req.params.id },
+    include: {
+      _count: { select: { redemptions: true } },
+    },
+  });
+
+  if (!coupon) {
+    return res.status(404).json({
+      success: false,
+      message: 'Coupon not found',
+    });
+  }
+
+  res.json({
+    success: true,
+    data: coupon,
+  });
+});
+
+export const createCoupon = asyncHandler(async (req, res) => {
+  const { data, errors } = await buildCouponData(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors,
+    });
+  }
+
+  try {
+    const coupon = await prisma.coupon.create({ data });
+
+    res.status(201).json({
+      success: true,
+      data: coupon,
+      message: 'Coupon created successfully',
+    });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(400).json({
+        success: false,
+        message: 'A coupon with this code already exists',
+      });
+    }
+    throw error;
+  }
+});
+
+export const updateCoupon = asyncHandler(async (req, res) => {
+  const { data, errors } = await buildCouponData(req.body, true);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors,
+    });
+  }
+
+  try {
+    const coupon = await prisma.coupon.update({
+      where: { id: req.params.id },
+      data,
+    });
+
+    res.json({
+      success: true,
+      data: coupon,
+      message: 'Coupon updated successfully',
+    });
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found',
+      });
+    }
+    if (error.code === 'P2002') {
+      return res.status(400).json({
+        success: false,
+        message: 'A coupon with this code already exists',
+      });
+    }
+    throw error;
+  }
+});
+
+export const deleteCoupon = asyncHandler(async (req, res) => {
+  try {
+    await prisma.coupon.delete({ where: { id: req.params.id } });
+    res.json({
+      success: true,
+      message: 'Coupon deleted successfully',
+    });
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found',
+      });
+    }
+    if (error.code === 'P2003') {
+      return res.status(400).json({
+        success: false,
+        message: 'Coupon has been redeemed and cannot be deleted, deactivate it instead',
+      });
+    }
+    throw error;
+  }
+});
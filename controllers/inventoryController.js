@@ -0,0 +1,215 @@
+import prisma from '../config/db.js';
+import { asyncHandler } from '../middleware/authMiddleware.js';
+import {
+  STOCK_MOVEMENT_REASONS,
+  StockAdjustmentError,
+  adjustStock,
+  setStock,
+} from '../services/inventoryService.js';
+import {
+  CursorError,
+  findManyByCursor,
+  parseCursorLimit,
+} from '../services/paginationService.js';
+import { publishStockEvents } from '../services/stockEventService.js';
+
+// Reasons an admin may pick; sales, cancellations and imports are recorded by the system
+const ADJUSTMENT_REASONS = ['adjustment', 'return'];
+
+export const createStockAdjustment = asyncHandler(async (req, res) => {
+  const {
+    variantId = null,
+    delta,
+    stock,
+    reason = 'adjustment',
+    note,
+    orderId = null,
+  } = req.body;
+
+  const errors = [];
+  if (!note || !String(note).trim()) {
+    errors.push('note is required and should explain the change');
+  }
+  if (!ADJUSTMENT_REASONS.includes(reason)) {
+    errors.push(`reason must be one of: ${ADJUSTMENT_REASONS.join(', ')}`);
+  }
+  if ((delta === undefined) === (stock === undefined)) {
+    errors.push('Send either delta (a change) or stock (a counted total)');
+  }
+  if (delta !== undefined && (!Number.isInteger(Number(delta)) || Number(delta) === 0)) {
+    errors.push('delta must be a non-zero integer');
+  }
+  if (stock !== undefined && (!Number.isInteger(Number(stock)) || Number(stock) < 0)) {
+    errors.push('stock must be a non-negative integer');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors,
+    });
+  }
+
+  const product = await prisma.product.findUnique({
+    where: { id: req.params.id },
+    include: { _count: { select: { variants: { where: { isActive: true } } } } },
+  });
+
+  if (!product) {
+    return res.status(404).json({
+      success: false,
+      message: 'Product not found',
+    });
+  }
+
+  // Product-level stock of a variant product is the sum of its variants
+  if (!variantId && product._count.variants > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'This product has variants, adjust the stock of a variant',
+    });
+  }
+
+  const context = {
+    productId: product.id,
+    variantId,
+    reason,
+    orderId,
+    userId: req.user.id,
+    note: String(note).trim(),
+  };
+
+  let movement;
+  try {
+    movement = await prisma.$transaction(tx => (stock !== undefined
+      ? setStock(tx, { ...context, stock: Number(stock) })
+      : adjustStock(tx, { ...context, delta: Number(delta) })));
+  } catch (error) {
+    if (error instanceof StockAdjustmentError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    throw error;
+  }
+
+  await publishStockEvents(movement ? [movement] : []);
+
+  res.status(movement ? 201 : 200).json({
+    success: true,
+    data: movement,
+    message: movement ? 'Stock adjusted successfully' : 'Stock already matches, nothing recorded',
+  });
+});
+
+export const getStockHistory = asyncHandler(async (req, res) => {
+  const {
+    variantId,
+    reason,
+    limit = 50,
+    cursor,
+  } = req.query;
+
+  if (reason && !STOCK_MOVEMENT_REASONS.includes(reason)) {
+    return res.status(400).json({
+      success: false,
+      message: `reason must be one of: ${STOCK_MOVEMENT_REASONS.join(', ')}`,
+    });
+  }
+
+  const where = { productId: req.params.id };
+  if (variantId) where.variantId = variantId;
+  if (reason) where.reason = reason;
+
+  try {
+    const { items, pagination } = await findManyByCursor(prisma.inventoryMovement, {
+      where,
+      cursor,
+      limit: parseCursorLimit(limit, 50),
+      include: {
+        variant: { select: { id: true, sku: true, options: true } },
+        order: { select: { id: true, orderNumber: true } },
+        user: { select: { id: true, email: true, firstName: true, lastName: true } },
+      },
+    });
+
+    res.json({
+      success: true,
+      data: items,
+      pagination,
+    });
+  } catch (error) {
+    if (error instanceof CursorError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    throw error;
+  }
+});
+
+export const subscribeToStock = asyncHandler(async (req, res) => {
+  const { variantId = null } = req.body ?? {};
+
+  const product = await prisma.product.findFirst({
+    where: { id: req.params.id, isActive: true, deletedAt: null },
+    include: variantId ? { variants: { where: { id: variantId, isActive: true } } } : undefined,
+  });
+
+  if (!product || (variantId && product.variants.length === 0)) {
+    return res.status(404).json({
+      success: false,
+      message: variantId ? 'Variant not found' : 'Product not found',
+    });
+  }
+
+  const available = variantId ? product.variants[0].stock : product.stock;
+  if (available > 0) {
+    return res.status(409).json({
+      success: false,
+      message: 'This item is in stock, no need to subscribe',
+    });
+  }
+
+  // Re-subscribing after a notification re-arms the same subscription
+  const existing = await prisma.stockSubscription.findFirst({
+    where: { userId: req.user.id, productId: product.id, variantId },
+  });
+  const subscription = existing
+    ? await prisma.stockSubscription.update({
+      where: { id: existing.id },
+      data: { notifiedAt: null },
+    })
+    : await prisma.stockSubscription.create({
+      data: { userId: req.user.id, productId: product.id, variantId },
+    });
+
+  res.status(existing ? 200 : 201).json({
+    success: true,
+    data: subscription,
+    message: 'You will be notified when this item is back in stock',
+  });
+});
+
+export const unsubscribeFromStock = asyncHandler(async (req, res) => {
+  const variantId = req.query.variantId || null;
+
+  const { count } = await prisma.stockSubscription.deleteMany({
+    where: { userId: req.user.id, productId: req.params.id, variantId },
+  });
+
+  if (count === 0) {
+    return res.status(404).json({
+      success: false,
+      message: 'Subscription not found',
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Back-in-stock subscription removed',
+  });
+});
@@ -0,0 +1,65 @@
+import prisma from '../config/db.js';
+import { asyncHandler } from '../middleware/authMiddleware.js';
+import {
+  CursorError,
+  findManyByCursor,
+  parseCursorLimit,
+} from '../services/paginationService.js';
+
+export const getNotifications = asyncHandler(async (req, res) => {
+  const { unread, limit = 20, cursor } = req.query;
+
+  const where = { userId: req.user.id };
+  if (unread === 'true') where.readAt = null;
+
+  try {
+    const [{ items, pagination }, unreadCount] = await Promise.all([
+      findManyByCursor(prisma.notification, {
+        where,
+        cursor,
+        limit: parseCursorLimit(limit, 20),
+      }),
+      prisma.notification.count({ where: { userId: req.user.id, readAt: null } }),
+    ]);
+
+    res.json({
+      success: true,
+      data: items,
+      unreadCount,
+      pagination,
+    });
+  } catch (error) {
+    if (error instanceof CursorError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    throw error;
+  }
+});
+
+export const markNotificationRead = asyncHandler(async (req, res) => {
+  const { count } = await prisma.notification.updateMany({
+    where: { id: req.params.id, userId: req.user.id, readAt: null },
+    data: { readAt: new Date() },
+  });
+
+  if (count === 0) {
+    const exists = await prisma.notification.findFirst({
+      where: { id: req.params.id, userId: req.user.id },
+      select: { id: true },
+    });
+    if (!exists) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found',
+      });
+    }
+  }
+
+  res.json({
+    success: true,
+    message: 'Notification marked as read',
+  });
+});
@@ -1,6 +1,33 @@
-import { Prisma } from '@prisma/client';
 import prisma from '../config/db.js';
 import { asyncHandler } from '../middleware/authMiddleware.js';
+import { releasePaymentIntent } from '../services/paymentService.js';
+import {
+  REFUNDABLE_PAYMENT_STATUSES,
+  getRefundableAmount,
+  issueRefund,
+} from '../services/refundService.js';
+import {
+  ORDER_STATUSES,
+  ORDER_STATUS_TRANSITIONS,
+  canTransitionOrder,
+  transitionOrderStatus,
+  recordOrderCreated,
+} from '../services/orderStatusService.js';
+import {
+  InsufficientStockError,
+  recordStockMovements,
+  reserveStock,
+  restoreStock,
+} from '../services/inventoryService.js';
+import { publishStockEvents } from '../services/stockEventService.js';
+import { CouponError, redeemCoupon, releaseCoupon } from '../services/couponService.js';
+import { PricingError, priceOrder } from '../services/pricingService.js';
+import {
+  CursorError,
+  findManyByCursor,
+  isCursorRequest,
+  parseCursorLimit,
+} from '../services/paginationService.js';
 
 const orderInclude = {
   user: {
@@ -21,12 +48,21 @@ const orderInclude = {
           price: true,
         },
       },
+      variant: {
+        select: {
+          id: true,
+          sku: true,
+          options: true,
+          images: true,
+        },
+      },
     },
   },
+  refunds: {
+    orderBy: { createdAt: 'desc' },
+  },
 };
 
-const decimal = (value = 0) => new Prisma.Decimal(value);
-
 const generateOrderNumber = () => `ORD-${Date.now()}-${Math.floor(Math.random() * 9999)}`;
 
 const buildDateRange = (startDate, endDate) => {
@@ -37,116 +73,162 @@ const buildDateRange = (startDate, endDate) => {
   return range;
 };
 
+// Convert checkout pricing errors into the standard error response, rethrowing anything else
+const sendPricingError = (res, error) => {
+  if (error instanceof PricingError || error instanceof CouponError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  throw error;
+};
+
+const serializeQuote = (pricing) => ({
+  items: pricing.orderItemsData.map(item => ({
+    product: item.productId,
+    name: pricing.productMap.get(item.productId).name,
+    quantity: item.quantity,
+    price: item.price,
+    total: item.total,
+    discount: item.discount,
+    taxRate: item.taxRate,
+    tax: item.tax,
+  })),
+  subtotal: pricing.subtotal,
+  discount: pricing.discount,
+  couponCode: pricing.coupon?.code ?? null,
+  shippingMethod: pricing.shipping?.method ?? null,
+  shippingCost: pricing.shippingCost,
+  tax: pricing.tax,
+  taxInclusive: pricing.taxInclusive,
+  total: pricing.total,
+  shippingMethods: pricing.shippingOptions,
+  stockWarnings: pricing.stockWarnings,
+});
+
+export const quoteOrder = asyncHandler(async (req, res) => {
+  const { items, shippingAddress, shippingMethod, couponCode } = req.body;
+
+  let pricing;
+  try {
+    pricing = await priceOrder({
+      items,
+      shippingAddress,
+      shippingMethod,
+      couponCode,
+      userId: req.prismaUser?.id,
+    });
+  } catch (error) {
+    return sendPricingError(res, error);
+  }
+
+  res.json({
+    success: true,
+    data: serializeQuote(pricing),
+  });
+});
+
 export const createOrder = asyncHandler(async (req, res) => {
   const {
     items,
     shippingAddress,
     billingAddress,
     paymentMethod,
+    shippingMethod = 'standard',
+    couponCode,
     notes,
   } = req.body;
 
-  if (!Array.isArray(items) || items.length === 0) {
-    return res.status(400).json({
-      success: false,
-      message: 'Order must contain at least one item',
+  let pricing;
+  try {
+    pricing = await priceOrder({
+      items,
+      shippingAddress,
+      shippingMethod,
+      couponCode,
+      userId: req.user.id,
     });
+  } catch (error) {
+    return sendPricingError(res, error);
   }
 
-  const productIds = items.map(item => item.product);
-  const products = await prisma.product.findMany({
-    where: { id: { in: productIds } },
-  });
+  const { orderItemsData, productMap, coupon, shipping } = pricing;
 
-  if (products.length !== items.length) {
+  if (!shipping) {
     return res.status(400).json({
       success: false,
-      message: 'One or more products were not found',
+      message: `Shipping method "${shippingMethod}" is not available for this address`,
+      availableMethods: pricing.shippingOptions,
     });
   }
 
-  const productMap = new Map(products.map(p => [p.id, p]));
-
-  let subtotal = decimal(0);
-  const orderItemsData = [];
-
-  for (const item of items) {
-    const product = productMap.get(item.product);
-    if (!product) {
-      return res.status(400).json({
-        success: false,
-        message: `Product not found: ${item.product}`,
-      });
-    }
-
-    const quantity = Number(item.quantity);
-
-    if (!Number.isInteger(quantity) || quantity <= 0) {
-      return res.status(400).json({
-        success: false,
-        message: `Invalid quantity for ${product.name}. Quantity must be a positive integer.`,
-      });
-    }
+  let order;
+  let stockMovements = [];
+  try {
+    order = await prisma.$transaction(async tx => {
+      // Reserve stock first so a shortage rolls back before the order exists
+      const reserved = await reserveStock(tx, orderItemsData, productMap);
 
-    if (product.stock < quantity) {
-      return res.status(400).json({
-        success: false,
-        message: `Insufficient stock for ${product.name}. Available: ${product.stock}`,
+      const createdOrder = await tx.order.create({
+        data: {
+          orderNumber: generateOrderNumber(),
+          userId: req.user.id,
+          shippingAddress: shippingAddress || {},
+          billingAddress: billingAddress || shippingAddress || {},
+          paymentMethod,
+          paymentStatus: 'pending',
+          shippingMethod: shipping.method,
+          shippingRuleId: shipping.ruleId,
+          customerNote: notes?.customer || '',
+          adminNote: notes?.admin || '',
+          subtotal: pricing.subtotal,
+          discount: pricing.discount,
+          couponId: coupon?.id ?? null,
+          couponCode: coupon?.code ?? null,
+          shippingCost: pricing.shippingCost,
+          tax: pricing.tax,
+          taxInclusive: pricing.taxInclusive,
+          taxRateId: pricing.taxRateId,
+          total: pricing.total,
+          items: {
+            create: orderItemsData,
+          },
+        },
+        include: orderInclude,
       });
-    }
-
-    const price = decimal(product.price);
-    const itemTotal = price.times(quantity);
-    subtotal = subtotal.plus(itemTotal);
-
-    orderItemsData.push({
-      productId: product.id,
-      quantity,
-      price,
-      total: itemTotal,
-    });
-  }
 
-  const shippingThreshold = decimal(1000);
-  const shippingFlatRate = decimal(100);
-  const shippingCost = subtotal.greaterThan(shippingThreshold) ? decimal(0) : shippingFlatRate;
-  const taxRate = decimal('0.05');
-  const tax = subtotal.times(taxRate);
-  const total = subtotal.plus(shippingCost).plus(tax);
-
-  const order = await prisma.$transaction(async tx => {
-    const createdOrder = await tx.order.create({
-      data: {
-        orderNumber: generateOrderNumber(),
+      await recordOrderCreated(tx, { orderId: createdOrder.id, actorId: req.user.id });
+      stockMovements = reserved.map(movement => ({
+        ...movement,
+        orderId: createdOrder.id,
         userId: req.user.id,
-        shippingAddress: shippingAddress || {},
-        billingAddress: billingAddress || shippingAddress || {},
-        paymentMethod,
-        paymentStatus: 'pending',
-        customerNote: notes?.customer || '',
-        adminNote: notes?.admin || '',
-        subtotal,
-        shippingCost,
-        tax,
-        total,
-        items: {
-          create: orderItemsData,
-        },
-      },
-      include: orderInclude,
+      }));
+      await recordStockMovements(tx, stockMovements);
+
+      if (coupon) {
+        await redeemCoupon(tx, {
+          coupon,
+          userId: req.user.id,
+          orderId: createdOrder.id,
+          discount: pricing.discount,
+        });
+      }
+
+      return createdOrder;
     });
-
-    for (const item of orderItemsData) {
-      await tx.product.update({
-        where: { id: item.productId },
-        data: {
-          stock: { decrement: item.quantity },
-        },
+  } catch (error) {
+    if (error instanceof InsufficientStockError) {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        products: error.products,
       });
     }
+    return sendPricingError(res, error);
+  }
 
-    return createdOrder;
-  });
+  await publishStockEvents(stockMovements);
 
   res.status(201).json({
     success: true,
@@ -167,6 +249,31 @@ export const getUserOrders = asyncHandler(async (req, res) => {
   if (status) where.status = status;
   if (paymentStatus) where.paymentStatus = paymentStatus;
 
+  if (isCursorRequest(req.query)) {
+    try {
+      const { items, pagination } = await findManyByCursor(prisma.order, {
+        where,
+        cursor: req.query.cursor,
+        limit: parseCursorLimit(limit, 10),
+        include: orderInclude,
+      });
+
+      return res.json({
+        success: true,
+        data: items,
+        pagination,
+      });
+    } catch (error) {
+      if (error instanceof CursorError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      throw error;
+    }
+  }
+
   const skip = (Number(page) - 1) * Number(limit);
 
   const [orders, total] = await prisma.$transaction([
@@ -219,34 +326,123 @@ export const getOrder = asyncHandler(async (req, res) => {
   });
 });
 
+export const getOrderHistory = asyncHandler(async (req, res) => {
+  const order = await prisma.order.findUnique({
+    where: { id: req.params.id },
+    select: { id: true, userId: true, status: true },
+  });
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found',
+    });
+  }
+
+  if (order.userId !== req.user.id && req.user.role !== 'admin' && req.user.role !== 'ADMIN') {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to view this order',
+    });
+  }
+
+  const events = await prisma.orderEvent.findMany({
+    where: { orderId: order.id },
+    orderBy: { createdAt: 'asc' },
+    include: {
+      actor: {
+        select: {
+          id: true,
+          firstName: true,
+          lastName: true,
+          role: true,
+        },
+      },
+    },
+  });
+
+  res.json({
+    success: true,
+    data: {
+      orderId: order.id,
+      status: order.status,
+      events,
+    },
+  });
+});
+
+const invalidTransitionResponse = (res, from, to) => res.status(400).json({
+  success: false,
+  message: `Order cannot move from ${from} to ${to}`,
+  allowedStatuses: ORDER_STATUS_TRANSITIONS[from] || [],
+});
+
 export const updateOrderStatus = asyncHandler(async (req, res) => {
   const { status, note } = req.body;
 
-  try {
-    const order = await prisma.order.update({
-      where: { id: req.params.id },
+  if (!ORDER_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid order status. Expected one of: ${ORDER_STATUSES.join(', ')}`,
+    });
+  }
+
+  // Cancellation has to go through cancelOrder so payments are released and stock restored
+  if (status === 'cancelled') {
+    return res.status(400).json({
+      success: false,
+      message: 'Use the cancel endpoint to cancel an order',
+    });
+  }
+
+  const order = await prisma.order.findUnique({
+    where: { id: req.params.id },
+    select: { id: true, status: true },
+  });
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found',
+    });
+  }
+
+  if (!canTransitionOrder(order.status, status)) {
+    return invalidTransitionResponse(res, order.status, status);
+  }
+
+  const updated = await prisma.$transaction(async tx => {
+    const event = await transitionOrderStatus(tx, {
+      orderId: order.id,
+      from: order.status,
+      to: status,
+      actorId: req.user.id,
+      note,
       data: {
-        status,
         adminNote: note ?? undefined,
         deliveredAt: status === 'delivered' ? new Date() : undefined,
       },
+    });
+    if (!event) return null;
+
+    return tx.order.findUnique({
+      where: { id: order.id },
       include: orderInclude,
     });
+  });
 
-    res.json({
-      success: true,
-      data: order,
-      message: 'Order status updated successfully',
+  if (!updated) {
+    return res.status(409).json({
+      success: false,
+      message: 'Order status was changed by another request, please retry',
     });
-  } catch (error) {
-    if (error.code === 'P2025') {
-      return res.status(404).json({
-        success: false,
-        message: 'Order not found',
-      });
-    }
-    throw error;
   }
+
+  res.json({
+    success: true,
+    data: updated,
+    message: 'Order status updated successfully',
+  });
 });
 
 export const addShippingInfo = asyncHandler(async (req, res) => {
@@ -280,31 +476,57 @@ export const addShippingInfo = asyncHandler(async (req, res) => {
 });
 
 export const markOrderDelivered = asyncHandler(async (req, res) => {
-  try {
-    const order = await prisma.order.update({
-      where: { id: req.params.id },
-      data: {
-        status: 'delivered',
-        paymentStatus: 'paid',
-        deliveredAt: new Date(),
-      },
+  const order = await prisma.order.findUnique({
+    where: { id: req.params.id },
+    select: { id: true, status: true },
+  });
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found',
+    });
+  }
+
+  if (!canTransitionOrder(order.status, 'delivered')) {
+    return invalidTransitionResponse(res, order.status, 'delivered');
+  }
+
+  const updated = await prisma.$transaction(async tx => {
+    const event = await transitionOrderStatus(tx, {
+      orderId: order.id,
+      from: order.status,
+      to: 'delivered',
+      actorId: req.user.id,
+      note: req.body?.note,
+      data: { deliveredAt: new Date() },
+    });
+    if (!event) return null;
+
+    // Cash on delivery: the order is settled once it has been handed over
+    await tx.order.updateMany({
+      where: { id: order.id, paymentStatus: 'pending' },
+      data: { paymentStatus: 'paid' },
+    });
+
+    return tx.order.findUnique({
+      where: { id: order.id },
       include: orderInclude,
     });
+  });
 
-    res.json({
-      success: true,
-      data: order,
-      message: 'Order marked as delivered',
+  if (!updated) {
+    return res.status(409).json({
+      success: false,
+      message: 'Order status was changed by another request, please retry',
     });
-  } catch (error) {
-    if (error.code === 'P2025') {
-      return res.status(404).json({
-        success: false,
-        message: 'Order not found',
-      });
-    }
-    throw error;
   }
+
+  res.json({
+    success: true,
+    data: updated,
+    message: 'Order marked as delivered',
+  });
 });
 
 export const cancelOrder = asyncHandler(async (req, res) => {
@@ -331,37 +553,102 @@ export const cancelOrder = asyncHandler(async (req, res) => {
     });
   }
 
-  if (['delivered', 'cancelled'].includes(order.status)) {
+  if (!canTransitionOrder(order.status, 'cancelled')) {
     return res.status(400).json({
       success: false,
       message: 'Order cannot be cancelled',
     });
   }
 
-  const updated = await prisma.$transaction(async tx => {
-    const cancelledOrder = await tx.order.update({
-      where: { id: req.params.id },
+  // Unpaid orders only need their open payment intent released; paid orders are refunded
+  // once the cancellation has been claimed below
+  const paid = REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus);
+  if (!paid) {
+    const { captured } = await releasePaymentIntent(order);
+    if (captured) {
+      return res.status(409).json({
+        success: false,
+        message: 'Payment for this order is still being processed. Please try again shortly.',
+      });
+    }
+  }
+
+  // The conditional transition is the claim: only one concurrent cancel gets past it,
+  // so only one of them restores stock and reaches Stripe
+  let restoredMovements = [];
+  let updated = await prisma.$transaction(async tx => {
+    const event = await transitionOrderStatus(tx, {
+      orderId: order.id,
+      from: order.status,
+      to: 'cancelled',
+      actorId: req.user.id,
+      note: reason,
       data: {
-        status: 'cancelled',
-        paymentStatus: 'refunded',
         cancelledAt: new Date(),
         cancellationReason: reason || '',
       },
-      include: orderInclude,
     });
+    if (!event) return null;
 
-    for (const item of order.items) {
-      await tx.product.update({
-        where: { id: item.productId },
-        data: {
-          stock: { increment: item.quantity },
-        },
-      });
+    restoredMovements = await restoreStock(tx, order.items, { orderId: order.id, userId: req.user.id });
+
+    if (order.couponId) {
+      await releaseCoupon(tx, order.id);
     }
 
-    return cancelledOrder;
+    return tx.order.findUnique({
+      where: { id: order.id },
+      include: orderInclude,
+    });
   });
 
+  if (!updated) {
+    return res.status(409).json({
+      success: false,
+      message: 'Order status was changed by another request, please retry',
+    });
+  }
+
+  await publishStockEvents(restoredMovements);
+
+  if (paid) {
+    const refundable = await getRefundableAmount(order);
+
+    if (refundable.greaterThan(0)) {
+      try {
+        await issueRefund({
+          order,
+          amount: refundable,
+          reason: reason || 'Order cancelled',
+          requestedById: req.user.id,
+        });
+      } catch (error) {
+        // The failed Refund row stays on the order; flag it in the timeline so an admin retries
+        console.error(`Refund for cancelled order ${order.id} failed:`, error.message);
+        await prisma.orderEvent.create({
+          data: {
+            orderId: order.id,
+            fromStatus: 'cancelled',
+            toStatus: 'cancelled',
+            actorId: req.user.id,
+            note: `Refund failed: ${error.message}`,
+          },
+        });
+
+        return res.status(502).json({
+          success: false,
+          data: updated,
+          message: 'Order was cancelled but the refund could not be issued; it has been flagged for follow-up',
+        });
+      }
+
+      updated = await prisma.order.findUnique({
+        where: { id: order.id },
+        include: orderInclude,
+      });
+    }
+  }
+
   res.json({
     success: true,
     data: updated,
@@ -393,6 +680,31 @@ export const getAllOrders = asyncHandler(async (req, res) => {
     ];
   }
 
+  if (isCursorRequest(req.query)) {
+    try {
+      const { items, pagination } = await findManyByCursor(prisma.order, {
+        where,
+        cursor: req.query.cursor,
+        limit: parseCursorLimit(limit, 20),
+        include: orderInclude,
+      });
+
+      return res.json({
+        success: true,
+        data: items,
+        pagination,
+      });
+    } catch (error) {
+      if (error instanceof CursorError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      throw error;
+    }
+  }
+
   const skip = (Number(page) - 1) * Number(limit);
 
   const [orders, total] = await prisma.$transaction([
@@ -0,0 +1,244 @@
+import prisma from '../config/db.js';
+import { getStripe, stripeCurrency } from '../config/stripe.js';
+import { asyncHandler } from '../middleware/authMiddleware.js';
+import {
+  REUSABLE_INTENT_STATUSES,
+  toMinorUnits,
+  advancePaymentStatus,
+} from '../services/paymentService.js';
+import { REFUNDABLE_PAYMENT_STATUSES, syncProviderRefund } from '../services/refundService.js';
+
+const paymentIntentResponse = (intent) => ({
+  clientSecret: intent.client_secret,
+  paymentIntentId: intent.id,
+  amount: intent.amount,
+  currency: intent.currency,
+  status: intent.status,
+});
+
+export const createPaymentIntent = asyncHandler(async (req, res) => {
+  const { orderId } = req.body;
+
+  if (!orderId) {
+    return res.status(400).json({
+      success: false,
+      message: 'orderId is required',
+    });
+  }
+
+  const order = await prisma.order.findUnique({
+    where: { id: orderId },
+  });
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found',
+    });
+  }
+
+  if (order.userId !== req.prismaUser.id) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to pay for this order',
+    });
+  }
+
+  if (order.status === 'cancelled') {
+    return res.status(400).json({
+      success: false,
+      message: 'Cancelled orders cannot be paid',
+    });
+  }
+
+  // Partially or fully refunded orders were paid too; a new intent would charge them again
+  if ([...REFUNDABLE_PAYMENT_STATUSES, 'refunded'].includes(order.paymentStatus)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Order has already been paid',
+    });
+  }
+
+  const stripe = getStripe();
+  const amount = toMinorUnits(order.total);
+  const currency = stripeCurrency();
+
+  if (order.paymentIntentId) {
+    const existing = await stripe.paymentIntents.retrieve(order.paymentIntentId);
+
+    if (existing.status === 'succeeded' || existing.status === 'processing') {
+      return res.status(409).json({
+        success: false,
+        message: 'Payment for this order is already being processed',
+      });
+    }
+
+    if (REUSABLE_INTENT_STATUSES.includes(existing.status)) {
+      const intent = existing.amount === amount && existing.currency === currency
+        ? existing
+        : await stripe.paymentIntents.update(existing.id, { amount, currency });
+
+      return res.json({
+        success: true,
+        data: paymentIntentResponse(intent),
+      });
+    }
+  }
+
+  const intent = await stripe.paymentIntents.create(
+    {
+      amount,
+      currency,
+      automatic_payment_methods: { enabled: true },
+      metadata: {
+        orderId: order.id,
+        orderNumber: order.orderNumber,
+        userId: order.userId,
+      },
+    },
+    {
+      // Concurrent requests for the same order and amount resolve to one intent
+      idempotencyKey: `order-${order.id}-${amount}-${currency}-${order.paymentIntentId || 'new'}`,
+    }
+  );
+
+  await prisma.order.update({
+    where: { id: order.id },
+    data: { paymentIntentId: intent.id },
+  });
+
+  res.status(201).json({
+    success: true,
+    data: paymentIntentResponse(intent),
+  });
+});
+
+// Payment status transitions driven by Stripe events. Each event only moves an order
+// forward from the listed statuses, so replays and out-of-order deliveries are no-ops.
+const PAYMENT_EVENT_TRANSITIONS = {
+  'payment_intent.succeeded': { from: ['pending', 'failed'], to: 'paid' },
+  'payment_intent.payment_failed': { from: ['pending'], to: 'failed' },
+};
+
+const findOrderForIntent = async (paymentIntentId, metadata = {}) => {
+  const order = await prisma.order.findFirst({
+    where: { paymentIntentId },
+  });
+  if (order || !metadata.orderId) return order;
+
+  return prisma.order.findUnique({
+    where: { id: metadata.orderId },
+  });
+};
+
+const handlePaymentIntentEvent = async (type, intent) => {
+  const order = await findOrderForIntent(intent.id, intent.metadata);
+  if (!order) {
+    console.warn(`⚠️ No order found for payment intent ${intent.id}`);
+    return { handled: false };
+  }
+
+  if (type === 'payment_intent.succeeded' && intent.amount_received !== toMinorUnits(order.total)) {
+    console.error(`❌ Payment intent ${intent.id} amount does not match order ${order.id} total`);
+    return { handled: false, orderId: order.id };
+  }
+
+  const { from, to } = PAYMENT_EVENT_TRANSITIONS[type];
+  const updated = await advancePaymentStatus(order.id, from, to);
+  return { handled: updated, orderId: order.id };
+};
+
+const handleChargeRefunded = async (charge) => {
+  const order = await findOrderForIntent(charge.payment_intent, charge.metadata);
+  if (!order) {
+    console.warn(`⚠️ No order found for refunded charge ${charge.id}`);
+    return { handled: false };
+  }
+
+  const fullyRefunded = charge.refunded || charge.amount_refunded >= charge.amount;
+  const updated = fullyRefunded
+    ? await advancePaymentStatus(order.id, ['paid', 'partially_refunded'], 'refunded')
+    : await advancePaymentStatus(order.id, ['paid'], 'partially_refunded');
+
+  return { handled: updated, orderId: order.id };
+};
+
+// Pending refunds settle later; keep the Refund row's status in step with Stripe
+const handleRefundUpdated = async (providerRefund) => {
+  const orderId = await syncProviderRefund(providerRefund);
+  return { handled: Boolean(orderId), orderId };
+};
+
+/**
+ * Stripe webhook endpoint
+ * Verifies the Stripe signature against the raw body and updates order paymentStatus
+ */
+export const handleStripeWebhook = async (req, res) => {
+  try {
+    const WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET;
+
+    if (!WEBHOOK_SECRET) {
+      console.error('❌ STRIPE_WEBHOOK_SECRET is not set');
+      return res.status(500).json({
+        success: false,
+        message: 'Webhook secret not configured',
+      });
+    }
+
+    const signature = req.headers['stripe-signature'];
+
+    if (!signature) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing stripe-signature header',
+      });
+    }
+
+    let event;
+
+    try {
+      event = getStripe().webhooks.constructEvent(req.body, signature, WEBHOOK_SECRET);
+    } catch (err) {
+      console.error('❌ Stripe webhook verification failed:', err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook signature',
+      });
+    }
+
+    let result = { handled: false };
+
+    switch (event.type) {
+      case 'payment_intent.succeeded':
+      case 'payment_intent.payment_failed':
+        result = await handlePaymentIntentEvent(event.type, event.data.object);
+        break;
+      case 'charge.refunded':
+        result = await handleChargeRefunded(event.data.object);
+        break;
+      case 'refund.updated':
+      case 'charge.refund.updated':
+        result = await handleRefundUpdated(event.data.object);
+        break;
+      default:
+        break;
+    }
+
+    if (result.handled) {
+      console.log(`✅ Processed Stripe ${event.type} for order ${result.orderId}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook received',
+      event: event.type,
+    });
+  } catch (error) {
+    console.error('❌ Stripe webhook processing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Webhook processing failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
@@ -1,131 +1,121 @@
 import { Prisma } from '@prisma/client';
 import prisma from '../config/db.js';
 import { asyncHandler } from '../middleware/authMiddleware.js';
-
-const reviewInclude = {
-  include: {
-    user: {
-      select: {
-        id: true,
-        email: true,
-        firstName: true,
-        lastName: true,
-        profilePicture: true,
-      },
-    },
-  },
-};
-
-const productInclude = {
-  reviews: reviewInclude,
-};
-
-const mapSortField = (sort) => {
-  switch (sort) {
-    case 'price':
-      return 'price';
-    case 'rating.average':
-      return 'ratingAverage';
-    case 'rating.count':
-      return 'ratingCount';
-    case 'createdAt':
-    default:
-      return 'createdAt';
-  }
-};
-
-const refreshProductRating = async (productId) => {
-  const stats = await prisma.review.aggregate({
-    where: { productId },
-    _avg: { rating: true },
-    _count: { rating: true },
-  });
-
-  await prisma.product.update({
-    where: { id: productId },
-    data: {
-      ratingAverage: stats._avg.rating || 0,
-      ratingCount: stats._count.rating,
-    },
-  });
+import { normalizeVariantInput, syncProductVariants } from '../services/variantService.js';
+import { recordStockMovements } from '../services/inventoryService.js';
+import { lowStockThresholdError, publishStockEvents } from '../services/stockEventService.js';
+import { suggestProducts } from '../services/searchService.js';
+import { applyProductCategory, getCategoryTree } from '../services/categoryService.js';
+import { uniqueSlug } from '../services/slugService.js';
+import {
+  deleteStoredImageFiles,
+  deleteStoredReviewPhotoFiles,
+  syncProductImages,
+  validateProductImages,
+} from '../services/imageService.js';
+import { CursorError } from '../services/paginationService.js';
+import { buildProductFilters, countProductFacets, parseTags } from '../services/productFilterService.js';
+import { listProducts, productInclude } from '../services/productListingService.js';
+import { normalizeSalePricing, withSalePricing } from '../services/salePriceService.js';
+import { reviewInclude, serializeReview } from '../services/reviewService.js';
+import {
+  getFrequentlyBoughtTogether as loadFrequentlyBoughtTogether,
+  getRelatedProductIds,
+} from '../services/recommendationService.js';
+
+/**
+ * Validate the options/variants of a product payload, including that none of its SKUs
+ * already belong to a different product. Returns null when the payload has no variants.
+ */
+const prepareVariantInput = async (body, productId = null) => {
+  if (body.options === undefined && body.variants === undefined) return null;
+
+  const input = normalizeVariantInput(body);
+  if (input.errors.length > 0) return input;
+
+  const skus = input.variants.map(variant => variant.sku);
+  const taken = skus.length > 0
+    ? await prisma.productVariant.findMany({
+      where: { sku: { in: skus }, ...(productId && { productId: { not: productId } }) },
+      select: { sku: true },
+    })
+    : [];
+  taken.forEach(variant => input.errors.push(`SKU ${variant.sku} is already used by another product`));
+
+  return input;
 };
 
 export const getProducts = asyncHandler(async (req, res) => {
-  const {
-    page = 1,
-    limit = 12,
-    category,
-    minPrice,
-    maxPrice,
-    search,
-    sort = 'createdAt',
-    order = 'desc',
-    featured,
-    active = 'true',
-  } = req.query;
+  // Ranked ids from full-text search; results default to relevance order when searching
+  const filters = await buildProductFilters(req.query);
 
-  const where = {
-    isActive: active === 'true',
-  };
+  try {
+    const { items, pagination } = await listProducts(req.query, filters);
 
-  if (category) {
-    where.category = category;
+    res.json({
+      success: true,
+      data: items,
+      pagination,
+    });
+  } catch (error) {
+    if (error instanceof CursorError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    throw error;
   }
+});
 
-  if (featured === 'true') {
-    where.isFeatured = true;
-  }
+export const getProductFacets = asyncHandler(async (req, res) => {
+  const { clauses } = await buildProductFilters(req.query);
+  const facets = await countProductFacets(clauses);
 
-  if (minPrice || maxPrice) {
-    where.price = {};
-    if (minPrice) where.price.gte = new Prisma.Decimal(minPrice);
-    if (maxPrice) where.price.lte = new Prisma.Decimal(maxPrice);
-  }
+  res.json({
+    success: true,
+    data: facets,
+  });
+});
 
-  if (search) {
-    where.OR = [
-      { name: { contains: search, mode: 'insensitive' } },
-      { description: { contains: search, mode: 'insensitive' } },
-      { category: { contains: search, mode: 'insensitive' } },
-    ];
-  }
+export const getSearchSuggestions = asyncHandler(async (req, res) => {
+  const { q = '', limit = 8 } = req.query;
+  const term = String(q).trim();
 
-  const skip = (Number(page) - 1) * Number(limit);
-  const orderBy = {
-    [mapSortField(sort)]: order === 'asc' ? 'asc' : 'desc',
-  };
+  if (term.length < 2) {
+    return res.json({
+      success: true,
+      data: [],
+    });
+  }
 
-  const [products, total] = await prisma.$transaction([
-    prisma.product.findMany({
-      where,
-      orderBy,
-      skip,
-      take: Number(limit),
-      include: productInclude,
-    }),
-    prisma.product.count({ where }),
-  ]);
+  const suggestions = await suggestProducts(term, Math.min(Number(limit) || 8, 20));
 
   res.json({
     success: true,
-    data: products,
-    pagination: {
-      currentPage: Number(page),
-      totalPages: Math.ceil(total / Number(limit)) || 1,
-      totalProducts: total,
-      hasNext: skip + products.length < total,
-      hasPrev: Number(page) > 1,
-    },
+    data: suggestions,
   });
 });
 
+// Most helpful approved reviews shown with a single product
+const REVIEW_PREVIEW_SIZE = 3;
+
 export const getProduct = asyncHandler(async (req, res) => {
   const product = await prisma.product.findUnique({
     where: { id: req.params.id },
-    include: productInclude,
+    include: {
+      ...productInclude,
+      reviews: {
+        where: { status: 'approved' },
+        orderBy: [{ helpfulCount: 'desc' }, { createdAt: 'desc' }],
+        take: REVIEW_PREVIEW_SIZE,
+        include: reviewInclude(req.user?.id),
+      },
+    },
   });
 
-  if (!product) {
+  // Archived products stay visible to admins only
+  if (!product || (product.deletedAt && req.user?.role !== 'ADMIN')) {
     return res.status(404).json({
       success: false,
       message: 'Product not found',
@@ -134,62 +124,186 @@ export const getProduct = asyncHandler(async (req, res) => {
 
   res.json({
     success: true,
-    data: product,
+    data: withSalePricing({ ...product, reviews: product.reviews.map(serializeReview) }),
   });
 });
 
 export const createProduct = asyncHandler(async (req, res) => {
   const {
     name,
+    slug,
     description,
+    categoryId,
     category,
     price,
     stock,
+    weight,
     images,
+    productImages,
+    lowStockThreshold,
+    tags,
     isActive,
     isFeatured,
   } = req.body;
 
-  const product = await prisma.product.create({
-    data: {
-      name,
-      description,
-      category,
-      price: new Prisma.Decimal(price ?? 0),
-      stock: Number(stock ?? 0),
-      images: images ?? [],
-      isActive: isActive ?? true,
-      isFeatured: isFeatured ?? false,
-    },
-    include: productInclude,
+  const categoryData = { categoryId, category };
+  const categoryError = await applyProductCategory(categoryData);
+  const imageError = productImages !== undefined ? await validateProductImages(productImages) : null;
+  const thresholdError = lowStockThresholdError(lowStockThreshold);
+  const sale = normalizeSalePricing(req.body);
+  const variantInput = await prepareVariantInput(req.body);
+  const errors = [
+    ...(categoryError ? [categoryError] : []),
+    ...(imageError ? [imageError] : []),
+    ...(thresholdError ? [thresholdError] : []),
+    ...sale.errors,
+    ...(variantInput?.errors ?? []),
+  ];
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors,
+    });
+  }
+
+  const product = await prisma.$transaction(async tx => {
+    const created = await tx.product.create({
+      data: {
+        name,
+        slug: await uniqueSlug(tx.product, slug || name),
+        description,
+        categoryId: categoryData.categoryId,
+        category: categoryData.category,
+        price: new Prisma.Decimal(price ?? 0),
+        stock: Number(stock ?? 0),
+        weight: weight !== undefined && weight !== null ? new Prisma.Decimal(weight) : null,
+        images: images ?? [],
+        lowStockThreshold: lowStockThreshold != null ? Number(lowStockThreshold) : null,
+        tags: parseTags(tags),
+        ...sale.data,
+        isActive: isActive ?? true,
+        isFeatured: isFeatured ?? false,
+      },
+    });
+
+    if (variantInput) {
+      await syncProductVariants(tx, created.id, variantInput, { userId: req.user.id });
+    } else {
+      await recordStockMovements(tx, [{
+        productId: created.id,
+        delta: created.stock,
+        reason: 'adjustment',
+        stockAfter: created.stock,
+        userId: req.user.id,
+        note: 'Initial stock',
+      }]);
+    }
+
+    if (productImages !== undefined) {
+      await syncProductImages(tx, created.id, productImages);
+    }
+
+    return tx.product.findUnique({
+      where: { id: created.id },
+      include: productInclude,
+    });
   });
 
   res.status(201).json({
     success: true,
-    data: product,
+    data: withSalePricing(product),
     message: 'Product created successfully',
   });
 });
 
 export const updateProduct = asyncHandler(async (req, res) => {
+  const {
+    options,
+    variants,
+    productImages,
+    ...data
+  } = req.body;
+
+  if (data.stock !== undefined) {
+    return res.status(400).json({
+      success: false,
+      message: 'Stock is changed through POST /api/products/:id/stock-adjustments so every change is recorded',
+    });
+  }
+
+  const categoryError = await applyProductCategory(data);
+  const imageError = productImages !== undefined ? await validateProductImages(productImages, req.params.id) : null;
+  const thresholdError = lowStockThresholdError(data.lowStockThreshold);
+  const sale = normalizeSalePricing(data);
+  const variantInput = await prepareVariantInput({ options, variants }, req.params.id);
+  const errors = [
+    ...(categoryError ? [categoryError] : []),
+    ...(imageError ? [imageError] : []),
+    ...(thresholdError ? [thresholdError] : []),
+    ...sale.errors,
+    ...(variantInput?.errors ?? []),
+  ];
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors,
+    });
+  }
+
   try {
-    const data = { ...req.body };
+    if (data.slug !== undefined) {
+      data.slug = await uniqueSlug(prisma.product, data.slug || data.name, req.params.id);
+    }
     if (data.price !== undefined) {
       data.price = new Prisma.Decimal(data.price);
     }
-    if (data.stock !== undefined) {
-      data.stock = Number(data.stock);
+    if (data.weight !== undefined && data.weight !== null) {
+      data.weight = new Prisma.Decimal(data.weight);
     }
+    if (data.lowStockThreshold !== undefined && data.lowStockThreshold !== null) {
+      data.lowStockThreshold = Number(data.lowStockThreshold);
+    }
+    if (data.tags !== undefined) {
+      data.tags = parseTags(data.tags);
+    }
+    Object.assign(data, sale.data);
+
+    let removedImageIds = [];
+    let stockMovements = [];
+    const product = await prisma.$transaction(async tx => {
+      await tx.product.update({
+        where: { id: req.params.id },
+        data,
+      });
 
-    const product = await prisma.product.update({
-      where: { id: req.params.id },
-      data,
-      include: productInclude,
+      if (productImages !== undefined) {
+        removedImageIds = await syncProductImages(tx, req.params.id, productImages);
+      }
+
+      // Existing variants keep their stock; only new variants bring initial stock
+      if (variantInput) {
+        stockMovements = await syncProductVariants(tx, req.params.id, variantInput, {
+          preserveStock: true,
+          userId: req.user.id,
+        });
+      }
+
+      return tx.product.findUnique({
+        where: { id: req.params.id },
+        include: productInclude,
+      });
     });
 
+    await deleteStoredImageFiles(removedImageIds);
+    await publishStockEvents(stockMovements);
+
     res.json({
       success: true,
-      data: product,
+      data: withSalePricing(product),
       message: 'Product updated successfully',
     });
   } catch (error) {
@@ -203,148 +317,209 @@ export const updateProduct = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * Archive rather than delete: past orders keep pointing at the product, while it
+ * disappears from the storefront, carts and checkout
+ */
 export const deleteProduct = asyncHandler(async (req, res) => {
-  try {
-    await prisma.product.delete({ where: { id: req.params.id } });
-    res.json({
-      success: true,
-      message: 'Product deleted successfully',
-    });
-  } catch (error) {
-    if (error.code === 'P2025') {
-      return res.status(404).json({
-        success: false,
-        message: 'Product not found',
-      });
-    }
-    throw error;
-  }
-});
-
-export const addProductReview = asyncHandler(async (req, res) => {
-  const { rating, comment } = req.body;
-  const productId = req.params.id;
-
-  const product = await prisma.product.findUnique({
-    where: { id: productId },
+  const { count } = await prisma.product.updateMany({
+    where: { id: req.params.id, deletedAt: null },
+    data: { deletedAt: new Date(), isFeatured: false },
   });
 
-  if (!product) {
-    return res.status(404).json({
+  if (count === 0) {
+    const exists = await prisma.product.findUnique({
+      where: { id: req.params.id },
+      select: { id: true },
+    });
+    return res.status(exists ? 409 : 404).json({
       success: false,
-      message: 'Product not found',
+      message: exists ? 'Product is already archived' : 'Product not found',
     });
   }
 
-  const existingReview = await prisma.review.findFirst({
-    where: {
-      productId,
-      userId: req.user.id,
-    },
+  res.json({
+    success: true,
+    message: 'Product archived successfully',
   });
+});
 
-  if (existingReview) {
-    return res.status(400).json({
-      success: false,
-      message: 'You have already reviewed this product',
-    });
-  }
+export const getArchivedProducts = asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = 20,
+    search,
+  } = req.query;
 
-  const review = await prisma.review.create({
-    data: {
-      productId,
-      userId: req.user.id,
-      rating: Number(rating),
-      comment: comment || '',
-    },
-    ...reviewInclude,
-  });
+  const where = { deletedAt: { not: null } };
+  if (search) {
+    where.OR = [
+      { name: { contains: search, mode: 'insensitive' } },
+      { slug: { contains: search, mode: 'insensitive' } },
+    ];
+  }
 
-  await refreshProductRating(productId);
+  const skip = (Number(page) - 1) * Number(limit);
+  const [products, total] = await Promise.all([
+    prisma.product.findMany({
+      where,
+      orderBy: { deletedAt: 'desc' },
+      skip,
+      take: Number(limit),
+      include: productInclude,
+    }),
+    prisma.product.count({ where }),
+  ]);
 
-  res.status(201).json({
+  res.json({
     success: true,
-    message: 'Review added successfully',
-    data: review,
+    data: products,
+    pagination: {
+      currentPage: Number(page),
+      totalPages: Math.ceil(total / Number(limit)) || 1,
+      totalProducts: total,
+      hasNext: skip + products.length < total,
+      hasPrev: Number(page) > 1,
+    },
   });
 });
 
-export const updateProductReview = asyncHandler(async (req, res) => {
-  const { rating, comment } = req.body;
-  const review = await prisma.review.findUnique({
-    where: { id: req.params.reviewId },
+export const restoreProduct = asyncHandler(async (req, res) => {
+  const { count } = await prisma.product.updateMany({
+    where: { id: req.params.id, deletedAt: { not: null } },
+    data: { deletedAt: null },
   });
 
-  if (!review || review.productId !== req.params.id) {
-    return res.status(404).json({
-      success: false,
-      message: 'Review not found',
+  if (count === 0) {
+    const exists = await prisma.product.findUnique({
+      where: { id: req.params.id },
+      select: { id: true },
     });
-  }
-
-  if (review.userId !== req.user.id) {
-    return res.status(403).json({
+    return res.status(exists ? 409 : 404).json({
       success: false,
-      message: 'Not authorized to update this review',
+      message: exists ? 'Product is not archived' : 'Product not found',
     });
   }
 
-  const updated = await prisma.review.update({
-    where: { id: req.params.reviewId },
-    data: {
-      rating: Number(rating),
-      comment: comment || '',
-    },
-    ...reviewInclude,
+  const product = await prisma.product.findUnique({
+    where: { id: req.params.id },
+    include: productInclude,
   });
 
-  await refreshProductRating(review.productId);
-
   res.json({
     success: true,
-    message: 'Review updated successfully',
-    data: updated,
+    data: product,
+    message: 'Product restored successfully',
   });
 });
 
-export const deleteProductReview = asyncHandler(async (req, res) => {
-  const review = await prisma.review.findUnique({
-    where: { id: req.params.reviewId },
+/**
+ * Permanently delete a product. Only allowed for products no order refers to, since
+ * order history renders from the product row.
+ */
+const ORDERED_PRODUCT_MESSAGE = 'Product appears in existing orders and can only be archived';
+
+/**
+ * Delete a product and every row that depends on it, inside `tx`. Orders are never
+ * touched: callers refuse to purge ordered products. Returns the ids of the image and
+ * review photo files to remove once the transaction has committed.
+ */
+const deleteProductTree = async (tx, productId) => {
+  const [images, photos, coupons] = await Promise.all([
+    tx.productImage.findMany({ where: { productId }, select: { id: true } }),
+    tx.reviewPhoto.findMany({ where: { review: { productId } }, select: { id: true } }),
+    tx.coupon.findMany({ where: { productIds: { has: productId } }, select: { id: true, productIds: true } }),
+  ]);
+
+  await tx.reviewPhoto.deleteMany({ where: { review: { productId } } });
+  await tx.reviewVote.deleteMany({ where: { review: { productId } } });
+  await tx.review.deleteMany({ where: { productId } });
+  await tx.productImage.deleteMany({ where: { productId } });
+  await tx.cartItem.deleteMany({ where: { productId } });
+  await tx.stockSubscription.deleteMany({ where: { productId } });
+  await tx.inventoryMovement.deleteMany({ where: { productId } });
+  await tx.collectionProduct.deleteMany({ where: { productId } });
+  await tx.productAffinity.deleteMany({
+    where: { OR: [{ productId }, { relatedProductId: productId }] },
   });
+  await tx.productVariant.deleteMany({ where: { productId } });
+  await tx.productOption.deleteMany({ where: { productId } });
+
+  // Coupon scopes hold product ids in a list rather than a relation
+  for (const coupon of coupons) {
+    await tx.coupon.update({
+      where: { id: coupon.id },
+      data: { productIds: coupon.productIds.filter(id => id !== productId) },
+    });
+  }
 
-  if (!review || review.productId !== req.params.id) {
+  await tx.product.delete({ where: { id: productId } });
+
+  return {
+    imageIds: images.map(image => image.id),
+    photoIds: photos.map(photo => photo.id),
+  };
+};
+
+export const purgeProduct = asyncHandler(async (req, res) => {
+  const [product, orderItemCount] = await Promise.all([
+    prisma.product.findUnique({
+      where: { id: req.params.id },
+      select: { id: true },
+    }),
+    prisma.orderItem.count({ where: { productId: req.params.id } }),
+  ]);
+
+  if (!product) {
     return res.status(404).json({
       success: false,
-      message: 'Review not found',
+      message: 'Product not found',
     });
   }
 
-  if (review.userId !== req.user.id && req.user.role !== 'ADMIN' && req.user.role !== 'admin') {
-    return res.status(403).json({
+  if (orderItemCount > 0) {
+    return res.status(409).json({
       success: false,
-      message: 'Not authorized to delete this review',
+      message: ORDERED_PRODUCT_MESSAGE,
     });
   }
 
-  await prisma.review.delete({ where: { id: req.params.reviewId } });
-  await refreshProductRating(review.productId);
+  try {
+    const { imageIds, photoIds } = await prisma.$transaction(tx => deleteProductTree(tx, product.id));
+
+    // Files go only after the delete has committed
+    await deleteStoredImageFiles(imageIds);
+    await deleteStoredReviewPhotoFiles(photoIds);
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found',
+      });
+    }
+    // Only an order placed since the check above is worth a 409; other foreign key
+    // failures are bugs and go to the error handler
+    if (error.code === 'P2003' && await prisma.orderItem.count({ where: { productId: product.id } }) > 0) {
+      return res.status(409).json({
+        success: false,
+        message: ORDERED_PRODUCT_MESSAGE,
+      });
+    }
+    throw error;
+  }
 
   res.json({
     success: true,
-    message: 'Review deleted successfully',
+    message: 'Product permanently deleted',
   });
 });
 
 export const getProductCategories = asyncHandler(async (req, res) => {
-  const categories = await prisma.product.findMany({
-    where: { category: { not: null } },
-    select: { category: true },
-    distinct: ['category'],
-  });
+  const tree = await getCategoryTree();
 
   res.json({
     success: true,
-    data: categories.map(item => item.category),
+    data: tree,
   });
 });
 
@@ -355,6 +530,7 @@ export const getFeaturedProducts = asyncHandler(async (req, res) => {
     where: {
       isFeatured: true,
       isActive: true,
+      deletedAt: null,
     },
     orderBy: { createdAt: 'desc' },
     take: Number(limit),
@@ -363,14 +539,14 @@ export const getFeaturedProducts = asyncHandler(async (req, res) => {
 
   res.json({
     success: true,
-    data: products,
+    data: products.map(product => withSalePricing(product)),
   });
 });
 
 export const getRelatedProducts = asyncHandler(async (req, res) => {
   const { limit = 4 } = req.query;
-  const product = await prisma.product.findUnique({
-    where: { id: req.params.id },
+  const product = await prisma.product.findFirst({
+    where: { id: req.params.id, deletedAt: null },
   });
 
   if (!product) {
@@ -380,18 +556,41 @@ export const getRelatedProducts = asyncHandler(async (req, res) => {
     });
   }
 
-  const related = await prisma.product.findMany({
-    where: {
-      id: { not: product.id },
-      category: product.category,
-      isActive: true,
-    },
-    take: Number(limit),
+  // Co-purchase affinity blended with category, best first
+  const ids = await getRelatedProductIds(product, Math.min(Number(limit) || 4, 20));
+  const rank = new Map(ids.map((id, index) => [id, index]));
+  const related = (await prisma.product.findMany({
+    where: { id: { in: ids } },
+    include: productInclude,
+  })).sort((a, b) => rank.get(a.id) - rank.get(b.id));
+
+  res.json({
+    success: true,
+    data: related.map(product => withSalePricing(product)),
+  });
+});
+
+export const getFrequentlyBoughtTogether = asyncHandler(async (req, res) => {
+  const { limit = 4 } = req.query;
+  const product = await prisma.product.findFirst({
+    where: { id: req.params.id, deletedAt: null },
+    select: { id: true },
+  });
+
+  if (!product) {
+    return res.status(404).json({
+      success: false,
+      message: 'Product not found',
+    });
+  }
+
+  const products = await loadFrequentlyBoughtTogether(product.id, {
+    limit: Math.min(Number(limit) || 4, 20),
     include: productInclude,
   });
 
   res.json({
     success: true,
-    data: related,
+    data: products.map(related => withSalePricing(related)),
   });
 });
@@ -0,0 +1,87 @@
+import prisma from '../config/db.js';
+import { asyncHandler } from '../middleware/authMiddleware.js';
+import {
+  ImageValidationError,
+  deleteStoredImageFiles,
+  storeProductImage,
+  syncProductImages,
+} from '../services/imageService.js';
+
+export const uploadImages = asyncHandler(async (req, res) => {
+  const files = req.files || [];
+
+  if (files.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Upload at least one image in the "images" field',
+    });
+  }
+
+  // Optional alt text per file, in upload order
+  const alts = [].concat(req.body?.alt ?? []);
+  const images = [];
+
+  try {
+    for (const [index, file] of files.entries()) {
+      images.push(await storeProductImage(file, {
+        alt: alts[index] || null,
+        uploadedById: req.user.id,
+      }));
+    }
+  } catch (error) {
+    // All or nothing: drop what this request already stored
+    const ids = images.map(image => image.id);
+    if (ids.length > 0) {
+      await prisma.productImage.deleteMany({ where: { id: { in: ids } } });
+      await deleteStoredImageFiles(ids);
+    }
+
+    if (error instanceof ImageValidationError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: `${files[images.length].originalname}: ${error.message}`,
+      });
+    }
+    throw error;
+  }
+
+  res.status(201).json({
+    success: true,
+    data: images,
+    message: 'Images uploaded successfully',
+  });
+});
+
+export const deleteImage = asyncHandler(async (req, res) => {
+  const image = await prisma.productImage.findUnique({
+    where: { id: req.params.imageId },
+  });
+
+  if (!image) {
+    return res.status(404).json({
+      success: false,
+      message: 'Image not found',
+    });
+  }
+
+  if (image.productId) {
+    // Re-sync the remaining images so ordering and Product.images stay consistent
+    await prisma.$transaction(async tx => {
+      const remaining = await tx.productImage.findMany({
+        where: { productId: image.productId, id: { not: image.id } },
+        orderBy: { position: 'asc' },
+        select: { id: true },
+      });
+      await syncProductImages(tx, image.productId, remaining);
+    });
+  } else {
+    await prisma.productImage.delete({ where: { id: image.id } });
+  }
+
+  await deleteStoredImageFiles([image.id]);
+
+  res.json({
+    success: true,
+    message: 'Image deleted successfully',
+  });
+});
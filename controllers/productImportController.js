@@ -0,0 +1,220 @@
+import prisma from '../config/db.js';
+import { inngest } from '../inngest/client.js';
+import { asyncHandler } from '../middleware/authMiddleware.js';
+import { parseCsvRecords, toCsvLine } from '../services/csvService.js';
+import {
+  IMPORT_INLINE_ROW_LIMIT,
+  PRODUCT_CSV_COLUMNS,
+  groupImportRecords,
+  importProductGroups,
+  parseImportRecord,
+  productToCsvRows,
+  summarizeImport,
+} from '../services/productImportService.js';
+
+const EXPORT_BATCH_SIZE = 200;
+
+const serializeJob = (job) => ({
+  id: job.id,
+  status: job.status,
+  dryRun: job.dryRun,
+  fileName: job.fileName,
+  totalRows: job.totalRows,
+  processedRows: job.processedRows,
+  progress: job.totalRows ? Math.round((job.processedRows / job.totalRows) * 100) : 0,
+  summary: job.summary,
+  error: job.error,
+  resultUrl: job.status === 'completed' ? `/api/products/admin/import/${job.id}/result` : null,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  completedAt: job.completedAt,
+});
+
+/**
+ * Write a chunk and wait for the socket to drain when its buffer is full. Resolves false
+ * once the client has gone away, so the export can stop early.
+ */
+const writeChunk = async (res, chunk) => {
+  if (res.destroyed) return false;
+  if (res.write(chunk)) return true;
+
+  await new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+  return !res.destroyed;
+};
+
+export const exportProducts = asyncHandler(async (req, res) => {
+  const { active } = req.query;
+  const where = { deletedAt: null };
+  if (active !== undefined) where.isActive = active === 'true';
+  const date = new Date().toISOString().slice(0, 10);
+
+  const loadBatch = (cursor) => prisma.product.findMany({
+    where,
+    orderBy: { id: 'asc' },
+    take: EXPORT_BATCH_SIZE,
+    ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+    include: {
+      variants: {
+        where: { isActive: true },
+        orderBy: { createdAt: 'asc' },
+      },
+    },
+  });
+
+  // Load the first batch before sending headers, so an early failure still gets a JSON error
+  let products = await loadBatch(null);
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="products-${date}.csv"`);
+
+  // Stream in id order, one batch at a time, so the catalog is never held in memory
+  try {
+    if (!(await writeChunk(res, toCsvLine(PRODUCT_CSV_COLUMNS)))) return;
+
+    for (;;) {
+      const chunk = products.flatMap(product => productToCsvRows(product).map(toCsvLine)).join('');
+      if (chunk && !(await writeChunk(res, chunk))) return;
+
+      if (products.length < EXPORT_BATCH_SIZE) break;
+      products = await loadBatch(products[products.length - 1].id);
+    }
+  } catch (error) {
+    // Headers are out, so the JSON error handler cannot answer; cut the download short
+    // so the client sees a failed transfer rather than a truncated file that looks whole
+    console.error('Product export failed mid-stream:', error);
+    res.destroy(error);
+    return;
+  }
+
+  res.end();
+});
+
+export const importProducts = asyncHandler(async (req, res) => {
+  const csv = typeof req.body === 'string' ? req.body : '';
+  const dryRun = req.query.dryRun === 'true';
+
+  if (!csv.trim()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Send the CSV as the request body with Content-Type: text/csv',
+    });
+  }
+
+  const { columns, records } = parseCsvRecords(csv);
+  const unknownColumns = columns.filter(column => !PRODUCT_CSV_COLUMNS.includes(column));
+
+  if (!columns.includes('slug') && !columns.includes('sku')) {
+    return res.status(400).json({
+      success: false,
+      message: 'CSV needs a slug or sku column to match products',
+    });
+  }
+
+  if (unknownColumns.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Unknown columns: ${unknownColumns.join(', ')}`,
+      allowedColumns: PRODUCT_CSV_COLUMNS,
+    });
+  }
+
+  if (records.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'CSV has no data rows',
+    });
+  }
+
+  if (records.length > IMPORT_INLINE_ROW_LIMIT) {
+    const job = await prisma.productImportJob.create({
+      data: {
+        status: 'queued',
+        dryRun,
+        fileName: req.query.fileName || null,
+        csv,
+        totalRows: records.length,
+        processedRows: 0,
+        requestedById: req.user.id,
+      },
+    });
+
+    await inngest.send({
+      name: 'products/import.requested',
+      data: { jobId: job.id },
+    });
+
+    return res.status(202).json({
+      success: true,
+      data: serializeJob(job),
+      message: 'Import queued, poll the job for progress',
+    });
+  }
+
+  const groups = groupImportRecords(records.map(parseImportRecord));
+  const results = await importProductGroups(groups, { dryRun, userId: req.user.id });
+  const summary = summarizeImport(results, { dryRun });
+
+  res.json({
+    success: true,
+    data: {
+      summary,
+      rows: results,
+    },
+    message: dryRun ? 'Dry run complete, nothing was saved' : 'Import complete',
+  });
+});
+
+export const getImportJob = asyncHandler(async (req, res) => {
+  const job = await prisma.productImportJob.findUnique({
+    where: { id: req.params.jobId },
+  });
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      message: 'Import job not found',
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      ...serializeJob(job),
+      // Row errors only; the full per-row report is in the result file
+      errors: (job.results || []).filter(result => result.status === 'error'),
+    },
+  });
+});
+
+export const downloadImportResult = asyncHandler(async (req, res) => {
+  const job = await prisma.productImportJob.findUnique({
+    where: { id: req.params.jobId },
+    select: { id: true, status: true, resultCsv: true },
+  });
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      message: 'Import job not found',
+    });
+  }
+
+  if (job.status !== 'completed' || !job.resultCsv) {
+    return res.status(409).json({
+      success: false,
+      message: 'Import has not finished yet',
+    });
+  }
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="product-import-${job.id}.csv"`);
+  res.send(job.resultCsv);
+});
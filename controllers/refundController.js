@@ -0,0 +1,162 @@
+import { Prisma } from '@prisma/client';
+import prisma from '../config/db.js';
+import { asyncHandler } from '../middleware/authMiddleware.js';
+import {
+  REFUNDABLE_PAYMENT_STATUSES,
+  RefundError,
+  issueRefund,
+} from '../services/refundService.js';
+
+const decimal = (value = 0) => new Prisma.Decimal(value);
+
+// Refunds are paid out in cents, so amounts take at most two decimals
+const isRefundAmount = (value) => (typeof value === 'number' || typeof value === 'string')
+  && /^\d+(\.\d{1,2})?$/.test(String(value).trim())
+  && Number(value) > 0;
+
+export const getOrderRefunds = asyncHandler(async (req, res) => {
+  const order = await prisma.order.findUnique({
+    where: { id: req.params.id },
+    select: { id: true, userId: true },
+  });
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found',
+    });
+  }
+
+  if (order.userId !== req.user.id && req.user.role !== 'admin' && req.user.role !== 'ADMIN') {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to view refunds for this order',
+    });
+  }
+
+  const refunds = await prisma.refund.findMany({
+    where: { orderId: order.id },
+    orderBy: { createdAt: 'desc' },
+  });
+
+  res.json({
+    success: true,
+    data: refunds,
+  });
+});
+
+export const createOrderRefund = asyncHandler(async (req, res) => {
+  const { amount, items = [], reason } = req.body;
+
+  if (!reason) {
+    return res.status(400).json({
+      success: false,
+      message: 'A refund reason is required',
+    });
+  }
+
+  if (amount === undefined && (!Array.isArray(items) || items.length === 0)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Provide an amount or the line items to refund',
+    });
+  }
+
+  if (amount !== undefined && !isRefundAmount(amount)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: ['amount must be a number greater than 0 with at most 2 decimals'],
+    });
+  }
+
+  const order = await prisma.order.findUnique({
+    where: { id: req.params.id },
+    include: { items: true },
+  });
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found',
+    });
+  }
+
+  if (!REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Only paid orders can be refunded',
+    });
+  }
+
+  const refundItems = [];
+  let itemsAmount = decimal(0);
+
+  if (Array.isArray(items) && items.length > 0) {
+    const orderItemMap = new Map(order.items.map(item => [item.id, item]));
+
+    for (const item of items) {
+      const orderItem = orderItemMap.get(item.orderItemId);
+      if (!orderItem) {
+        return res.status(400).json({
+          success: false,
+          message: `Order item not found: ${item.orderItemId}`,
+        });
+      }
+
+      // Quantities refunded earlier are taken into account by issueRefund
+      const quantity = Number(item.quantity ?? orderItem.quantity);
+      if (!Number.isInteger(quantity) || quantity <= 0 || quantity > orderItem.quantity) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid refund quantity for order item ${orderItem.id}. Ordered: ${orderItem.quantity}`,
+        });
+      }
+
+      // Coupon discounts and exclusive tax were applied per line, so the refund reproduces them pro rata
+      const lineCharged = decimal(orderItem.total)
+        .minus(orderItem.discount || 0)
+        .plus(order.taxInclusive ? 0 : orderItem.tax || 0);
+      const lineAmount = lineCharged.times(quantity).dividedBy(orderItem.quantity).toDecimalPlaces(2);
+      itemsAmount = itemsAmount.plus(lineAmount);
+      refundItems.push({
+        orderItemId: orderItem.id,
+        productId: orderItem.productId,
+        quantity,
+        amount: lineAmount.toString(),
+      });
+    }
+  }
+
+  const refundAmount = amount !== undefined ? decimal(amount) : itemsAmount;
+
+  // issueRefund checks the remaining balance under a lock on the order
+  let refund;
+  try {
+    refund = await issueRefund({
+      order,
+      amount: refundAmount,
+      reason,
+      items: refundItems,
+      requestedById: req.user.id,
+    });
+  } catch (error) {
+    if (error instanceof RefundError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    console.error(`Refund for order ${order.id} failed:`, error.message);
+    return res.status(502).json({
+      success: false,
+      message: 'Refund could not be issued by the payment provider',
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    data: refund,
+    message: 'Refund issued successfully',
+  });
+});
@@ -0,0 +1,506 @@
+import prisma from '../config/db.js';
+import { asyncHandler } from '../middleware/authMiddleware.js';
+import {
+  ImageValidationError,
+  deleteStoredReviewPhotoFiles,
+  storeReviewPhoto,
+} from '../services/imageService.js';
+import {
+  CursorError,
+  findManyByCursor,
+  isCursorRequest,
+  parseCursorLimit,
+} from '../services/paginationService.js';
+import {
+  REVIEW_SORTS,
+  REVIEW_STATUSES,
+  buildReviewFilters,
+  hasVerifiedPurchase,
+  recordReviewVote,
+  refreshProductRating,
+  reviewInclude,
+  reviewRatingError,
+  serializeReview,
+  syncReviewPhotos,
+  validateReviewPhotos,
+} from '../services/reviewService.js';
+
+// Outcomes a moderator can choose
+const MODERATION_STATUSES = ['approved', 'rejected'];
+
+export const getReviewQueue = asyncHandler(async (req, res) => {
+  const {
+    status = 'pending',
+    productId,
+    verified,
+    limit = 20,
+    cursor,
+  } = req.query;
+
+  if (!REVIEW_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      message: `status must be one of: ${REVIEW_STATUSES.join(', ')}`,
+    });
+  }
+
+  const where = { status };
+  if (productId) where.productId = productId;
+  if (verified !== undefined) where.verifiedPurchase = verified === 'true';
+
+  try {
+    // Oldest first, so the queue is worked through in arrival order
+    const [{ items, pagination }, counts] = await Promise.all([
+      findManyByCursor(prisma.review, {
+        where,
+        direction: 'asc',
+        cursor,
+        limit: parseCursorLimit(limit, 20),
+        include: {
+          user: { select: { id: true, email: true, firstName: true, lastName: true } },
+          product: { select: { id: true, name: true, slug: true } },
+        },
+      }),
+      prisma.review.groupBy({ by: ['status'], _count: { _all: true } }),
+    ]);
+
+    res.json({
+      success: true,
+      data: items,
+      counts: Object.fromEntries(REVIEW_STATUSES.map(name => [
+        name,
+        counts.find(group => group.status === name)?._count._all ?? 0,
+      ])),
+      pagination,
+    });
+  } catch (error) {
+    if (error instanceof CursorError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    throw error;
+  }
+});
+
+export const moderateReview = asyncHandler(async (req, res) => {
+  const { status, note } = req.body;
+
+  if (!MODERATION_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: [`status must be one of: ${MODERATION_STATUSES.join(', ')}`],
+    });
+  }
+
+  const review = await prisma.review.findUnique({
+    where: { id: req.params.reviewId },
+  });
+
+  if (!review) {
+    return res.status(404).json({
+      success: false,
+      message: 'Review not found',
+    });
+  }
+
+  const updated = await prisma.review.update({
+    where: { id: review.id },
+    data: {
+      status,
+      moderatedAt: new Date(),
+      moderatedById: req.user.id,
+      moderationNote: note ? String(note).trim() : null,
+    },
+  });
+
+  // Only approved reviews count toward the product rating
+  if (review.status === 'approved' || status === 'approved') {
+    await refreshProductRating(review.productId);
+  }
+
+  res.json({
+    success: true,
+    data: updated,
+    message: `Review ${status}`,
+  });
+});
+
+export const getProductReviews = asyncHandler(async (req, res) => {
+  const { sort = 'newest', page = 1, limit = 10 } = req.query;
+
+  const order = REVIEW_SORTS[sort];
+  if (!order) {
+    return res.status(400).json({
+      success: false,
+      message: `sort must be one of: ${Object.keys(REVIEW_SORTS).join(', ')}`,
+    });
+  }
+
+  const product = await prisma.product.findFirst({
+    where: { id: req.params.id, deletedAt: null },
+    select: { id: true, ratingAverage: true, ratingCount: true, ratingDistribution: true },
+  });
+
+  if (!product) {
+    return res.status(404).json({
+      success: false,
+      message: 'Product not found',
+    });
+  }
+
+  const where = buildReviewFilters(product.id, req.query);
+  const include = reviewInclude(req.user?.id);
+  const summary = {
+    ratingAverage: product.ratingAverage,
+    ratingCount: product.ratingCount,
+    ratingDistribution: product.ratingDistribution,
+  };
+
+  if (isCursorRequest(req.query)) {
+    try {
+      const { items, pagination } = await findManyByCursor(prisma.review, {
+        where,
+        ...order,
+        cursor: req.query.cursor,
+        limit: parseCursorLimit(limit, 10),
+        include,
+      });
+
+      return res.json({
+        success: true,
+        data: items.map(serializeReview),
+        summary,
+        pagination,
+      });
+    } catch (error) {
+      if (error instanceof CursorError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      throw error;
+    }
+  }
+
+  const skip = (Number(page) - 1) * Number(limit);
+  const [reviews, total] = await prisma.$transaction([
+    prisma.review.findMany({
+      where,
+      orderBy: [{ [order.field]: order.direction }, { id: order.direction }],
+      skip,
+      take: Number(limit),
+      include,
+    }),
+    prisma.review.count({ where }),
+  ]);
+
+  res.json({
+    success: true,
+    data: reviews.map(serializeReview),
+    summary,
+    pagination: {
+      currentPage: Number(page),
+      totalPages: Math.ceil(total / Number(limit)) || 1,
+      totalReviews: total,
+      hasNext: skip + reviews.length < total,
+      hasPrev: Number(page) > 1,
+    },
+  });
+});
+
+export const uploadPhotos = asyncHandler(async (req, res) => {
+  const files = req.files || [];
+
+  if (files.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Upload at least one image in the "photos" field',
+    });
+  }
+
+  const photos = [];
+
+  try {
+    for (const file of files) {
+      photos.push(await storeReviewPhoto(file, { userId: req.user.id }));
+    }
+  } catch (error) {
+    // All or nothing: drop what this request already stored
+    const ids = photos.map(photo => photo.id);
+    if (ids.length > 0) {
+      await prisma.reviewPhoto.deleteMany({ where: { id: { in: ids } } });
+      await deleteStoredReviewPhotoFiles(ids);
+    }
+
+    if (error instanceof ImageValidationError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: `${files[photos.length].originalname}: ${error.message}`,
+      });
+    }
+    throw error;
+  }
+
+  res.status(201).json({
+    success: true,
+    data: photos,
+    message: 'Photos uploaded successfully',
+  });
+});
+
+/**
+ * Validate the rating and optional photoIds of a review payload
+ */
+const validateReviewInput = async (body, userId, reviewId = null) => {
+  const errors = [];
+
+  const ratingError = reviewRatingError(body.rating);
+  if (ratingError) errors.push(ratingError);
+
+  if (body.photoIds !== undefined) {
+    const photoError = await validateReviewPhotos(body.photoIds, userId, reviewId);
+    if (photoError) errors.push(photoError);
+  }
+
+  return errors;
+};
+
+export const addProductReview = asyncHandler(async (req, res) => {
+  const { rating, comment, photoIds } = req.body;
+  const productId = req.params.id;
+
+  const errors = await validateReviewInput(req.body, req.user.id);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors,
+    });
+  }
+
+  const product = await prisma.product.findFirst({
+    where: { id: productId, deletedAt: null },
+  });
+
+  if (!product) {
+    return res.status(404).json({
+      success: false,
+      message: 'Product not found',
+    });
+  }
+
+  const existingReview = await prisma.review.findFirst({
+    where: {
+      productId,
+      userId: req.user.id,
+    },
+  });
+
+  if (existingReview) {
+    return res.status(400).json({
+      success: false,
+      message: 'You have already reviewed this product',
+    });
+  }
+
+  const verifiedPurchase = await hasVerifiedPurchase(req.user.id, productId);
+
+  // New reviews wait for moderation, so the product rating is unchanged for now
+  const review = await prisma.$transaction(async tx => {
+    const created = await tx.review.create({
+      data: {
+        productId,
+        userId: req.user.id,
+        rating: Number(rating),
+        comment: comment || '',
+        status: 'pending',
+        verifiedPurchase,
+      },
+    });
+    if (photoIds) await syncReviewPhotos(tx, created.id, photoIds);
+    return tx.review.findUnique({ where: { id: created.id }, include: reviewInclude() });
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Review submitted and awaiting moderation',
+    data: serializeReview(review),
+  });
+});
+
+export const updateProductReview = asyncHandler(async (req, res) => {
+  const { rating, comment, photoIds } = req.body;
+
+  const review = await prisma.review.findUnique({
+    where: { id: req.params.reviewId },
+  });
+
+  if (!review || review.productId !== req.params.id) {
+    return res.status(404).json({
+      success: false,
+      message: 'Review not found',
+    });
+  }
+
+  if (review.userId !== req.user.id) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to update this review',
+    });
+  }
+
+  const errors = await validateReviewInput(req.body, req.user.id, review.id);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors,
+    });
+  }
+
+  const verifiedPurchase = await hasVerifiedPurchase(req.user.id, review.productId);
+
+  // Edited reviews go back through moderation
+  const { updated, removedPhotoIds } = await prisma.$transaction(async tx => {
+    await tx.review.update({
+      where: { id: review.id },
+      data: {
+        rating: Number(rating),
+        comment: comment || '',
+        status: 'pending',
+        moderatedAt: null,
+        moderatedById: null,
+        moderationNote: null,
+        verifiedPurchase,
+      },
+    });
+    const removed = photoIds ? await syncReviewPhotos(tx, review.id, photoIds) : [];
+    return {
+      updated: await tx.review.findUnique({ where: { id: review.id }, include: reviewInclude() }),
+      removedPhotoIds: removed,
+    };
+  });
+
+  // Files go only after the update has committed
+  await deleteStoredReviewPhotoFiles(removedPhotoIds);
+
+  if (review.status === 'approved') {
+    await refreshProductRating(review.productId);
+  }
+
+  res.json({
+    success: true,
+    message: 'Review updated and awaiting moderation',
+    data: serializeReview(updated),
+  });
+});
+
+export const deleteProductReview = asyncHandler(async (req, res) => {
+  const review = await prisma.review.findUnique({
+    where: { id: req.params.reviewId },
+  });
+
+  if (!review || review.productId !== req.params.id) {
+    return res.status(404).json({
+      success: false,
+      message: 'Review not found',
+    });
+  }
+
+  if (review.userId !== req.user.id && req.user.role !== 'ADMIN' && req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to delete this review',
+    });
+  }
+
+  const photos = await prisma.$transaction(async tx => {
+    const attached = await tx.reviewPhoto.findMany({
+      where: { reviewId: review.id },
+      select: { id: true },
+    });
+    await tx.reviewPhoto.deleteMany({ where: { reviewId: review.id } });
+    await tx.reviewVote.deleteMany({ where: { reviewId: review.id } });
+    await tx.review.delete({ where: { id: review.id } });
+    return attached;
+  });
+
+  await deleteStoredReviewPhotoFiles(photos.map(photo => photo.id));
+
+  if (review.status === 'approved') {
+    await refreshProductRating(review.productId);
+  }
+
+  res.json({
+    success: true,
+    message: 'Review deleted successfully',
+  });
+});
+
+/**
+ * Load an approved review of the product in the route for voting, or answer 404/403
+ */
+const findVotableReview = async (req, res) => {
+  const review = await prisma.review.findUnique({
+    where: { id: req.params.reviewId },
+    select: { id: true, productId: true, userId: true, status: true },
+  });
+
+  if (!review || review.productId !== req.params.id || review.status !== 'approved') {
+    res.status(404).json({
+      success: false,
+      message: 'Review not found',
+    });
+    return null;
+  }
+
+  if (review.userId === req.user.id) {
+    res.status(403).json({
+      success: false,
+      message: 'You cannot vote on your own review',
+    });
+    return null;
+  }
+
+  return review;
+};
+
+export const voteReview = asyncHandler(async (req, res) => {
+  const { helpful } = req.body;
+
+  if (typeof helpful !== 'boolean') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: ['helpful must be true or false'],
+    });
+  }
+
+  const review = await findVotableReview(req, res);
+  if (!review) return;
+
+  const counts = await recordReviewVote(review.id, req.user.id, helpful);
+
+  res.json({
+    success: true,
+    data: { ...counts, myVote: helpful ? 'helpful' : 'unhelpful' },
+    message: 'Vote recorded',
+  });
+});
+
+export const removeReviewVote = asyncHandler(async (req, res) => {
+  const review = await findVotableReview(req, res);
+  if (!review) return;
+
+  const counts = await recordReviewVote(review.id, req.user.id, null);
+
+  res.json({
+    success: true,
+    data: { ...counts, myVote: null },
+    message: 'Vote removed',
+  });
+});
@@ -0,0 +1,158 @@
+import { Prisma } from '@prisma/client';
+import prisma from '../config/db.js';
+import { asyncHandler } from '../middleware/authMiddleware.js';
+import { SHIPPING_METHODS, SHIPPING_RATE_BASES } from '../services/shippingService.js';
+
+const toStringList = (value) => (Array.isArray(value) ? value.map(item => String(item).trim()).filter(Boolean) : []);
+
+const isNonNegativeNumber = (value) => String(value).trim() !== '' && Number.isFinite(Number(value)) && Number(value) >= 0;
+
+/**
+ * Build Prisma data for a shipping rule from the request body.
+ * With `partial`, only the fields present in the body are returned.
+ */
+const buildShippingRuleData = (body, partial = false) => {
+  const errors = [];
+  const data = {};
+
+  if (!partial || body.name !== undefined) {
+    if (!body.name) errors.push('name is required');
+    data.name = body.name;
+  }
+  if (!partial || body.method !== undefined) {
+    if (!SHIPPING_METHODS.includes(body.method)) {
+      errors.push(`method must be one of: ${SHIPPING_METHODS.join(', ')}`);
+    }
+    data.method = body.method;
+  }
+  if (!partial || body.basis !== undefined) {
+    const basis = body.basis ?? 'flat';
+    if (!SHIPPING_RATE_BASES.includes(basis)) {
+      errors.push(`basis must be one of: ${SHIPPING_RATE_BASES.join(', ')}`);
+    }
+    data.basis = basis;
+  }
+  if (!partial || body.countries !== undefined) data.countries = toStringList(body.countries);
+  if (!partial || body.regions !== undefined) data.regions = toStringList(body.regions);
+
+  for (const field of ['baseRate', 'perUnitRate']) {
+    if (!partial || body[field] !== undefined) {
+      const value = body[field] ?? 0;
+      if (isNonNegativeNumber(value)) data[field] = new Prisma.Decimal(value);
+      else errors.push(`${field} must be a non-negative number`);
+    }
+  }
+  for (const field of ['freeShippingThreshold', 'minUnits', 'maxUnits']) {
+    if (!partial || body[field] !== undefined) {
+      const value = body[field] ?? null;
+      if (value === null || value === '') data[field] = null;
+      else if (isNonNegativeNumber(value)) data[field] = new Prisma.Decimal(value);
+      else errors.push(`${field} must be a non-negative number`);
+    }
+  }
+  if (data.minUnits && data.maxUnits && data.minUnits.greaterThan(data.maxUnits)) {
+    errors.push('minUnits must not be above maxUnits');
+  }
+  if (!partial || body.estimatedDays !== undefined) {
+    const value = body.estimatedDays ?? null;
+    if (value === null || value === '') data.estimatedDays = null;
+    else if (Number.isInteger(Number(value)) && Number(value) >= 0) data.estimatedDays = Number(value);
+    else errors.push('estimatedDays must be a whole number of days');
+  }
+  if (!partial || body.priority !== undefined) {
+    data.priority = Number(body.priority ?? 0);
+    if (!Number.isInteger(data.priority)) errors.push('priority must be an integer');
+  }
+  if (!partial || body.isActive !== undefined) data.isActive = body.isActive ?? true;
+
+  return { data, errors };
+};
+
+export const getShippingRules = asyncHandler(async (req, res) => {
+  const { method, isActive } = req.query;
+
+  const where = {};
+  if (method) where.method = method;
+  if (isActive !== undefined) where.isActive = isActive === 'true';
+
+  const rules = await prisma.shippingRule.findMany({
+    where,
+    orderBy: [{ priority: 'asc' }, { createdAt: 'asc' }],
+  });
+
+  res.json({
+    success: true,
+    data: rules,
+  });
+});
+
+export const createShippingRule = asyncHandler(async (req, res) => {
+  const { data, errors } = buildShippingRuleData(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors,
+    });
+  }
+
+  const rule = await prisma.shippingRule.create({ data });
+
+  res.status(201).json({
+    success: true,
+    data: rule,
+    message: 'Shipping rule created successfully',
+  });
+});
+
+export const updateShippingRule = asyncHandler(async (req, res) => {
+  const { data, errors } = buildShippingRuleData(req.body, true);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors,
+    });
+  }
+
+  try {
+    const rule = await prisma.shippingRule.update({
+      where: { id: req.params.id },
+      data,
+    });
+
+    res.json({
+      success: true,
+      data: rule,
+      message: 'Shipping rule updated successfully',
+    });
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipping rule not found',
+      });
+    }
+    throw error;
+  }
+});
+
+export const deleteShippingRule = asyncHandler(async (req, res) => {
+  try {
+    await prisma.shippingRule.delete({ where: { id: req.params.id } });
+    res.json({
+      success: true,
+      message: 'Shipping rule deleted successfully',
+    });
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipping rule not found',
+      });
+    }
+    throw error;
+  }
+});
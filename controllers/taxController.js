@@ -0,0 +1,134 @@
+import { Prisma } from '@prisma/client';
+import prisma from '../config/db.js';
+import { asyncHandler } from '../middleware/authMiddleware.js';
+import { resolveCategoryReferences } from '../services/categoryService.js';
+
+const toStringList = (value) => (Array.isArray(value) ? value.map(item => String(item).trim()).filter(Boolean) : []);
+
+/**
+ * Build Prisma data for a tax rate from the request body.
+ * `rate` is a fraction (0.05 for 5%). Exempt categories are given as `exemptCategoryIds`
+ * (or the older `exemptCategories`) holding ids, slugs or names, and cover their
+ * subcategories. With `partial`, only the fields present are returned.
+ */
+const buildTaxRateData = async (body, partial = false) => {
+  const errors = [];
+  const data = {};
+
+  if (!partial || body.name !== undefined) {
+    if (!body.name) errors.push('name is required');
+    data.name = body.name;
+  }
+  if (!partial || body.country !== undefined) {
+    if (!body.country) errors.push('country is required');
+    data.country = body.country;
+  }
+  if (!partial || body.region !== undefined) data.region = body.region || null;
+  if (!partial || body.rate !== undefined) {
+    const rate = Number(body.rate ?? 0);
+    if (String(body.rate ?? 0).trim() === '' || !Number.isFinite(rate) || rate < 0 || rate >= 1) {
+      errors.push('rate must be a fraction between 0 and 1');
+    } else {
+      data.rate = new Prisma.Decimal(body.rate ?? 0);
+    }
+  }
+  if (!partial || body.inclusive !== undefined) data.inclusive = Boolean(body.inclusive);
+  const exempt = body.exemptCategoryIds ?? body.exemptCategories;
+  if (!partial || exempt !== undefined) {
+    const { ids, missing } = await resolveCategoryReferences(toStringList(exempt));
+    missing.forEach(reference => errors.push(`Category not found: ${reference}`));
+    data.exemptCategoryIds = ids;
+  }
+  if (!partial || body.isActive !== undefined) data.isActive = body.isActive ?? true;
+
+  return { data, errors };
+};
+
+export const getTaxRates = asyncHandler(async (req, res) => {
+  const { country, isActive } = req.query;
+
+  const where = {};
+  if (country) where.country = { equals: country, mode: 'insensitive' };
+  if (isActive !== undefined) where.isActive = isActive === 'true';
+
+  const rates = await prisma.taxRate.findMany({
+    where,
+    orderBy: [{ country: 'asc' }, { region: 'asc' }],
+  });
+
+  res.json({
+    success: true,
+    data: rates,
+  });
+});
+
+export const createTaxRate = asyncHandler(async (req, res) => {
+  const { data, errors } = await buildTaxRateData(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors,
+    });
+  }
+
+  const rate = await prisma.taxRate.create({ data });
+
+  res.status(201).json({
+    success: true,
+    data: rate,
+    message: 'Tax rate created successfully',
+  });
+});
+
+export const updateTaxRate = asyncHandler(async (req, res) => {
+  const { data, errors } = await buildTaxRateData(req.body, true);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors,
+    });
+  }
+
+  try {
+    const rate = await prisma.taxRate.update({
+      where: { id: req.params.id },
+      data,
+    });
+
+    res.json({
+      success: true,
+      data: rate,
+      message: 'Tax rate updated successfully',
+    });
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rate not found',
+      });
+    }
+    throw error;
+  }
+});
+
+export const deleteTaxRate = asyncHandler(async (req, res) => {
+  try {
+    await prisma.taxRate.delete({ where: { id: req.params.id } });
+    res.json({
+      success: true,
+      message: 'Tax rate deleted successfully',
+    });
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rate not found',
+      });
+    }
+    throw error;
+  }
+});
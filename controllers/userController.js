@@ -1,5 +1,11 @@
 import prisma from '../config/db.js';
 import { asyncHandler } from '../middleware/authMiddleware.js';
+import {
+  CursorError,
+  findManyByCursor,
+  isCursorRequest,
+  parseCursorLimit,
+} from '../services/paginationService.js';
 
 export const getUserProfile = asyncHandler(async (req, res) => {
   const user = req.user;
@@ -206,6 +212,31 @@ export const getAllUsers = asyncHandler(async (req, res) => {
     ];
   }
 
+  if (isCursorRequest(req.query)) {
+    try {
+      const { items, pagination } = await findManyByCursor(prisma.user, {
+        where,
+        cursor: req.query.cursor,
+        limit: parseCursorLimit(limit, 20),
+        include: { addresses: true },
+      });
+
+      return res.json({
+        success: true,
+        data: items,
+        pagination,
+      });
+    } catch (error) {
+      if (error instanceof CursorError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      throw error;
+    }
+  }
+
   const skip = (Number(page) - 1) * Number(limit);
 
   const [users, total] = await prisma.$transaction([
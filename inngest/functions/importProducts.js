@@ -0,0 +1,84 @@
+import { inngest } from '../client.js';
+import prisma from '../../config/db.js';
+import { parseCsvRecords } from '../../services/csvService.js';
+import {
+  buildImportResultCsv,
+  groupImportRecords,
+  importProductGroups,
+  parseImportRecord,
+  summarizeImport,
+} from '../../services/productImportService.js';
+
+// Products imported per step, so progress is saved and retries resume from the last chunk
+const GROUPS_PER_STEP = 50;
+
+const loadGroups = async (jobId) => {
+  const job = await prisma.productImportJob.findUnique({ where: { id: jobId } });
+  const { columns, records } = parseCsvRecords(job.csv);
+  return { job, columns, records, groups: groupImportRecords(records.map(parseImportRecord)) };
+};
+
+/**
+ * Inngest function to run a large product CSV import in the background
+ * Triggered by POST /api/products/admin/import for files over the inline row limit
+ */
+export const importProducts = inngest.createFunction(
+  { id: 'import-products' },
+  { event: 'products/import.requested' },
+  async ({ event, step }) => {
+    const { jobId } = event.data;
+
+    const groupCount = await step.run('start-import', async () => {
+      const { groups } = await loadGroups(jobId);
+      await prisma.productImportJob.update({
+        where: { id: jobId },
+        data: { status: 'processing', startedAt: new Date() },
+      });
+      return groups.length;
+    });
+
+    try {
+      for (let start = 0; start < groupCount; start += GROUPS_PER_STEP) {
+        await step.run(`import-products-${start}`, async () => {
+          const { job, groups } = await loadGroups(jobId);
+          const chunk = groups.slice(start, start + GROUPS_PER_STEP);
+          const results = await importProductGroups(chunk, { dryRun: job.dryRun, userId: job.requestedById });
+
+          await prisma.productImportJob.update({
+            where: { id: jobId },
+            data: {
+              results: [...(job.results || []), ...results],
+              processedRows: (job.processedRows || 0) + results.length,
+            },
+          });
+          return { processedRows: results.length };
+        });
+      }
+    } catch (error) {
+      await step.run('fail-import', () => prisma.productImportJob.update({
+        where: { id: jobId },
+        data: { status: 'failed', error: error.message, completedAt: new Date() },
+      }));
+      throw error;
+    }
+
+    return await step.run('finish-import', async () => {
+      const { job, columns, records } = await loadGroups(jobId);
+      const results = job.results || [];
+      const summary = summarizeImport(results, { dryRun: job.dryRun });
+
+      await prisma.productImportJob.update({
+        where: { id: jobId },
+        data: {
+          status: 'completed',
+          summary,
+          resultCsv: buildImportResultCsv(columns, records, results),
+          completedAt: new Date(),
+        },
+      });
+
+      console.log(`✅ Product import ${jobId} finished`, summary);
+      return { success: true, jobId, summary };
+    });
+  }
+);
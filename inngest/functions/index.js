@@ -0,0 +1,14 @@
+import { syncClerkUser } from './syncClerkUser.js';
+import { importProducts } from './importProducts.js';
+import { notifyLowStock, fanOutBackInStock, notifyBackInStock } from './stockAlerts.js';
+import { refreshProductAffinities } from './refreshProductAffinities.js';
+
+// Export all Inngest functions for registration
+export const inngestFunctions = [
+  syncClerkUser,
+  importProducts,
+  notifyLowStock,
+  fanOutBackInStock,
+  notifyBackInStock,
+  refreshProductAffinities,
+];
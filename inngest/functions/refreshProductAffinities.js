@@ -0,0 +1,21 @@
+import { inngest } from '../client.js';
+import { refreshProductAffinities as refreshAffinities } from '../../services/recommendationService.js';
+
+/**
+ * Inngest function to recompute "frequently bought together" affinities from order history
+ * Runs nightly; can also be triggered on demand with the products/affinities.refresh event
+ */
+export const refreshProductAffinities = inngest.createFunction(
+  { id: 'refresh-product-affinities', concurrency: { limit: 1 } },
+  [
+    { cron: process.env.AFFINITY_REFRESH_CRON || 'TZ=UTC 0 3 * * *' },
+    { event: 'products/affinities.refresh' },
+  ],
+  async ({ step }) => {
+    return await step.run('refresh-affinities', async () => {
+      const stored = await refreshAffinities();
+      console.log(`✅ Product affinities refreshed: ${stored} rows`);
+      return { success: true, stored };
+    });
+  }
+);
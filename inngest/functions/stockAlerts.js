@@ -0,0 +1,146 @@
+import { inngest } from '../client.js';
+import prisma from '../../config/db.js';
+import { findAdmins, notifyUsers } from '../../services/notificationService.js';
+import { LOW_STOCK_EVENT, RESTOCKED_EVENT } from '../../services/stockEventService.js';
+
+const BACK_IN_STOCK_NOTIFY_EVENT = 'inventory/back-in-stock.notify';
+
+// Subscribers fanned out per step
+const SUBSCRIBER_BATCH_SIZE = 100;
+
+const describeItem = (product, variant) => (variant
+  ? `${product.name} (${Object.values(variant.options || {}).join(' / ') || variant.sku})`
+  : product.name);
+
+/**
+ * Inngest function to alert admins when a product drops to its low-stock threshold
+ * Triggered by stock changes through the inventory ledger
+ */
+export const notifyLowStock = inngest.createFunction(
+  { id: 'notify-low-stock' },
+  { event: LOW_STOCK_EVENT },
+  async ({ event, step }) => {
+    const { productId, variantId, stock, threshold } = event.data;
+
+    return await step.run('notify-admins', async () => {
+      const [product, variant, admins] = await Promise.all([
+        prisma.product.findUnique({ where: { id: productId }, select: { id: true, name: true } }),
+        variantId ? prisma.productVariant.findUnique({ where: { id: variantId } }) : null,
+        findAdmins(),
+      ]);
+
+      if (!product) {
+        return { success: true, action: 'product_not_found', productId };
+      }
+
+      const item = describeItem(product, variant);
+      const notified = await notifyUsers(admins, {
+        type: 'low_stock',
+        title: `Low stock: ${item}`,
+        body: `${item} is down to ${stock} in stock (threshold ${threshold}).`,
+        data: { productId, variantId, stock, threshold },
+      });
+
+      console.log(`✅ Low-stock alert for ${productId} sent to ${notified} admins`);
+      return { success: true, action: 'notified', productId, notified };
+    });
+  }
+);
+
+/**
+ * Inngest function that fans a restock out to everyone subscribed to the product,
+ * one notify event per subscriber
+ */
+export const fanOutBackInStock = inngest.createFunction(
+  { id: 'fan-out-back-in-stock' },
+  { event: RESTOCKED_EVENT },
+  async ({ event, step }) => {
+    const { productId, variantId } = event.data;
+
+    // Product-wide subscriptions are satisfied by any variant coming back
+    const where = {
+      productId,
+      notifiedAt: null,
+      ...(variantId && { OR: [{ variantId: null }, { variantId }] }),
+    };
+
+    let cursor = null;
+    let fannedOut = 0;
+    for (let batch = 0; ; batch += 1) {
+      const ids = await step.run(`load-subscribers-${batch}`, async () => {
+        const subscriptions = await prisma.stockSubscription.findMany({
+          where,
+          orderBy: { id: 'asc' },
+          take: SUBSCRIBER_BATCH_SIZE,
+          ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+          select: { id: true },
+        });
+        return subscriptions.map(subscription => subscription.id);
+      });
+
+      if (ids.length === 0) break;
+
+      await step.sendEvent(`notify-subscribers-${batch}`, ids.map(subscriptionId => ({
+        name: BACK_IN_STOCK_NOTIFY_EVENT,
+        data: { subscriptionId },
+      })));
+      fannedOut += ids.length;
+
+      if (ids.length < SUBSCRIBER_BATCH_SIZE) break;
+      cursor = ids[ids.length - 1];
+    }
+
+    return { success: true, productId, variantId, fannedOut };
+  }
+);
+
+/**
+ * Inngest function to tell one subscriber their product is back. Claiming the
+ * subscription first makes retries and duplicate restock events send at most once.
+ */
+export const notifyBackInStock = inngest.createFunction(
+  { id: 'notify-back-in-stock' },
+  { event: BACK_IN_STOCK_NOTIFY_EVENT },
+  async ({ event, step }) => {
+    const { subscriptionId } = event.data;
+
+    return await step.run('notify-subscriber', async () => {
+      const subscription = await prisma.stockSubscription.findUnique({
+        where: { id: subscriptionId },
+        include: {
+          user: { select: { id: true, email: true } },
+          product: { select: { id: true, name: true, stock: true, isActive: true, deletedAt: true } },
+          variant: true,
+        },
+      });
+
+      if (!subscription || subscription.notifiedAt) {
+        return { success: true, action: 'already_notified', subscriptionId };
+      }
+
+      // The item may have sold out again between the restock and this notification
+      const available = subscription.variant ? subscription.variant.stock : subscription.product.stock;
+      if (!subscription.product.isActive || subscription.product.deletedAt || available <= 0) {
+        return { success: true, action: 'unavailable', subscriptionId };
+      }
+
+      const { count } = await prisma.stockSubscription.updateMany({
+        where: { id: subscriptionId, notifiedAt: null },
+        data: { notifiedAt: new Date() },
+      });
+      if (count === 0) {
+        return { success: true, action: 'already_notified', subscriptionId };
+      }
+
+      const item = describeItem(subscription.product, subscription.variant);
+      await notifyUsers([subscription.user], {
+        type: 'back_in_stock',
+        title: `${item} is back in stock`,
+        body: `Good news: ${item} is available again.`,
+        data: { productId: subscription.productId, variantId: subscription.variantId },
+      });
+
+      return { success: true, action: 'notified', subscriptionId };
+    });
+  }
+);
@@ -65,6 +65,3 @@ export const syncClerkUser = inngest.createFunction(
   }
 );
 
-// Export all Inngest functions for registration
-export const inngestFunctions = [syncClerkUser];
-
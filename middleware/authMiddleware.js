@@ -61,6 +61,6 @@ export const validateRequest = (schema) => {
 // Error handling wrapper
 export const asyncHandler = (fn) => {
   return (req, res, next) => {
-    Promise.resolve(fn(req, res, next)).catch(next);
+    return Promise.resolve(fn(req, res, next)).catch(next);
   };
 };
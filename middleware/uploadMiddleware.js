@@ -0,0 +1,49 @@
+import multer from 'multer';
+import {
+  ALLOWED_IMAGE_TYPES,
+  MAX_IMAGE_BYTES,
+  MAX_IMAGES_PER_UPLOAD,
+  MAX_REVIEW_PHOTOS,
+} from '../services/imageService.js';
+
+/**
+ * Parse a multipart upload of up to `maxFiles` images in `field` into req.files (kept in
+ * memory). Size, count and type violations are answered with a 400.
+ */
+const createImageUpload = (field, maxFiles) => {
+  const imageUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: MAX_IMAGE_BYTES,
+      files: maxFiles,
+    },
+    fileFilter: (req, file, cb) => {
+      if (!ALLOWED_IMAGE_TYPES.includes(file.mimetype)) {
+        return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+      }
+      cb(null, true);
+    },
+  }).array(field, maxFiles);
+
+  const uploadErrorMessages = {
+    LIMIT_FILE_SIZE: `Images must be ${MAX_IMAGE_BYTES / (1024 * 1024)}MB or smaller`,
+    LIMIT_FILE_COUNT: `Upload at most ${maxFiles} images at a time`,
+    LIMIT_UNEXPECTED_FILE: `Upload images in the "${field}" field as ${ALLOWED_IMAGE_TYPES.join(', ')}`,
+  };
+
+  return (req, res, next) => {
+    imageUpload(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        return res.status(400).json({
+          success: false,
+          message: uploadErrorMessages[error.code] || error.message,
+        });
+      }
+      next(error);
+    });
+  };
+};
+
+export const uploadProductImages = createImageUpload('images', MAX_IMAGES_PER_UPLOAD);
+
+export const uploadReviewPhotos = createImageUpload('photos', MAX_REVIEW_PHOTOS);
@@ -0,0 +1,20 @@
+import express from 'express';
+import {
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+} from '../controllers/cartController.js';
+
+const router = express.Router();
+
+// Cart routes work for signed-in users (req.prismaUser) and guests (x-cart-token header).
+// Lines of variant products are addressed with variantId in the body (PUT) or query (DELETE).
+router.get('/', getCart);
+router.post('/items', addCartItem);
+router.put('/items/:productId', updateCartItem);
+router.delete('/items/:productId', removeCartItem);
+router.delete('/', clearCart);
+
+export default router;
@@ -0,0 +1,24 @@
+import express from 'express';
+import {
+  getCategoryTree,
+  getCategory,
+  getAdminCategoryTree,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+} from '../controllers/categoryController.js';
+import { requireAdmin, requireAuthenticated } from '../middleware/clerkAuth.js';
+
+const router = express.Router();
+
+// Admin routes (require authentication + admin role)
+router.get('/admin', requireAuthenticated, requireAdmin, getAdminCategoryTree);
+router.post('/admin', requireAuthenticated, requireAdmin, createCategory);
+router.put('/admin/:id', requireAuthenticated, requireAdmin, updateCategory);
+router.delete('/admin/:id', requireAuthenticated, requireAdmin, deleteCategory);
+
+// Public routes
+router.get('/', getCategoryTree);
+router.get('/:idOrSlug', getCategory);
+
+export default router;
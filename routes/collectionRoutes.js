@@ -0,0 +1,26 @@
+import express from 'express';
+import {
+  getCollections,
+  getCollectionProducts,
+  getAdminCollections,
+  getAdminCollection,
+  createCollection,
+  updateCollection,
+  deleteCollection,
+} from '../controllers/collectionController.js';
+import { requireAdmin, requireAuthenticated } from '../middleware/clerkAuth.js';
+
+const router = express.Router();
+
+// Admin routes (require authentication + admin role)
+router.get('/admin', requireAuthenticated, requireAdmin, getAdminCollections);
+router.get('/admin/:id', requireAuthenticated, requireAdmin, getAdminCollection);
+router.post('/admin', requireAuthenticated, requireAdmin, createCollection);
+router.put('/admin/:id', requireAuthenticated, requireAdmin, updateCollection);
+router.delete('/admin/:id', requireAuthenticated, requireAdmin, deleteCollection);
+
+// Public routes
+router.get('/', getCollections);
+router.get('/:slug', getCollectionProducts);
+
+export default router;
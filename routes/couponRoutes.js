@@ -0,0 +1,20 @@
+import express from 'express';
+import {
+  getCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+} from '../controllers/couponController.js';
+import { requireAdmin, requireAuthenticated } from '../middleware/clerkAuth.js';
+
+const router = express.Router();
+
+// Admin routes (require authentication + admin role)
+router.get('/admin', requireAuthenticated, requireAdmin, getCoupons);
+router.post('/admin', requireAuthenticated, requireAdmin, createCoupon);
+router.get('/admin/:id', requireAuthenticated, requireAdmin, getCoupon);
+router.put('/admin/:id', requireAuthenticated, requireAdmin, updateCoupon);
+router.delete('/admin/:id', requireAuthenticated, requireAdmin, deleteCoupon);
+
+export default router;
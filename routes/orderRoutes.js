@@ -1,5 +1,6 @@
 import express from 'express';
 import {
+  quoteOrder,
   createOrder,
   getUserOrders,
   getOrder,
@@ -8,8 +9,10 @@ import {
   markOrderDelivered,
   cancelOrder,
   getAllOrders,
-  getOrderStats
+  getOrderStats,
+  getOrderHistory
 } from '../controllers/orderController.js';
+import { getOrderRefunds, createOrderRefund } from '../controllers/refundController.js';
 import { requireAdmin } from '../middleware/clerkAuth.js';
 
 const router = express.Router();
@@ -29,6 +32,9 @@ const requireAuthenticated = (req, res, next) => {
 router.get('/admin/all', requireAuthenticated, requireAdmin, getAllOrders);
 router.get('/admin/stats', requireAuthenticated, requireAdmin, getOrderStats);
 
+// Checkout quote (public, prices the same payload createOrder accepts without writing anything)
+router.post('/quote', quoteOrder);
+
 // User routes (require authentication)
 router.post('/', requireAuthenticated, createOrder);
 router.get('/', requireAuthenticated, getUserOrders);
@@ -36,6 +42,9 @@ router.put('/:id/status', requireAuthenticated, requireAdmin, updateOrderStatus)
 router.put('/:id/shipping', requireAuthenticated, requireAdmin, addShippingInfo);
 router.put('/:id/delivered', requireAuthenticated, requireAdmin, markOrderDelivered);
 router.put('/:id/cancel', requireAuthenticated, cancelOrder);
+router.get('/:id/history', requireAuthenticated, getOrderHistory);
+router.get('/:id/refunds', requireAuthenticated, getOrderRefunds);
+router.post('/:id/refunds', requireAuthenticated, requireAdmin, createOrderRefund);
 router.get('/:id', requireAuthenticated, getOrder);
 
 export default router;
@@ -1,21 +1,12 @@
 import express from 'express';
+import { createPaymentIntent, handleStripeWebhook } from '../controllers/paymentController.js';
 import { requireAuthenticated } from '../middleware/clerkAuth.js';
 
 const router = express.Router();
 
-// Placeholder payment routes - to be implemented later
-router.post('/create-payment-intent', requireAuthenticated, (req, res) => {
-  res.json({
-    success: false,
-    message: 'Payment integration not implemented yet'
-  });
-});
+router.post('/create-payment-intent', requireAuthenticated, createPaymentIntent);
 
-router.post('/webhook', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Webhook received'
-  });
-});
+// Stripe webhook - signature is verified against the raw body
+router.post('/webhook', express.raw({ type: 'application/json' }), handleStripeWebhook);
 
 export default router;
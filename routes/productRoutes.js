@@ -1,17 +1,45 @@
 import express from 'express';
 import {
   getProducts,
+  getSearchSuggestions,
+  getProductFacets,
   getProduct,
   createProduct,
   updateProduct,
   deleteProduct,
-  addProductReview,
-  updateProductReview,
-  deleteProductReview,
+  getArchivedProducts,
+  restoreProduct,
+  purgeProduct,
   getProductCategories,
   getFeaturedProducts,
-  getRelatedProducts
+  getRelatedProducts,
+  getFrequentlyBoughtTogether,
 } from '../controllers/productController.js';
+import {
+  exportProducts,
+  importProducts,
+  getImportJob,
+  downloadImportResult,
+} from '../controllers/productImportController.js';
+import { uploadImages, deleteImage } from '../controllers/productImageController.js';
+import {
+  getReviewQueue,
+  moderateReview,
+  getProductReviews,
+  uploadPhotos,
+  addProductReview,
+  updateProductReview,
+  deleteProductReview,
+  voteReview,
+  removeReviewVote,
+} from '../controllers/reviewController.js';
+import {
+  createStockAdjustment,
+  getStockHistory,
+  subscribeToStock,
+  unsubscribeFromStock,
+} from '../controllers/inventoryController.js';
+import { uploadProductImages, uploadReviewPhotos } from '../middleware/uploadMiddleware.js';
 import { requireAdmin, optionalAuth } from '../middleware/clerkAuth.js';
 
 const router = express.Router();
@@ -27,21 +55,54 @@ const requireAuthenticated = (req, res, next) => {
   next();
 };
 
+// Catalog CSV import/export (admin, registered before /:id)
+const csvBody = express.text({ type: ['text/csv', 'application/csv', 'text/plain'], limit: '25mb' });
+router.get('/admin/export', requireAuthenticated, requireAdmin, exportProducts);
+router.post('/admin/import', requireAuthenticated, requireAdmin, csvBody, importProducts);
+router.get('/admin/import/:jobId', requireAuthenticated, requireAdmin, getImportJob);
+router.get('/admin/import/:jobId/result', requireAuthenticated, requireAdmin, downloadImportResult);
+
+// Archived products (admin)
+router.get('/admin/archived', requireAuthenticated, requireAdmin, getArchivedProducts);
+
+// Review moderation (admin)
+router.get('/admin/reviews', requireAuthenticated, requireAdmin, getReviewQueue);
+router.put('/admin/reviews/:reviewId/moderation', requireAuthenticated, requireAdmin, moderateReview);
+
+// Image uploads (admin); attach the returned ids to a product via productImages
+router.post('/admin/images', requireAuthenticated, requireAdmin, uploadProductImages, uploadImages);
+router.delete('/admin/images/:imageId', requireAuthenticated, requireAdmin, deleteImage);
+
+// Review photo uploads; attach the returned ids to a review via photoIds
+router.post('/reviews/photos', requireAuthenticated, uploadReviewPhotos, uploadPhotos);
+
 // Public routes (optional authentication)
 router.get('/', optionalAuth, getProducts);
 router.get('/categories', getProductCategories);
 router.get('/featured', getFeaturedProducts);
+router.get('/search/suggest', getSearchSuggestions);
+router.get('/facets', getProductFacets);
 router.get('/:id', optionalAuth, getProduct);
 router.get('/:id/related', getRelatedProducts);
+router.get('/:id/frequently-bought-together', getFrequentlyBoughtTogether);
+router.get('/:id/reviews', optionalAuth, getProductReviews);
 
 // Protected routes (require authentication)
 router.post('/:id/reviews', requireAuthenticated, addProductReview);
 router.put('/:id/reviews/:reviewId', requireAuthenticated, updateProductReview);
 router.delete('/:id/reviews/:reviewId', requireAuthenticated, deleteProductReview);
+router.put('/:id/reviews/:reviewId/vote', requireAuthenticated, voteReview);
+router.delete('/:id/reviews/:reviewId/vote', requireAuthenticated, removeReviewVote);
+router.post('/:id/stock-subscriptions', requireAuthenticated, subscribeToStock);
+router.delete('/:id/stock-subscriptions', requireAuthenticated, unsubscribeFromStock);
 
 // Admin routes (require authentication + admin role)
 router.post('/', requireAuthenticated, requireAdmin, createProduct);
 router.put('/:id', requireAuthenticated, requireAdmin, updateProduct);
 router.delete('/:id', requireAuthenticated, requireAdmin, deleteProduct);
+router.post('/:id/restore', requireAuthenticated, requireAdmin, restoreProduct);
+router.delete('/:id/purge', requireAuthenticated, requireAdmin, purgeProduct);
+router.post('/:id/stock-adjustments', requireAuthenticated, requireAdmin, createStockAdjustment);
+router.get('/:id/stock-history', requireAuthenticated, requireAdmin, getStockHistory);
 
 export default router;
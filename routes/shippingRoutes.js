@@ -0,0 +1,18 @@
+import express from 'express';
+import {
+  getShippingRules,
+  createShippingRule,
+  updateShippingRule,
+  deleteShippingRule,
+} from '../controllers/shippingController.js';
+import { requireAdmin, requireAuthenticated } from '../middleware/clerkAuth.js';
+
+const router = express.Router();
+
+// Admin routes (require authentication + admin role)
+router.get('/admin/rules', requireAuthenticated, requireAdmin, getShippingRules);
+router.post('/admin/rules', requireAuthenticated, requireAdmin, createShippingRule);
+router.put('/admin/rules/:id', requireAuthenticated, requireAdmin, updateShippingRule);
+router.delete('/admin/rules/:id', requireAuthenticated, requireAdmin, deleteShippingRule);
+
+export default router;
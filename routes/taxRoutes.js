@@ -0,0 +1,18 @@
+import express from 'express';
+import {
+  getTaxRates,
+  createTaxRate,
+  updateTaxRate,
+  deleteTaxRate,
+} from '../controllers/taxController.js';
+import { requireAdmin, requireAuthenticated } from '../middleware/clerkAuth.js';
+
+const router = express.Router();
+
+// Admin routes (require authentication + admin role)
+router.get('/admin/rates', requireAuthenticated, requireAdmin, getTaxRates);
+router.post('/admin/rates', requireAuthenticated, requireAdmin, createTaxRate);
+router.put('/admin/rates/:id', requireAuthenticated, requireAdmin, updateTaxRate);
+router.delete('/admin/rates/:id', requireAuthenticated, requireAdmin, deleteTaxRate);
+
+export default router;
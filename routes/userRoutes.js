@@ -12,6 +12,7 @@ import {
   deleteUser,
   getUserStats,
 } from '../controllers/userController.js';
+import { getNotifications, markNotificationRead } from '../controllers/notificationController.js';
 import { requireAdmin } from '../middleware/clerkAuth.js';
 
 const router = express.Router();
@@ -32,6 +33,10 @@ router.get('/profile', requireAuthenticated, getUserProfile);
 router.put('/profile', requireAuthenticated, updateUserProfile);
 router.get('/orders-summary', requireAuthenticated, getUserOrdersSummary);
 
+// Notifications such as back-in-stock alerts (require authentication)
+router.get('/notifications', requireAuthenticated, getNotifications);
+router.put('/notifications/:id/read', requireAuthenticated, markNotificationRead);
+
 // Address management routes (require authentication)
 router.post('/addresses', requireAuthenticated, addUserAddress);
 router.put('/addresses/:addressId', requireAuthenticated, updateUserAddress);
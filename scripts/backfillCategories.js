@@ -0,0 +1,14 @@
+import 'dotenv/config';
+import prisma from '../config/db.js';
+import { backfillCategoryReferences } from '../services/categoryService.js';
+
+// Links products, coupon scopes and tax exemptions stored by category name to category ids
+try {
+  const result = await backfillCategoryReferences();
+  console.log('✅ Category backfill complete:', result);
+} catch (error) {
+  console.error('❌ Category backfill failed:', error.message);
+  process.exitCode = 1;
+} finally {
+  await prisma.$disconnect();
+}
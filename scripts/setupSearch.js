@@ -0,0 +1,14 @@
+import 'dotenv/config';
+import prisma from '../config/db.js';
+import { setupSearchIndexes } from '../services/searchService.js';
+
+// Product search needs pg_trgm and two GIN indexes that `prisma db push` does not create
+try {
+  await setupSearchIndexes();
+  console.log('✅ Search extension and indexes are in place');
+} catch (error) {
+  console.error('❌ Search setup failed:', error.message);
+  process.exitCode = 1;
+} finally {
+  await prisma.$disconnect();
+}
@@ -6,9 +6,11 @@ import { serve } from 'inngest/express';
 // Import Clerk middleware
 import { clerkMiddleware, attachClerkUser } from './middleware/clerkAuth.js';
 
+import { localUploadDir, storageDriver } from './config/storage.js';
+
 // Import Inngest setup
 import { inngest } from './inngest/client.js';
-import { inngestFunctions } from './inngest/functions/syncClerkUser.js';
+import { inngestFunctions } from './inngest/functions/index.js';
 
 // Import routes
 import productRoutes from './routes/productRoutes.js';
@@ -16,6 +18,12 @@ import orderRoutes from './routes/orderRoutes.js';
 import userRoutes from './routes/userRoutes.js';
 import paymentRoutes from './routes/paymentRoutes.js';
 import webhookRoutes from './routes/webhookRoutes.js';
+import shippingRoutes from './routes/shippingRoutes.js';
+import taxRoutes from './routes/taxRoutes.js';
+import couponRoutes from './routes/couponRoutes.js';
+import cartRoutes from './routes/cartRoutes.js';
+import categoryRoutes from './routes/categoryRoutes.js';
+import collectionRoutes from './routes/collectionRoutes.js';
 
 // Load environment variables
 dotenv.config();
@@ -27,7 +35,15 @@ app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
   credentials: true
 }));
-app.use(express.json());
+// Webhook endpoints verify signatures against the raw body, so JSON parsing is skipped for them
+const rawBodyPaths = ['/api/webhooks', '/api/payments/webhook'];
+const jsonParser = express.json();
+app.use((req, res, next) => {
+  if (rawBodyPaths.some(path => req.path.startsWith(path))) {
+    return next();
+  }
+  jsonParser(req, res, next);
+});
 app.use(express.urlencoded({ extended: true }));
 
 // Clerk authentication middleware (must come before routes)
@@ -46,11 +62,22 @@ app.use(
 // Webhook routes (before other routes but after Clerk middleware)
 app.use('/api/webhooks', webhookRoutes);
 
+// Uploaded files, when stored on local disk
+if (storageDriver() === 'local') {
+  app.use('/uploads', express.static(localUploadDir(), { maxAge: '30d', immutable: true }));
+}
+
 // API Routes
 app.use('/api/products', productRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/payments', paymentRoutes);
+app.use('/api/shipping', shippingRoutes);
+app.use('/api/tax', taxRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/collections', collectionRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
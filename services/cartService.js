@@ -0,0 +1,183 @@
+import crypto from 'node:crypto';
+import { Prisma } from '@prisma/client';
+import prisma from '../config/db.js';
+import { resolveSalePrice } from './salePriceService.js';
+
+const decimal = (value = 0) => new Prisma.Decimal(value);
+
+// Anonymous carts are identified by a token the client keeps and sends back in this header
+export const CART_TOKEN_HEADER = 'x-cart-token';
+
+export const cartInclude = {
+  items: {
+    orderBy: { createdAt: 'asc' },
+    include: {
+      product: {
+        select: {
+          id: true,
+          name: true,
+          images: true,
+          price: true,
+          compareAtPrice: true,
+          salePrice: true,
+          saleStartsAt: true,
+          saleEndsAt: true,
+          stock: true,
+          isActive: true,
+          deletedAt: true,
+        },
+      },
+      variant: {
+        select: {
+          id: true,
+          sku: true,
+          options: true,
+          price: true,
+          compareAtPrice: true,
+          salePrice: true,
+          saleStartsAt: true,
+          saleEndsAt: true,
+          stock: true,
+          images: true,
+          isActive: true,
+        },
+      },
+    },
+  },
+};
+
+const findGuestCart = (token) => (token
+  ? prisma.cart.findFirst({ where: { token, userId: null } })
+  : null);
+
+/**
+ * Move a guest cart's items into the user's cart, adding quantities for products
+ * present in both, then drop the guest cart
+ */
+export const mergeGuestCart = (guestCart, userCart) => prisma.$transaction(async tx => {
+  const guestItems = await tx.cartItem.findMany({ where: { cartId: guestCart.id } });
+
+  for (const item of guestItems) {
+    const existing = await tx.cartItem.findFirst({
+      where: { cartId: userCart.id, productId: item.productId, variantId: item.variantId ?? null },
+    });
+
+    if (existing) {
+      await tx.cartItem.update({
+        where: { id: existing.id },
+        data: { quantity: { increment: item.quantity } },
+      });
+    } else {
+      await tx.cartItem.create({
+        data: {
+          cartId: userCart.id,
+          productId: item.productId,
+          variantId: item.variantId ?? null,
+          quantity: item.quantity,
+        },
+      });
+    }
+  }
+
+  await tx.cart.delete({ where: { id: guestCart.id } });
+});
+
+/**
+ * Find the cart for this request: the signed-in user's cart, or the guest cart named
+ * by the cart token. A guest cart sent by a signed-in user is merged into their cart.
+ * With `create`, a missing cart is created; otherwise null is returned.
+ */
+export const resolveCart = async (req, { create = false } = {}) => {
+  const token = req.headers[CART_TOKEN_HEADER];
+  const user = req.prismaUser;
+
+  if (user) {
+    const [userCart, guestCart] = await Promise.all([
+      prisma.cart.findUnique({ where: { userId: user.id } }),
+      findGuestCart(token),
+    ]);
+
+    if (guestCart && !userCart) {
+      // Nothing to merge with, so the guest cart simply becomes the user's cart
+      return prisma.cart.update({
+        where: { id: guestCart.id },
+        data: { userId: user.id },
+      });
+    }
+
+    if (guestCart && userCart) {
+      await mergeGuestCart(guestCart, userCart);
+      return userCart;
+    }
+
+    if (userCart || !create) return userCart;
+
+    return prisma.cart.upsert({
+      where: { userId: user.id },
+      update: {},
+      create: { userId: user.id },
+    });
+  }
+
+  const guestCart = await findGuestCart(token);
+  if (guestCart || !create) return guestCart;
+
+  return prisma.cart.create({
+    data: { token: crypto.randomUUID() },
+  });
+};
+
+/**
+ * Cart payload with live prices and stock for every line
+ */
+export const serializeCart = (cart) => {
+  if (!cart) {
+    return { token: null, items: [], itemCount: 0, subtotal: decimal(0), warnings: [] };
+  }
+
+  let subtotal = decimal(0);
+  let itemCount = 0;
+  const warnings = [];
+
+  const items = cart.items.map(item => {
+    const { product, variant } = item;
+    const { price, compareAtPrice, onSale } = resolveSalePrice(product, variant);
+    const lineTotal = price.times(item.quantity);
+    const isActive = product.isActive && !product.deletedAt && (!variant || variant.isActive);
+    const stock = variant ? variant.stock : product.stock;
+    const available = isActive && stock >= item.quantity;
+
+    if (!isActive) {
+      warnings.push({ productId: product.id, name: product.name, message: 'Product is no longer available' });
+    } else if (stock < item.quantity) {
+      warnings.push({ productId: product.id, name: product.name, message: `Only ${stock} left in stock` });
+    }
+
+    subtotal = subtotal.plus(lineTotal);
+    itemCount += item.quantity;
+
+    return {
+      productId: product.id,
+      variantId: variant?.id ?? null,
+      sku: variant?.sku ?? null,
+      options: variant?.options ?? null,
+      name: product.name,
+      image: variant?.images?.[0] ?? product.images?.[0] ?? null,
+      quantity: item.quantity,
+      price,
+      compareAtPrice,
+      onSale,
+      lineTotal,
+      stock,
+      available,
+    };
+  });
+
+  return {
+    token: cart.userId ? null : cart.token,
+    items,
+    itemCount,
+    subtotal,
+    warnings,
+  };
+};
@@ -0,0 +1,245 @@
+import prisma from '../config/db.js';
+import { uniqueSlug } from './slugService.js';
+
+/*
+ * Products reference a Category by categoryId, and tax exemptions and coupon scopes store
+ * category ids that cover every subcategory too. Product.category keeps the category's
+ * name as a denormalized copy for full-text search; it is only written through
+ * applyProductCategory and syncCategoryName.
+ */
+
+const byPosition = (a, b) => a.sortOrder - b.sortOrder || a.name.localeCompare(b.name);
+
+/**
+ * Ids of a category and everything nested below it
+ */
+export const getDescendantIds = (categories, rootId) => {
+  const children = new Map();
+  for (const category of categories) {
+    if (!children.has(category.parentId)) children.set(category.parentId, []);
+    children.get(category.parentId).push(category.id);
+  }
+
+  const ids = [];
+  const queue = [rootId];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    if (ids.includes(id)) continue;
+    ids.push(id);
+    queue.push(...(children.get(id) || []));
+  }
+  return ids;
+};
+
+/**
+ * Whether moving `categoryId` under `parentId` would make it its own ancestor
+ */
+export const createsCycle = (categories, categoryId, parentId) => (
+  Boolean(parentId) && getDescendantIds(categories, categoryId).includes(parentId)
+);
+
+/**
+ * Nest a flat category list by parentId. `counts` maps categoryId to the number of
+ * products assigned directly; each node reports that as `directProductCount` and the
+ * total including all descendants as `productCount`.
+ */
+export const buildCategoryTree = (categories, counts = new Map()) => {
+  const nodes = new Map(categories.map(category => [category.id, {
+    ...category,
+    directProductCount: counts.get(category.id) || 0,
+    productCount: 0,
+    children: [],
+  }]));
+
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parentId ? nodes.get(node.parentId) : null;
+    (parent ? parent.children : roots).push(node);
+  }
+
+  const finalize = (node) => {
+    node.children.sort(byPosition);
+    node.productCount = node.directProductCount
+      + node.children.reduce((sum, child) => sum + finalize(child), 0);
+    return node.productCount;
+  };
+  roots.sort(byPosition).forEach(finalize);
+
+  return roots;
+};
+
+/**
+ * Find a category by id or slug
+ */
+export const findCategory = (idOrSlug) => prisma.category.findFirst({
+  where: { OR: [{ id: idOrSlug }, { slug: idOrSlug }] },
+});
+
+/**
+ * Ids of the category identified by `idOrSlug` and all its descendants, or null when
+ * no such category exists
+ */
+export const resolveCategoryIds = async (idOrSlug) => {
+  const categories = await prisma.category.findMany({
+    select: { id: true, slug: true, parentId: true },
+  });
+  const root = categories.find(category => category.id === idOrSlug || category.slug === idOrSlug);
+  return root ? getDescendantIds(categories, root.id) : null;
+};
+
+/**
+ * The given category ids plus all their descendants, for matching products against a
+ * stored category scope
+ */
+export const expandCategoryIds = async (categoryIds = []) => {
+  if (!categoryIds || categoryIds.length === 0) return [];
+
+  const categories = await prisma.category.findMany({
+    select: { id: true, parentId: true },
+  });
+  return [...new Set(categoryIds.flatMap(id => getDescendantIds(categories, id)))];
+};
+
+/**
+ * Resolve category references (ids, slugs or names) to ids. Returns { ids, missing }
+ * with the references that matched no category.
+ */
+export const resolveCategoryReferences = async (references = []) => {
+  if (references.length === 0) return { ids: [], missing: [] };
+
+  const categories = await prisma.category.findMany({
+    select: { id: true, slug: true, name: true },
+  });
+  const ids = [];
+  const missing = [];
+  for (const reference of references) {
+    const category = categories.find(item => item.id === reference
+      || item.slug === reference
+      || item.name.toLowerCase() === String(reference).toLowerCase());
+    if (category) ids.push(category.id);
+    else missing.push(reference);
+  }
+  return { ids: [...new Set(ids)], missing };
+};
+
+/**
+ * Category tree with product counts. Only products matching `productWhere` are counted.
+ */
+export const getCategoryTree = async ({ productWhere = { isActive: true, deletedAt: null }, includeInactive = false } = {}) => {
+  const [categories, groups] = await Promise.all([
+    prisma.category.findMany({
+      where: includeInactive ? {} : { isActive: true },
+      orderBy: [{ sortOrder: 'asc' }, { name: 'asc' }],
+    }),
+    prisma.product.groupBy({
+      by: ['categoryId'],
+      where: productWhere,
+      _count: { _all: true },
+    }),
+  ]);
+
+  const counts = new Map(groups.map(group => [group.categoryId, group._count._all]));
+  return buildCategoryTree(categories, counts);
+};
+
+/**
+ * Set categoryId and the denormalized category name on product data. Accepts
+ * `categoryId`, or the legacy `category` field holding an id, slug or name. Returns an
+ * error message when the category does not exist.
+ */
+export const applyProductCategory = async (data) => {
+  const reference = data.categoryId !== undefined ? data.categoryId : data.category;
+  if (reference === undefined) return null;
+
+  if (reference === null || reference === '') {
+    data.categoryId = null;
+    data.category = null;
+    return null;
+  }
+
+  const category = await prisma.category.findFirst({
+    where: {
+      OR: [
+        { id: reference },
+        { slug: reference },
+        { name: { equals: reference, mode: 'insensitive' } },
+      ],
+    },
+  });
+  if (!category) return `Category not found: ${reference}`;
+
+  data.categoryId = category.id;
+  data.category = category.name;
+  return null;
+};
+
+/**
+ * Refresh the denormalized category name on a category's products after a rename
+ */
+export const syncCategoryName = async (tx, categoryId, name) => {
+  await tx.product.updateMany({
+    where: { categoryId },
+    data: { category: name },
+  });
+};
+
+/**
+ * One-off backfill for data written before categories were a table:
+ * - products with only a category name get the matching categoryId, creating missing
+ *   categories at the top level
+ * - coupon category scopes and tax exemptions stored as names get category ids
+ * Safe to run more than once. Returns the number of records updated per kind.
+ */
+export const backfillCategoryReferences = async () => {
+  const result = { categoriesCreated: 0, products: 0, coupons: 0, taxRates: 0 };
+
+  const names = await prisma.product.findMany({
+    where: { categoryId: null, category: { not: null } },
+    distinct: ['category'],
+    select: { category: true },
+  });
+
+  for (const { category: name } of names) {
+    if (!name || !name.trim()) continue;
+
+    let category = await prisma.category.findFirst({
+      where: { name: { equals: name.trim(), mode: 'insensitive' } },
+    });
+    if (!category) {
+      category = await prisma.category.create({
+        data: { name: name.trim(), slug: await uniqueSlug(prisma.category, name) },
+      });
+      result.categoriesCreated += 1;
+    }
+
+    const { count } = await prisma.product.updateMany({
+      where: { categoryId: null, category: name },
+      data: { categoryId: category.id, category: category.name },
+    });
+    result.products += count;
+  }
+
+  const coupons = await prisma.coupon.findMany({
+    where: { categoryIds: { isEmpty: true }, NOT: { categories: { isEmpty: true } } },
+    select: { id: true, code: true, categories: true },
+  });
+  for (const coupon of coupons) {
+    const { ids, missing } = await resolveCategoryReferences(coupon.categories);
+    if (missing.length > 0) console.warn(`⚠️ Coupon ${coupon.code}: unknown categories ${missing.join(', ')}`);
+    await prisma.coupon.update({ where: { id: coupon.id }, data: { categoryIds: ids } });
+    result.coupons += 1;
+  }
+
+  const rates = await prisma.taxRate.findMany({
+    where: { exemptCategoryIds: { isEmpty: true }, NOT: { exemptCategories: { isEmpty: true } } },
+    select: { id: true, name: true, exemptCategories: true },
+  });
+  for (const rate of rates) {
+    const { ids, missing } = await resolveCategoryReferences(rate.exemptCategories);
+    if (missing.length > 0) console.warn(`⚠️ Tax rate ${rate.name}: unknown categories ${missing.join(', ')}`);
+    await prisma.taxRate.update({ where: { id: rate.id }, data: { exemptCategoryIds: ids } });
+    result.taxRates += 1;
+  }
+
+  return result;
+};
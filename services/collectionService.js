@@ -0,0 +1,100 @@
+import prisma from '../config/db.js';
+import { resolveCategoryIds } from './categoryService.js';
+import { buildProductFilters, parseTags } from './productFilterService.js';
+
+/*
+ * A collection is either `manual`, an admin-ordered list of products, or `rule`, a saved
+ * listing filter whose products follow the catalog automatically. Rules take the same
+ * values as the GET /api/products filters they are applied through.
+ */
+
+export const COLLECTION_TYPES = ['manual', 'rule'];
+
+const optionalNumber = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+
+/**
+ * Validate collection rules ({ category, minPrice, maxPrice, minRating, tags, onSale }).
+ * Returns { rules, errors } with the rules normalized for storage.
+ */
+export const normalizeCollectionRules = async (input) => {
+  const errors = [];
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { rules: {}, errors: ['rules must be an object'] };
+  }
+
+  const rules = {};
+
+  if (input.category) {
+    rules.category = String(input.category);
+    if (!(await resolveCategoryIds(rules.category))) {
+      errors.push(`Category not found: ${rules.category}`);
+    }
+  }
+
+  for (const field of ['minPrice', 'maxPrice', 'minRating']) {
+    const value = optionalNumber(input[field]);
+    if (value === null) continue;
+    if (!Number.isFinite(value) || value < 0) {
+      errors.push(`${field} must be a non-negative number`);
+      continue;
+    }
+    rules[field] = value;
+  }
+  if (rules.minPrice !== undefined && rules.maxPrice !== undefined && rules.minPrice > rules.maxPrice) {
+    errors.push('minPrice must not be above maxPrice');
+  }
+
+  const tags = parseTags(input.tags);
+  if (tags.length > 0) rules.tags = tags;
+
+  if (input.onSale !== undefined && input.onSale !== null) {
+    if (typeof input.onSale !== 'boolean') errors.push('onSale must be true or false');
+    else rules.onSale = input.onSale;
+  }
+
+  if (Object.keys(rules).length === 0 && errors.length === 0) {
+    errors.push('A rule collection needs at least one rule');
+  }
+
+  return { rules, errors };
+};
+
+/**
+ * Listing filters for a collection's products, for listProducts. Manual collections
+ * also return their hand-picked order as `pinnedIds`.
+ */
+export const buildCollectionFilters = async (collection) => {
+  if (collection.type === 'rule') {
+    const { tags, onSale, ...rules } = collection.rules || {};
+    return buildProductFilters({
+      ...rules,
+      ...(tags && { tags: tags.join(',') }),
+      ...(onSale !== undefined && { onSale: String(onSale) }),
+    });
+  }
+
+  const items = await prisma.collectionProduct.findMany({
+    where: { collectionId: collection.id },
+    orderBy: { position: 'asc' },
+    select: { productId: true },
+  });
+  const pinnedIds = items.map(item => item.productId);
+  const { clauses } = await buildProductFilters({});
+
+  return {
+    clauses: { ...clauses, collection: { id: { in: pinnedIds } } },
+    pinnedIds,
+  };
+};
+
+/**
+ * Replace a manual collection's products with `productIds`, in that order
+ */
+export const setCollectionProducts = async (tx, collectionId, productIds) => {
+  await tx.collectionProduct.deleteMany({ where: { collectionId } });
+  if (productIds.length > 0) {
+    await tx.collectionProduct.createMany({
+      data: productIds.map((productId, position) => ({ collectionId, productId, position })),
+    });
+  }
+};
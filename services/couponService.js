@@ -0,0 +1,149 @@
+import { Prisma } from '@prisma/client';
+import prisma from '../config/db.js';
+import { expandCategoryIds } from './categoryService.js';
+
+const decimal = (value = 0) => new Prisma.Decimal(value);
+
+export const COUPON_TYPES = ['percentage', 'fixed'];
+
+/**
+ * Raised when a coupon cannot be applied; message is safe to show to customers
+ */
+export class CouponError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'CouponError';
+    this.statusCode = statusCode;
+  }
+}
+
+export const normalizeCouponCode = (code) => String(code || '').trim().toUpperCase();
+
+export const findCouponByCode = (code) => prisma.coupon.findUnique({
+  where: { code: normalizeCouponCode(code) },
+});
+
+/**
+ * The coupon with its category scope expanded to every subcategory
+ */
+export const withExpandedCategories = async (coupon) => (
+  coupon ? { ...coupon, categoryIds: await expandCategoryIds(coupon.categoryIds) } : coupon
+);
+
+const lineIsEligible = (coupon, line) => {
+  const productIds = coupon.productIds || [];
+  const categoryIds = coupon.categoryIds || [];
+
+  if (productIds.length === 0 && categoryIds.length === 0) return true;
+  return productIds.includes(line.productId) || (Boolean(line.categoryId) && categoryIds.includes(line.categoryId));
+};
+
+/**
+ * Check a coupon against the cart and work out the discount.
+ * `lines` carry productId, categoryId and total; coupon.categoryIds must already include
+ * subcategories (see withExpandedCategories); the discount is spread over the
+ * eligible lines in proportion to their totals so per-line tax and refunds stay exact.
+ * Usage limits are enforced separately when the coupon is redeemed.
+ */
+export const evaluateCoupon = (coupon, lines, now = new Date()) => {
+  if (!coupon || !coupon.isActive) {
+    throw new CouponError('Coupon code is not valid');
+  }
+  if (coupon.startsAt && now < new Date(coupon.startsAt)) {
+    throw new CouponError('Coupon is not active yet');
+  }
+  if (coupon.endsAt && now > new Date(coupon.endsAt)) {
+    throw new CouponError('Coupon has expired');
+  }
+  if (coupon.usageLimit !== null && coupon.usageLimit !== undefined && coupon.usageCount >= coupon.usageLimit) {
+    throw new CouponError('Coupon usage limit has been reached');
+  }
+
+  const subtotal = lines.reduce((sum, line) => sum.plus(line.total), decimal(0));
+  if (coupon.minSubtotal !== null && coupon.minSubtotal !== undefined && subtotal.lessThan(coupon.minSubtotal)) {
+    throw new CouponError(`Coupon requires a minimum subtotal of ${decimal(coupon.minSubtotal).toString()}`);
+  }
+
+  const eligible = lines.map(line => lineIsEligible(coupon, line));
+  const eligibleSubtotal = lines.reduce((sum, line, index) => (eligible[index] ? sum.plus(line.total) : sum), decimal(0));
+
+  if (eligibleSubtotal.lessThanOrEqualTo(0)) {
+    throw new CouponError('Coupon does not apply to any items in this order');
+  }
+
+  let discount = coupon.type === 'percentage'
+    ? eligibleSubtotal.times(coupon.value).dividedBy(100)
+    : decimal(coupon.value);
+  if (coupon.maxDiscount !== null && coupon.maxDiscount !== undefined) {
+    discount = Prisma.Decimal.min(discount, coupon.maxDiscount);
+  }
+  discount = Prisma.Decimal.min(discount, eligibleSubtotal).toDecimalPlaces(2);
+
+  const lastEligibleIndex = eligible.lastIndexOf(true);
+  let allocated = decimal(0);
+  const lineDiscounts = lines.map((line, index) => {
+    if (!eligible[index]) return decimal(0);
+    if (index === lastEligibleIndex) return discount.minus(allocated);
+
+    const share = discount.times(line.total).dividedBy(eligibleSubtotal).toDecimalPlaces(2);
+    allocated = allocated.plus(share);
+    return share;
+  });
+
+  return { discount, lineDiscounts };
+};
+
+/**
+ * Count a redemption inside the order transaction.
+ * The conditional increment locks the coupon row, so concurrent checkouts using the
+ * same coupon are serialized and the per-user count below sees committed redemptions.
+ */
+export const redeemCoupon = async (tx, { coupon, userId, orderId, discount }) => {
+  const where = { id: coupon.id, isActive: true };
+  if (coupon.usageLimit !== null && coupon.usageLimit !== undefined) {
+    where.usageCount = { lt: coupon.usageLimit };
+  }
+
+  const { count } = await tx.coupon.updateMany({
+    where,
+    data: { usageCount: { increment: 1 } },
+  });
+
+  if (count === 0) {
+    throw new CouponError('Coupon usage limit has been reached', 409);
+  }
+
+  if (coupon.perUserLimit !== null && coupon.perUserLimit !== undefined) {
+    const userRedemptions = await tx.couponRedemption.count({
+      where: { couponId: coupon.id, userId },
+    });
+    if (userRedemptions >= coupon.perUserLimit) {
+      throw new CouponError('You have already used this coupon the maximum number of times', 409);
+    }
+  }
+
+  return tx.couponRedemption.create({
+    data: {
+      couponId: coupon.id,
+      userId,
+      orderId,
+      discount,
+    },
+  });
+};
+
+/**
+ * Give back the redemption of a cancelled order so it no longer counts toward limits
+ */
+export const releaseCoupon = async (tx, orderId) => {
+  const redemption = await tx.couponRedemption.findUnique({
+    where: { orderId },
+  });
+  if (!redemption) return;
+
+  await tx.couponRedemption.delete({ where: { id: redemption.id } });
+  await tx.coupon.updateMany({
+    where: { id: redemption.couponId, usageCount: { gt: 0 } },
+    data: { usageCount: { decrement: 1 } },
+  });
+};
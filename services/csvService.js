@@ -0,0 +1,79 @@
+/*
+ * Minimal RFC 4180 CSV reading and writing: comma separated, fields optionally wrapped
+ * in double quotes, quotes escaped by doubling, CRLF or LF line endings.
+ */
+
+/**
+ * Parse CSV text into an array of rows, each an array of field strings
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Skip blank lines, e.g. a trailing newline or spacer rows from spreadsheets
+  return rows.filter(values => values.some(value => value.trim() !== ''));
+};
+
+/**
+ * Parse CSV text with a header row into records keyed by column name. `row` is the
+ * 1-based data row number as a spreadsheet shows it (the header is row 1).
+ */
+export const parseCsvRecords = (text) => {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map(column => column.trim());
+
+  return {
+    columns,
+    records: rows.map((values, index) => ({
+      row: index + 2,
+      values: Object.fromEntries(columns.map((column, position) => [column, (values[position] ?? '').trim()])),
+    })),
+  };
+};
+
+const escapeField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) || /^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize one row of values as a CSV line, including the trailing CRLF
+ */
+export const toCsvLine = (values) => `${values.map(escapeField).join(',')}\r\n`;
@@ -0,0 +1,212 @@
+import crypto from 'node:crypto';
+import sharp from 'sharp';
+import prisma from '../config/db.js';
+import { getStorage } from '../config/storage.js';
+
+export const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/avif'];
+
+export const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+
+export const MAX_IMAGES_PER_UPLOAD = 10;
+
+export const MAX_REVIEW_PHOTOS = 5;
+
+// Every upload is stored in these sizes; `fit: cover` crops to the exact box
+export const IMAGE_VARIANTS = {
+  thumbnail: { width: 200, height: 200, fit: 'cover' },
+  card: { width: 600, height: 600, fit: 'inside' },
+  zoom: { width: 1600, height: 1600, fit: 'inside' },
+};
+
+// Product.images mirrors this variant of its ordered images for existing clients
+const LISTING_VARIANT = 'card';
+
+/**
+ * Raised for uploads that are not a supported, decodable image
+ */
+export class ImageValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImageValidationError';
+    this.statusCode = 400;
+  }
+}
+
+// Storage folders per kind of image
+const PRODUCT_FOLDER = 'products';
+const REVIEW_FOLDER = 'reviews';
+
+const variantKey = (folder, imageId, variant) => `${folder}/${imageId}/${variant}.webp`;
+
+/**
+ * Decode an upload and render every variant as WebP. The declared content type is not
+ * trusted: the bytes must decode as one of the allowed formats.
+ */
+export const renderImageVariants = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch {
+    throw new ImageValidationError('File is not a readable image');
+  }
+
+  const format = metadata.format === 'jpg' ? 'jpeg' : metadata.format === 'heif' ? 'avif' : metadata.format;
+  if (!ALLOWED_IMAGE_TYPES.includes(`image/${format}`)) {
+    throw new ImageValidationError(`Unsupported image format: ${metadata.format}`);
+  }
+
+  const variants = {};
+  for (const [name, { width, height, fit }] of Object.entries(IMAGE_VARIANTS)) {
+    variants[name] = await sharp(buffer)
+      .rotate()
+      .resize({ width, height, fit, withoutEnlargement: fit === 'inside' })
+      .webp({ quality: 82 })
+      .toBuffer();
+  }
+
+  return { width: metadata.width, height: metadata.height, variants };
+};
+
+/**
+ * Render one uploaded file (multer memory storage) and put its variants in storage
+ * under `folder`. Returns the new image id with its variant urls and dimensions.
+ */
+const storeImageVariants = async (file, folder) => {
+  const { width, height, variants } = await renderImageVariants(file.buffer);
+  const storage = getStorage();
+  const id = crypto.randomUUID();
+  const urls = {};
+
+  try {
+    for (const [name, body] of Object.entries(variants)) {
+      const stored = await storage.put(variantKey(folder, id, name), body, { contentType: 'image/webp' });
+      urls[name] = stored.url;
+    }
+  } catch (error) {
+    await Promise.allSettled(Object.keys(IMAGE_VARIANTS).map(name => storage.delete(variantKey(folder, id, name))));
+    throw error;
+  }
+
+  return { id, urls, width, height };
+};
+
+const deleteImageVariantFiles = async (folder, imageIds) => {
+  const storage = getStorage();
+  const results = await Promise.allSettled(imageIds.flatMap(id => Object.keys(IMAGE_VARIANTS)
+    .map(name => storage.delete(variantKey(folder, id, name)))));
+
+  results
+    .filter(result => result.status === 'rejected')
+    .forEach(result => console.error('Failed to delete stored image file:', result.reason));
+};
+
+/**
+ * Store one uploaded file (multer memory storage) and create its ProductImage record.
+ * The image stays unattached until a product references it.
+ */
+export const storeProductImage = async (file, { alt = null, uploadedById = null } = {}) => {
+  const { id, urls, width, height } = await storeImageVariants(file, PRODUCT_FOLDER);
+
+  return prisma.productImage.create({
+    data: {
+      id,
+      alt,
+      urls,
+      width,
+      height,
+      originalName: file.originalname,
+      uploadedById,
+    },
+  });
+};
+
+/**
+ * Remove the stored files of images whose records are already gone. Failures are logged,
+ * not thrown, because the database is the source of truth.
+ */
+export const deleteStoredImageFiles = (imageIds) => deleteImageVariantFiles(PRODUCT_FOLDER, imageIds);
+
+/**
+ * Store one uploaded review photo and create its ReviewPhoto record, owned by `userId`.
+ * The photo stays unattached until the user's review references it.
+ */
+export const storeReviewPhoto = async (file, { userId }) => {
+  const { id, urls, width, height } = await storeImageVariants(file, REVIEW_FOLDER);
+
+  return prisma.reviewPhoto.create({
+    data: {
+      id,
+      urls,
+      width,
+      height,
+      originalName: file.originalname,
+      userId,
+    },
+  });
+};
+
+/**
+ * Remove the stored files of review photos whose records are already gone
+ */
+export const deleteStoredReviewPhotoFiles = (photoIds) => deleteImageVariantFiles(REVIEW_FOLDER, photoIds);
+
+/**
+ * Validate a product's `productImages` payload ([{ id, alt }], in display order).
+ * Returns an error message, or null when every image exists and is free to attach.
+ */
+export const validateProductImages = async (productImages, productId = null) => {
+  if (!Array.isArray(productImages)) return 'productImages must be an array';
+
+  const ids = productImages.map(image => image?.id);
+  if (ids.some(id => !id)) return 'Every product image needs an id';
+  if (new Set(ids).size !== ids.length) return 'Product images must not repeat';
+
+  const images = await prisma.productImage.findMany({
+    where: { id: { in: ids } },
+    select: { id: true, productId: true },
+  });
+  const found = new Map(images.map(image => [image.id, image]));
+  const missing = ids.filter(id => !found.has(id));
+  if (missing.length > 0) return `Images not found: ${missing.join(', ')}`;
+
+  const taken = images.filter(image => image.productId && image.productId !== productId);
+  if (taken.length > 0) return `Images already belong to another product: ${taken.map(image => image.id).join(', ')}`;
+
+  return null;
+};
+
+/**
+ * Make `productImages` the product's images, in order and with their alt text, inside a
+ * transaction. Images dropped from the list are deleted; returns their ids so the caller
+ * can remove the files once the transaction has committed.
+ */
+export const syncProductImages = async (tx, productId, productImages) => {
+  const ids = productImages.map(image => image.id);
+
+  const removed = await tx.productImage.findMany({
+    where: { productId, id: { notIn: ids } },
+    select: { id: true },
+  });
+  if (removed.length > 0) {
+    await tx.productImage.deleteMany({ where: { id: { in: removed.map(image => image.id) } } });
+  }
+
+  const images = [];
+  for (const [position, image] of productImages.entries()) {
+    images.push(await tx.productImage.update({
+      where: { id: image.id },
+      data: {
+        productId,
+        position,
+        ...(image.alt !== undefined && { alt: image.alt || null }),
+      },
+    }));
+  }
+
+  await tx.product.update({
+    where: { id: productId },
+    data: { images: images.map(image => image.urls[LISTING_VARIANT]) },
+  });
+
+  return removed.map(image => image.id);
+};
@@ -0,0 +1,224 @@
+/**
+ * Raised inside an order transaction when one or more items cannot be reserved,
+ * so the whole transaction rolls back
+ */
+export class InsufficientStockError extends Error {
+  constructor(products) {
+    super(`Insufficient stock for ${products.map(p => p.name).join(', ')}`);
+    this.name = 'InsufficientStockError';
+    this.statusCode = 409;
+    this.products = products;
+  }
+}
+
+export const STOCK_MOVEMENT_REASONS = ['sale', 'cancellation', 'adjustment', 'return', 'import'];
+
+/**
+ * Raised when a stock adjustment cannot be applied, e.g. it would go below zero or the
+ * counted stock changed underneath it
+ */
+export class StockAdjustmentError extends Error {
+  constructor(message, statusCode = 409) {
+    super(message);
+    this.name = 'StockAdjustmentError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Append entries to the inventory ledger. Each entry carries productId, optional
+ * variantId, the signed delta, the reason, stockAfter and optional orderId/userId/note.
+ */
+export const recordStockMovements = async (tx, movements) => {
+  const entries = movements.filter(movement => movement.delta !== 0);
+  if (entries.length === 0) return;
+
+  await tx.inventoryMovement.createMany({
+    data: entries.map(movement => ({
+      productId: movement.productId,
+      variantId: movement.variantId ?? null,
+      delta: movement.delta,
+      reason: movement.reason,
+      stockAfter: movement.stockAfter,
+      orderId: movement.orderId ?? null,
+      userId: movement.userId ?? null,
+      note: movement.note ?? null,
+    })),
+  });
+};
+
+const currentStock = async (model, id) => {
+  const row = await model.findUnique({ where: { id }, select: { stock: true } });
+  return row?.stock ?? 0;
+};
+
+/**
+ * Atomically decrement stock for each item inside a transaction.
+ * The decrement is conditional on enough stock being left, so concurrent
+ * checkouts cannot push stock below zero. Every item is attempted so the
+ * error can name all products that fell short.
+ *
+ * Returns the ledger movements for the reservation; the caller records them once the
+ * order they belong to exists.
+ */
+export const reserveStock = async (tx, items, productMap) => {
+  const shortages = [];
+  const movements = [];
+
+  for (const item of items) {
+    // Variant lines reserve the variant's own stock; product stock mirrors the variant total
+    const model = item.variantId ? tx.productVariant : tx.product;
+    const id = item.variantId || item.productId;
+
+    const { count } = await model.updateMany({
+      where: { id, stock: { gte: item.quantity } },
+      data: { stock: { decrement: item.quantity } },
+    });
+
+    if (count === 0) {
+      shortages.push({
+        id: item.productId,
+        ...(item.variantId && { variantId: item.variantId, sku: item.variantSku }),
+        name: productMap.get(item.productId)?.name,
+        requested: item.quantity,
+        available: await currentStock(model, id),
+      });
+      continue;
+    }
+
+    if (item.variantId) {
+      await tx.product.update({
+        where: { id: item.productId },
+        data: { stock: { decrement: item.quantity } },
+      });
+    }
+
+    movements.push({
+      productId: item.productId,
+      variantId: item.variantId ?? null,
+      delta: -item.quantity,
+      reason: 'sale',
+      stockAfter: await currentStock(model, id),
+    });
+  }
+
+  if (shortages.length > 0) {
+    throw new InsufficientStockError(shortages);
+  }
+
+  return movements;
+};
+
+/**
+ * Put the stock of order items back, e.g. when an order is cancelled, and record it.
+ * Returns the recorded movements.
+ */
+export const restoreStock = async (tx, items, { reason = 'cancellation', orderId = null, userId = null } = {}) => {
+  const movements = [];
+
+  for (const item of items) {
+    let variant = null;
+    if (item.variantId) {
+      variant = await tx.productVariant.update({
+        where: { id: item.variantId },
+        data: { stock: { increment: item.quantity } },
+      });
+    }
+
+    const product = await tx.product.update({
+      where: { id: item.productId },
+      data: {
+        stock: { increment: item.quantity },
+      },
+    });
+
+    movements.push({
+      productId: item.productId,
+      variantId: item.variantId ?? null,
+      delta: item.quantity,
+      reason,
+      stockAfter: (variant ?? product).stock,
+      orderId,
+      userId,
+    });
+  }
+
+  await recordStockMovements(tx, movements);
+  return movements;
+};
+
+/**
+ * Change the stock of a product, or of one of its variants, by `delta` and record it.
+ * With `expectedStock` the change only applies if stock still equals that value, so a
+ * stocktake cannot overwrite sales that happened meanwhile. Variant changes are mirrored
+ * on the product total.
+ */
+export const adjustStock = async (tx, {
+  productId,
+  variantId = null,
+  delta,
+  expectedStock,
+  reason,
+  orderId = null,
+  userId = null,
+  note = null,
+}) => {
+  const model = variantId ? tx.productVariant : tx.product;
+  const id = variantId || productId;
+
+  const stockCondition = {
+    ...(expectedStock !== undefined && { equals: expectedStock }),
+    ...(delta < 0 && { gte: -delta }),
+  };
+  const { count } = await model.updateMany({
+    where: {
+      id,
+      ...(variantId && { productId }),
+      ...(Object.keys(stockCondition).length > 0 && { stock: stockCondition }),
+    },
+    data: { stock: { increment: delta } },
+  });
+
+  if (count === 0) {
+    const exists = await model.findUnique({ where: { id }, select: { stock: true } });
+    if (!exists) throw new StockAdjustmentError(variantId ? 'Variant not found' : 'Product not found', 404);
+    throw new StockAdjustmentError(expectedStock !== undefined
+      ? 'Stock changed while the adjustment was being made, reload and try again'
+      : `Adjustment would take stock below zero (current stock ${exists.stock})`);
+  }
+
+  if (variantId) {
+    await tx.product.update({
+      where: { id: productId },
+      data: { stock: { increment: delta } },
+    });
+  }
+
+  const movement = {
+    productId,
+    variantId,
+    delta,
+    reason,
+    stockAfter: await currentStock(model, id),
+    orderId,
+    userId,
+    note,
+  };
+  await recordStockMovements(tx, [movement]);
+  return movement;
+};
+
+/**
+ * Set a product's (or variant's) stock to an absolute value, recording the difference
+ */
+export const setStock = async (tx, { productId, variantId = null, stock, ...context }) => {
+  const current = await currentStock(variantId ? tx.productVariant : tx.product, variantId || productId);
+  if (current === stock) return null;
+  return adjustStock(tx, {
+    productId,
+    variantId,
+    delta: stock - current,
+    expectedStock: current,
+    ...context,
+  });
+};
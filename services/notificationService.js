@@ -0,0 +1,57 @@
+import prisma from '../config/db.js';
+
+/*
+ * Notifications are stored per user for the in-app inbox (GET /api/users/notifications).
+ * When NOTIFICATION_WEBHOOK_URL is set, each batch is also POSTed there as JSON so an
+ * email or chat relay can deliver it.
+ */
+
+const deliverWebhook = async (payload) => {
+  const url = process.env.NOTIFICATION_WEBHOOK_URL;
+  if (!url) return;
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Notification webhook responded with ${response.status}`);
+  }
+};
+
+/**
+ * Notify `users` ({ id, email }) with one message. Returns the number stored.
+ */
+export const notifyUsers = async (users, { type, title, body, data = {} }) => {
+  if (users.length === 0) return 0;
+
+  const { count } = await prisma.notification.createMany({
+    data: users.map(user => ({
+      userId: user.id,
+      type,
+      title,
+      body,
+      data,
+    })),
+  });
+
+  await deliverWebhook({
+    type,
+    title,
+    body,
+    data,
+    recipients: users.map(user => user.email).filter(Boolean),
+  });
+
+  return count;
+};
+
+/**
+ * Active admins, the audience for operational alerts
+ */
+export const findAdmins = () => prisma.user.findMany({
+  where: { role: 'ADMIN', isActive: true },
+  select: { id: true, email: true },
+});
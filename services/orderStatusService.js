@@ -0,0 +1,62 @@
+export const ORDER_STATUSES = [
+  'pending',
+  'confirmed',
+  'processing',
+  'shipped',
+  'delivered',
+  'cancelled',
+  'returned',
+];
+
+// Allowed next statuses for each order status
+export const ORDER_STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered', 'returned'],
+  delivered: ['returned'],
+  cancelled: [],
+  returned: [],
+};
+
+export const canTransitionOrder = (from, to) => (ORDER_STATUS_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Move an order from `from` to `to` inside a transaction and record the change as an order event.
+ * The update is conditional on the current status, so it returns null when another request
+ * changed the order first.
+ */
+export const transitionOrderStatus = async (tx, { orderId, from, to, actorId, note, data = {} }) => {
+  const { count } = await tx.order.updateMany({
+    where: { id: orderId, status: from },
+    data: { ...data, status: to },
+  });
+
+  if (count === 0) {
+    return null;
+  }
+
+  return tx.orderEvent.create({
+    data: {
+      orderId,
+      fromStatus: from,
+      toStatus: to,
+      actorId: actorId || null,
+      note: note || '',
+    },
+  });
+};
+
+/**
+ * Record the initial status of a newly created order
+ */
+export const recordOrderCreated = (tx, { orderId, actorId, status = 'pending' }) =>
+  tx.orderEvent.create({
+    data: {
+      orderId,
+      fromStatus: null,
+      toStatus: status,
+      actorId: actorId || null,
+      note: 'Order placed',
+    },
+  });
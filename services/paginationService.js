@@ -0,0 +1,237 @@
+import { Prisma } from '@prisma/client';
+
+/*
+ * Opt-in cursor (keyset) pagination. A listing switches to cursor mode when the request
+ * carries `cursor` (empty for the first page) or `paginate=cursor`; otherwise it keeps
+ * its page/limit contract. Cursors encode the sort value and id of the boundary row,
+ * and `id` is always the tiebreaker so rows with equal sort values never shift between
+ * pages. Sort fields used here must be non-nullable, and each (field, id) pair wants a
+ * composite index, e.g. @@index([createdAt, id]).
+ */
+
+/**
+ * Raised for a cursor that cannot be decoded or belongs to a different sort
+ */
+export class CursorError extends Error {
+  constructor(message = 'Invalid pagination cursor') {
+    super(message);
+    this.name = 'CursorError';
+    this.statusCode = 400;
+  }
+}
+
+export const MAX_CURSOR_LIMIT = 100;
+
+export const isCursorRequest = (query) => query.cursor !== undefined || query.paginate === 'cursor';
+
+const encodeValue = (value) => {
+  if (value instanceof Date) return { t: 'date', v: value.toISOString() };
+  if (typeof value === 'number' || typeof value === 'string') return { t: typeof value, v: value };
+  return { t: 'decimal', v: value.toString() };
+};
+
+const decodeValue = ({ t, v }) => {
+  if (t === 'date') return new Date(v);
+  if (t === 'decimal') return new Prisma.Decimal(v);
+  return v;
+};
+
+export const encodeCursor = ({ field, value, id, direction }) => Buffer
+  .from(JSON.stringify({ f: field, ...encodeValue(value), id, d: direction }))
+  .toString('base64url');
+
+/**
+ * Decode a cursor produced for `field`. Returns null for the first page.
+ */
+export const decodeCursor = (cursor, field) => {
+  if (!cursor) return null;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw new CursorError();
+  }
+
+  if (!parsed || parsed.f !== field || !parsed.id || !['next', 'prev'].includes(parsed.d)) {
+    throw new CursorError();
+  }
+
+  return { value: decodeValue(parsed), id: parsed.id, direction: parsed.d };
+};
+
+export const parseCursorLimit = (limit, fallback) => Math.min(Math.max(Number(limit) || fallback, 1), MAX_CURSOR_LIMIT);
+
+/**
+ * Rows strictly after (or, going back, before) the cursor row in `field`/`id` order
+ */
+const keysetWhere = (field, direction, cursor) => {
+  const forward = cursor.direction === 'next';
+  const op = (direction === 'desc') === forward ? 'lt' : 'gt';
+
+  return {
+    OR: [
+      { [field]: { [op]: cursor.value } },
+      { [field]: cursor.value, id: { [op]: cursor.id } },
+    ],
+  };
+};
+
+const buildPageInfo = ({ items, hasMore, cursor, field, valueOf }) => {
+  const goingBack = cursor?.direction === 'prev';
+  const hasNext = goingBack ? true : hasMore;
+  const hasPrev = goingBack ? hasMore : Boolean(cursor);
+  const first = items[0];
+  const last = items[items.length - 1];
+
+  return {
+    nextCursor: hasNext && last ? encodeCursor({ field, value: valueOf(last), id: last.id, direction: 'next' }) : null,
+    prevCursor: hasPrev && first ? encodeCursor({ field, value: valueOf(first), id: first.id, direction: 'prev' }) : null,
+    hasNext,
+    hasPrev,
+  };
+};
+
+/**
+ * Fetch one cursor page from a Prisma model ordered by `field` then `id`.
+ * `args` is passed through to findMany (include/select); a select must keep `field` and `id`.
+ */
+export const findManyByCursor = async (model, {
+  where = {},
+  field = 'createdAt',
+  direction = 'desc',
+  cursor,
+  limit,
+  ...args
+}) => {
+  const decoded = decodeCursor(cursor, field);
+  const goingBack = decoded?.direction === 'prev';
+  // Walk backwards by flipping the order, then restore it on the way out
+  const queryDirection = goingBack ? (direction === 'desc' ? 'asc' : 'desc') : direction;
+
+  const rows = await model.findMany({
+    ...args,
+    where: decoded ? { AND: [where, keysetWhere(field, direction, decoded)] } : where,
+    orderBy: [{ [field]: queryDirection }, { id: queryDirection }],
+    take: limit + 1,
+  });
+
+  const hasMore = rows.length > limit;
+  const items = rows.slice(0, limit);
+  if (goingBack) items.reverse();
+
+  return {
+    items,
+    pagination: {
+      limit,
+      ...buildPageInfo({ items, hasMore, cursor: decoded, field, valueOf: row => row[field] }),
+    },
+  };
+};
+
+/**
+ * Cursor page over an already ordered list of ids, e.g. search results in relevance order
+ */
+export const sliceIdsByCursor = (ids, { cursor, limit, field = 'relevance' }) => {
+  const decoded = decodeCursor(cursor, field);
+  const position = new Map(ids.map((id, index) => [id, index]));
+
+  if (decoded && !position.has(decoded.id)) {
+    throw new CursorError('Pagination cursor is no longer valid for these results');
+  }
+
+  let start = 0;
+  let end = limit;
+  let hasMore;
+  if (!decoded) {
+    hasMore = ids.length > limit;
+  } else if (decoded.direction === 'next') {
+    start = position.get(decoded.id) + 1;
+    end = start + limit;
+    hasMore = ids.length > end;
+  } else {
+    end = position.get(decoded.id);
+    start = Math.max(end - limit, 0);
+    hasMore = start > 0;
+  }
+
+  const items = ids.slice(start, end).map(id => ({ id }));
+
+  return {
+    ids: items.map(item => item.id),
+    pagination: {
+      limit,
+      ...buildPageInfo({ items, hasMore, cursor: decoded, field, valueOf: item => position.get(item.id) }),
+    },
+  };
+};
+
+const compareValues = (a, b) => {
+  if (a instanceof Date || b instanceof Date) return new Date(a) - new Date(b);
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return new Prisma.Decimal(a).comparedTo(b);
+};
+
+/**
+ * Rows of several non-overlapping queries merged into one `direction` order of a value
+ * each reads from its own column, e.g. products by the price charged: salePrice while
+ * on sale, price otherwise. `sources` are [{ where, field }]; each is sorted by its field
+ * then id in the database and only its first `take` rows are read.
+ * Returns up to `take` { id, value } rows.
+ */
+const findMerged = async (model, { sources, direction, take }) => {
+  const lists = await Promise.all(sources.map(async ({ where, field }) => {
+    const rows = await model.findMany({
+      where,
+      orderBy: [{ [field]: direction }, { id: direction }],
+      take,
+      select: { id: true, [field]: true },
+    });
+    return rows.map(row => ({ id: row.id, value: row[field] }));
+  }));
+
+  const sign = direction === 'asc' ? 1 : -1;
+  return lists
+    .flat()
+    .sort((a, b) => sign * (compareValues(a.value, b.value) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0)))
+    .slice(0, take);
+};
+
+/**
+ * Ids of one page (`skip`/`take`) of merged sources, see findMerged
+ */
+export const findMergedPage = async (model, { sources, direction = 'desc', skip = 0, take }) => {
+  const rows = await findMerged(model, { sources, direction, take: skip + take });
+  return rows.slice(skip).map(row => row.id);
+};
+
+/**
+ * Cursor page of merged sources, see findMerged. `field` names the merged value in the
+ * cursor. Returns { ids, pagination }.
+ */
+export const findMergedByCursor = async (model, { sources, field, direction = 'desc', cursor, limit }) => {
+  const decoded = decodeCursor(cursor, field);
+  const goingBack = decoded?.direction === 'prev';
+  const queryDirection = goingBack ? (direction === 'desc' ? 'asc' : 'desc') : direction;
+
+  const rows = await findMerged(model, {
+    sources: sources.map(source => ({
+      ...source,
+      where: decoded ? { AND: [source.where, keysetWhere(source.field, direction, decoded)] } : source.where,
+    })),
+    direction: queryDirection,
+    take: limit + 1,
+  });
+
+  const hasMore = rows.length > limit;
+  const items = rows.slice(0, limit);
+  if (goingBack) items.reverse();
+
+  return {
+    ids: items.map(item => item.id),
+    pagination: {
+      limit,
+      ...buildPageInfo({ items, hasMore, cursor: decoded, field, valueOf: item => item.value }),
+    },
+  };
+};
@@ -0,0 +1,45 @@
+import { Prisma } from '@prisma/client';
+import prisma from '../config/db.js';
+import { getStripe } from '../config/stripe.js';
+
+// PaymentIntent states that can still be confirmed by the client
+export const REUSABLE_INTENT_STATUSES = ['requires_payment_method', 'requires_confirmation', 'requires_action'];
+
+// Stripe amounts are expressed in the smallest currency unit
+export const toMinorUnits = (amount) => new Prisma.Decimal(amount).times(100).toDecimalPlaces(0).toNumber();
+
+/**
+ * Move an order's paymentStatus to `to` only if it is currently one of `from`.
+ * Returns false when the order was already past that point (e.g. a replayed event).
+ */
+export const advancePaymentStatus = async (orderId, from, to) => {
+  const { count } = await prisma.order.updateMany({
+    where: { id: orderId, paymentStatus: { in: from } },
+    data: { paymentStatus: to },
+  });
+  return count > 0;
+};
+
+/**
+ * Cancel an order's open PaymentIntent so it can no longer be charged.
+ * Returns { captured: true } when the intent already went through and the
+ * order has to be treated as paid instead.
+ */
+export const releasePaymentIntent = async (order) => {
+  if (!order.paymentIntentId) {
+    return { captured: false };
+  }
+
+  const stripe = getStripe();
+  const intent = await stripe.paymentIntents.retrieve(order.paymentIntentId);
+
+  if (intent.status === 'succeeded' || intent.status === 'processing') {
+    return { captured: true };
+  }
+
+  if (intent.status !== 'canceled') {
+    await stripe.paymentIntents.cancel(intent.id);
+  }
+
+  return { captured: false };
+};
@@ -0,0 +1,191 @@
+import { Prisma } from '@prisma/client';
+import prisma from '../config/db.js';
+import { getShippingOptions } from './shippingService.js';
+import { calculateTaxForAddress } from './taxService.js';
+import {
+  CouponError,
+  evaluateCoupon,
+  findCouponByCode,
+  withExpandedCategories,
+} from './couponService.js';
+import { resolveVariantPrice } from './variantService.js';
+
+const decimal = (value = 0) => new Prisma.Decimal(value);
+
+/**
+ * Raised for checkout payloads that cannot be priced at all (no items, unknown products,
+ * bad quantities)
+ */
+export class PricingError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PricingError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Price a checkout payload. This is the single pricing path shared by the quote
+ * endpoint and createOrder, so a preview and the final charge always agree.
+ *
+ * Throws PricingError / CouponError for invalid input. An unavailable shipping method
+ * and insufficient stock are reported (shipping: null, stockWarnings) rather than thrown,
+ * so callers decide whether they are fatal.
+ */
+export const priceOrder = async ({
+  items,
+  shippingAddress,
+  shippingMethod = 'standard',
+  couponCode,
+  userId,
+}) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new PricingError('Order must contain at least one item');
+  }
+
+  const productIds = [...new Set(items.map(item => item.product))];
+  const variantIds = items.map(item => item.variant).filter(Boolean);
+  const [products, variants] = await Promise.all([
+    prisma.product.findMany({
+      where: { id: { in: productIds }, deletedAt: null },
+      include: { _count: { select: { variants: { where: { isActive: true } } } } },
+    }),
+    variantIds.length > 0
+      ? prisma.productVariant.findMany({ where: { id: { in: variantIds }, isActive: true } })
+      : [],
+  ]);
+
+  if (products.length !== productIds.length) {
+    throw new PricingError('One or more products were not found');
+  }
+
+  const productMap = new Map(products.map(p => [p.id, p]));
+  // One clock for the whole order, so a sale ending mid-request cannot split it
+  const pricedAt = new Date();
+  const variantMap = new Map(variants.map(v => [v.id, v]));
+  const seenLines = new Set();
+
+  let subtotal = decimal(0);
+  let totalWeight = decimal(0);
+  let totalQuantity = 0;
+  const orderItemsData = [];
+  const stockWarnings = [];
+
+  for (const item of items) {
+    const product = productMap.get(item.product);
+    if (!product) {
+      throw new PricingError(`Product not found: ${item.product}`);
+    }
+
+    let variant = null;
+    if (item.variant) {
+      variant = variantMap.get(item.variant);
+      if (!variant || variant.productId !== product.id) {
+        throw new PricingError(`Variant not found for ${product.name}: ${item.variant}`);
+      }
+    } else if (product._count?.variants > 0) {
+      throw new PricingError(`Please choose a variant of ${product.name}`);
+    }
+
+    const lineKey = `${product.id}:${variant?.id ?? ''}`;
+    if (seenLines.has(lineKey)) {
+      throw new PricingError(`${product.name} is listed more than once`);
+    }
+    seenLines.add(lineKey);
+
+    const quantity = Number(item.quantity);
+
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw new PricingError(`Invalid quantity for ${product.name}. Quantity must be a positive integer.`);
+    }
+
+    const available = variant ? variant.stock : product.stock;
+    if (available < quantity) {
+      stockWarnings.push({
+        id: product.id,
+        ...(variant && { variantId: variant.id, sku: variant.sku }),
+        name: product.name,
+        requested: quantity,
+        available,
+      });
+    }
+
+    const price = resolveVariantPrice(product, variant, pricedAt);
+    const itemTotal = price.times(quantity);
+    subtotal = subtotal.plus(itemTotal);
+    totalWeight = totalWeight.plus(decimal(product.weight || 0).times(quantity));
+    totalQuantity += quantity;
+
+    orderItemsData.push({
+      productId: product.id,
+      variantId: variant?.id ?? null,
+      variantSku: variant?.sku ?? null,
+      variantOptions: variant?.options ?? undefined,
+      quantity,
+      price,
+      total: itemTotal,
+      discount: decimal(0),
+    });
+  }
+
+  let coupon = null;
+  let discount = decimal(0);
+
+  if (couponCode) {
+    coupon = await findCouponByCode(couponCode);
+    const result = evaluateCoupon(await withExpandedCategories(coupon), orderItemsData.map(item => ({
+      productId: item.productId,
+      categoryId: productMap.get(item.productId).categoryId,
+      total: item.total,
+    })));
+
+    if (userId && coupon.perUserLimit !== null && coupon.perUserLimit !== undefined) {
+      const userRedemptions = await prisma.couponRedemption.count({
+        where: { couponId: coupon.id, userId },
+      });
+      if (userRedemptions >= coupon.perUserLimit) {
+        throw new CouponError('You have already used this coupon the maximum number of times');
+      }
+    }
+
+    discount = result.discount;
+    orderItemsData.forEach((item, index) => {
+      item.discount = result.lineDiscounts[index];
+    });
+  }
+
+  const discountedSubtotal = subtotal.minus(discount);
+
+  const shippingOptions = await getShippingOptions(shippingAddress, {
+    subtotal: discountedSubtotal,
+    totalWeight,
+    totalQuantity,
+  });
+  const shipping = shippingOptions.find(option => option.method === shippingMethod) || null;
+  const shippingCost = shipping ? shipping.cost : decimal(0);
+
+  const taxResult = await calculateTaxForAddress(
+    shippingAddress,
+    orderItemsData.map(item => ({
+      categoryId: productMap.get(item.productId).categoryId,
+      total: decimal(item.total).minus(item.discount),
+    }))
+  );
+  orderItemsData.forEach((item, index) => Object.assign(item, taxResult.lines[index]));
+
+  return {
+    productMap,
+    orderItemsData,
+    coupon,
+    shipping,
+    shippingOptions,
+    stockWarnings,
+    subtotal,
+    discount,
+    shippingCost,
+    tax: taxResult.tax,
+    taxInclusive: taxResult.inclusive,
+    taxRateId: taxResult.taxRateId,
+    total: discountedSubtotal.plus(shippingCost).plus(taxResult.additionalTax),
+  };
+};
@@ -0,0 +1,233 @@
+import { Prisma } from '@prisma/client';
+import prisma from '../config/db.js';
+import { searchProductIds } from './searchService.js';
+import { buildCategoryTree, resolveCategoryIds } from './categoryService.js';
+import { effectivePriceWhere, onSaleWhere } from './salePriceService.js';
+
+export const PRICE_BUCKETS = [
+  { key: 'under-500', label: 'Under 500', max: 500 },
+  { key: '500-1000', label: '500 - 1000', min: 500, max: 1000 },
+  { key: '1000-2500', label: '1000 - 2500', min: 1000, max: 2500 },
+  { key: '2500-plus', label: '2500 & above', min: 2500 },
+];
+
+export const RATING_BANDS = [4, 3, 2, 1];
+
+/**
+ * Parse `options=Size:Large,Finish:Brass` into { Size: 'Large', Finish: 'Brass' }
+ */
+export const parseOptionFilter = (value) => {
+  if (!value) return {};
+  return Object.fromEntries(String(value)
+    .split(',')
+    .map(pair => pair.split(':').map(part => part.trim()))
+    .filter(([name, optionValue]) => name && optionValue));
+};
+
+/**
+ * Normalize tags given as an array or a comma separated string: trimmed, lower case, unique
+ */
+export const parseTags = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+};
+
+/**
+ * A non-negative number from a query parameter, or null when it is missing or invalid.
+ * Listing filters ignore bad values rather than failing the whole request.
+ */
+const parseAmount = (value) => {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  const amount = Number(value);
+  return Number.isFinite(amount) && amount >= 0 ? amount : null;
+};
+
+const priceRange = (min, max) => {
+  const range = {};
+  if (min !== undefined && min !== null && min !== '') range.gte = new Prisma.Decimal(min);
+  if (max !== undefined && max !== null && max !== '') range.lt = new Prisma.Decimal(max);
+  return range;
+};
+
+/**
+ * Build the product listing filters from query parameters, one Prisma clause per facet
+ * so facet counts can leave out their own filter. `rankedIds` is the full-text search
+ * result order when `search` is given.
+ */
+export const buildProductFilters = async (query) => {
+  const {
+    category,
+    minPrice,
+    maxPrice,
+    minRating,
+    options,
+    search,
+    featured,
+    onSale,
+    tags,
+    active = 'true',
+  } = query;
+
+  const clauses = {
+    base: { isActive: active === 'true', deletedAt: null },
+  };
+
+  if (featured === 'true') {
+    clauses.base.isFeatured = true;
+  }
+
+  // A parent category matches products in any of its subcategories; an unknown one matches nothing
+  if (category) {
+    clauses.category = { categoryId: { in: (await resolveCategoryIds(category)) ?? [] } };
+  }
+
+  const min = parseAmount(minPrice);
+  const max = parseAmount(maxPrice);
+  if (min !== null || max !== null) {
+    const range = {};
+    if (min !== null) range.gte = new Prisma.Decimal(min);
+    if (max !== null) range.lte = new Prisma.Decimal(max);
+    // Filter on the price charged right now, so a running sale counts
+    clauses.price = effectivePriceWhere(range, new Date());
+  }
+
+  // Any of the given tags matches
+  const tagList = parseTags(tags);
+  if (tagList.length > 0) {
+    clauses.tags = { tags: { hasSome: tagList } };
+  }
+
+  // Sale status is resolved against the clock, not stored
+  if (onSale === 'true') {
+    clauses.sale = onSaleWhere();
+  } else if (onSale === 'false') {
+    clauses.sale = { NOT: onSaleWhere() };
+  }
+
+  const rating = parseAmount(minRating);
+  if (rating !== null) {
+    clauses.rating = { ratingAverage: { gte: rating } };
+  }
+
+  const selectedOptions = parseOptionFilter(options);
+  if (Object.keys(selectedOptions).length > 0) {
+    // One variant has to carry every selected option value
+    clauses.options = {
+      variants: {
+        some: {
+          isActive: true,
+          AND: Object.entries(selectedOptions).map(([name, value]) => ({
+            options: { path: [name], equals: value },
+          })),
+        },
+      },
+    };
+  }
+
+  const rankedIds = search ? await searchProductIds(search) : null;
+  if (rankedIds) {
+    clauses.search = { id: { in: rankedIds } };
+  }
+
+  return { clauses, rankedIds };
+};
+
+/**
+ * Ids of products matching `where` with those on sale first, each group newest first.
+ * Sale status depends on the clock, so this order cannot be expressed as a Prisma orderBy.
+ */
+export const orderIdsBySale = async (where, now = new Date()) => {
+  const orderBy = [{ createdAt: 'desc' }, { id: 'desc' }];
+  const [onSale, regular] = await Promise.all([
+    prisma.product.findMany({ where: { AND: [where, onSaleWhere(now)] }, orderBy, select: { id: true } }),
+    prisma.product.findMany({ where: { AND: [where, { NOT: onSaleWhere(now) }] }, orderBy, select: { id: true } }),
+  ]);
+  return [...onSale, ...regular].map(product => product.id);
+};
+
+/**
+ * Combine filter clauses into a Prisma where, optionally leaving one facet out
+ */
+export const combineFilters = (clauses, exclude = null) => ({
+  AND: Object.entries(clauses)
+    .filter(([key]) => key !== exclude)
+    .map(([, clause]) => clause),
+});
+
+const countOptionValues = async (where) => {
+  const variants = await prisma.productVariant.findMany({
+    where: { isActive: true, product: where },
+    select: { productId: true, options: true },
+  });
+
+  // Count products, not variants, per option value
+  const seen = new Map();
+  for (const variant of variants) {
+    for (const [name, value] of Object.entries(variant.options || {})) {
+      const key = `${name}\u0000${value}`;
+      if (!seen.has(key)) seen.set(key, { name, value, products: new Set() });
+      seen.get(key).products.add(variant.productId);
+    }
+  }
+
+  const facets = {};
+  for (const { name, value, products } of seen.values()) {
+    facets[name] = facets[name] || [];
+    facets[name].push({ value, count: products.size });
+  }
+  Object.values(facets).forEach(values => values.sort((a, b) => b.count - a.count || a.value.localeCompare(b.value)));
+  return facets;
+};
+
+/**
+ * Facet counts for the listing. Each facet is counted with every other active filter
+ * applied but not its own, so selecting a value does not hide its alternatives.
+ */
+export const countProductFacets = async (clauses) => {
+  const [categories, categoryGroups, priceCounts, ratingCounts, options, onSaleCount] = await Promise.all([
+    prisma.category.findMany({
+      where: { isActive: true },
+      select: { id: true, name: true, slug: true, parentId: true, sortOrder: true },
+    }),
+    prisma.product.groupBy({
+      by: ['categoryId'],
+      where: combineFilters(clauses, 'category'),
+      _count: { _all: true },
+    }),
+    Promise.all(PRICE_BUCKETS.map(bucket => prisma.product.count({
+      where: {
+        AND: [combineFilters(clauses, 'price'), effectivePriceWhere(priceRange(bucket.min, bucket.max))],
+      },
+    }))),
+    Promise.all(RATING_BANDS.map(band => prisma.product.count({
+      where: {
+        AND: [combineFilters(clauses, 'rating'), { ratingAverage: { gte: band } }],
+      },
+    }))),
+    countOptionValues(combineFilters(clauses, 'options')),
+    prisma.product.count({
+      where: {
+        AND: [combineFilters(clauses, 'sale'), onSaleWhere()],
+      },
+    }),
+  ]);
+
+  return {
+    categories: buildCategoryTree(
+      categories,
+      new Map(categoryGroups.map(group => [group.categoryId, group._count._all]))
+    ),
+    priceRanges: PRICE_BUCKETS.map((bucket, index) => ({
+      ...bucket,
+      count: priceCounts[index],
+    })),
+    ratings: RATING_BANDS.map((band, index) => ({
+      minRating: band,
+      label: `${band} stars & up`,
+      count: ratingCounts[index],
+    })),
+    options,
+    onSale: onSaleCount,
+  };
+};
@@ -0,0 +1,358 @@
+import { Prisma } from '@prisma/client';
+import prisma from '../config/db.js';
+import { toCsvLine } from './csvService.js';
+import { applyProductCategory } from './categoryService.js';
+import { uniqueSlug } from './slugService.js';
+import { normalizeVariantInput, syncProductVariants } from './variantService.js';
+import { setStock } from './inventoryService.js';
+import { publishStockEvents } from './stockEventService.js';
+
+/*
+ * Catalog CSV format. Each row is a product, or one variant of a product when `sku` is
+ * set; rows sharing a `slug` belong to the same product and its product-level columns
+ * are read from the first of them. On import, rows are matched to existing products by
+ * slug, else by the product owning the row's SKU. The variant rows of a product are its
+ * complete variant set, as in the admin product form: variants left out are deactivated.
+ * Empty cells leave existing values unchanged.
+ */
+export const PRODUCT_CSV_COLUMNS = [
+  'slug',
+  'sku',
+  'name',
+  'description',
+  'category',
+  'price',
+  'variantPrice',
+  'stock',
+  'weight',
+  'images',
+  'variantImages',
+  'options',
+  'isActive',
+  'isFeatured',
+];
+
+// Imports above this many rows run as a background job
+export const IMPORT_INLINE_ROW_LIMIT = 200;
+
+const LIST_SEPARATOR = '|';
+
+const splitList = (value) => value.split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+
+const formatOptions = (options) => Object.entries(options || {})
+  .map(([name, value]) => `${name}:${value}`)
+  .join(LIST_SEPARATOR);
+
+/**
+ * CSV rows for a product: one per active variant, or a single row without a SKU
+ */
+export const productToCsvRows = (product) => {
+  const base = {
+    slug: product.slug,
+    name: product.name,
+    description: product.description,
+    category: product.category,
+    price: product.price?.toString(),
+    stock: product.stock,
+    weight: product.weight?.toString(),
+    images: (product.images || []).join(LIST_SEPARATOR),
+    isActive: product.isActive,
+    isFeatured: product.isFeatured,
+  };
+
+  const variants = (product.variants || []).filter(variant => variant.isActive);
+  const rows = variants.length === 0
+    ? [base]
+    : variants.map(variant => ({
+      ...base,
+      sku: variant.sku,
+      variantPrice: variant.price?.toString(),
+      stock: variant.stock,
+      variantImages: (variant.images || []).join(LIST_SEPARATOR),
+      options: formatOptions(variant.options),
+    }));
+
+  return rows.map(row => PRODUCT_CSV_COLUMNS.map(column => row[column]));
+};
+
+const parseBoolean = (value) => {
+  const normalized = value.toLowerCase();
+  if (['true', 'yes', '1'].includes(normalized)) return true;
+  if (['false', 'no', '0'].includes(normalized)) return false;
+  return undefined;
+};
+
+const parseDecimal = (value) => {
+  if (!/^\d+(\.\d+)?$/.test(value)) return undefined;
+  return new Prisma.Decimal(value);
+};
+
+/**
+ * Parse and validate the cells of one record. Empty cells are left out of `fields`.
+ */
+export const parseImportRecord = ({ row, values }) => {
+  const errors = [];
+  const fields = {};
+  const cell = (column) => values[column] ?? '';
+
+  for (const column of ['slug', 'sku', 'name', 'description', 'category']) {
+    if (cell(column)) fields[column] = cell(column);
+  }
+
+  for (const column of ['price', 'variantPrice', 'weight']) {
+    if (!cell(column)) continue;
+    fields[column] = parseDecimal(cell(column));
+    if (fields[column] === undefined) errors.push(`${column} must be a non-negative number`);
+  }
+
+  if (cell('stock')) {
+    fields.stock = Number(cell('stock'));
+    if (!Number.isInteger(fields.stock) || fields.stock < 0) errors.push('stock must be a non-negative integer');
+  }
+
+  for (const column of ['isActive', 'isFeatured']) {
+    if (!cell(column)) continue;
+    fields[column] = parseBoolean(cell(column));
+    if (fields[column] === undefined) errors.push(`${column} must be true or false`);
+  }
+
+  if (cell('images')) fields.images = splitList(cell('images'));
+  if (cell('variantImages')) fields.variantImages = splitList(cell('variantImages'));
+
+  if (cell('options')) {
+    const pairs = splitList(cell('options')).map(pair => pair.split(':').map(part => part.trim()));
+    if (pairs.some(pair => pair.length !== 2 || !pair[0] || !pair[1])) {
+      errors.push(`options must look like Size:Large${LIST_SEPARATOR}Finish:Brass`);
+    } else {
+      fields.options = Object.fromEntries(pairs);
+    }
+  }
+
+  if (fields.options && !fields.sku) errors.push('options need a sku');
+
+  return { row, fields, errors };
+};
+
+/**
+ * Group parsed records into products by slug, or by SKU when the slug is empty
+ */
+export const groupImportRecords = (parsed) => {
+  const groups = new Map();
+
+  parsed.forEach((record, index) => {
+    const key = record.fields.slug
+      ? `slug:${record.fields.slug}`
+      : record.fields.sku ? `sku:${record.fields.sku}` : `row:${index}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(record);
+  });
+
+  return [...groups.values()];
+};
+
+const buildVariantInput = (records) => {
+  const variantRecords = records.filter(record => record.fields.sku);
+  if (variantRecords.length === 0) return null;
+
+  const options = [];
+  for (const record of variantRecords) {
+    for (const [name, value] of Object.entries(record.fields.options || {})) {
+      let option = options.find(item => item.name === name);
+      if (!option) {
+        option = { name, values: [] };
+        options.push(option);
+      }
+      if (!option.values.includes(value)) option.values.push(value);
+    }
+  }
+
+  return normalizeVariantInput({
+    options,
+    variants: variantRecords.map(record => ({
+      sku: record.fields.sku,
+      price: record.fields.variantPrice,
+      stock: record.fields.stock ?? 0,
+      images: record.fields.variantImages,
+      options: record.fields.options || {},
+    })),
+  });
+};
+
+const findExistingProduct = async (fields) => {
+  if (fields.slug) {
+    return prisma.product.findUnique({ where: { slug: fields.slug } });
+  }
+  if (fields.sku) {
+    const variant = await prisma.productVariant.findUnique({
+      where: { sku: fields.sku },
+      include: { product: true },
+    });
+    return variant?.product ?? null;
+  }
+  return null;
+};
+
+/**
+ * Validate one product group and work out what importing it would do
+ */
+const planGroup = async (records) => {
+  const errors = records.flatMap(record => record.errors.map(message => `Row ${record.row}: ${message}`));
+  const first = records[0].fields;
+  const existing = await findExistingProduct(first);
+  const variantInput = buildVariantInput(records);
+  const hasVariants = Boolean(variantInput);
+
+  if (variantInput) errors.push(...variantInput.errors);
+
+  const data = {};
+  for (const column of ['name', 'description', 'price', 'weight', 'images', 'isActive', 'isFeatured']) {
+    if (first[column] !== undefined) data[column] = first[column];
+  }
+  if (first.category !== undefined) {
+    data.category = first.category;
+    const categoryError = await applyProductCategory(data);
+    if (categoryError) errors.push(categoryError);
+  }
+
+  if (existing?.deletedAt) {
+    errors.push('This product is archived, restore it before importing changes');
+  }
+
+  if (!existing) {
+    if (!data.name) errors.push('name is required for new products');
+    if (!data.price) errors.push('price is required for new products');
+  }
+
+  if (variantInput?.variants.length > 0) {
+    const taken = await prisma.productVariant.findMany({
+      where: {
+        sku: { in: variantInput.variants.map(variant => variant.sku) },
+        ...(existing && { productId: { not: existing.id } }),
+      },
+      select: { sku: true },
+    });
+    taken.forEach(variant => errors.push(`SKU ${variant.sku} is already used by another product`));
+  }
+
+  return {
+    rows: records.map(record => record.row),
+    action: existing ? 'update' : 'create',
+    existing,
+    slug: first.slug,
+    data,
+    stock: hasVariants ? undefined : first.stock,
+    variantInput,
+    errors,
+  };
+};
+
+const applyPlan = (plan, userId) => prisma.$transaction(async tx => {
+  let product;
+
+  if (plan.existing) {
+    const data = { ...plan.data };
+    if (plan.slug && plan.slug !== plan.existing.slug) {
+      data.slug = await uniqueSlug(tx.product, plan.slug, plan.existing.id);
+    }
+    product = await tx.product.update({ where: { id: plan.existing.id }, data });
+  } else {
+    product = await tx.product.create({
+      data: {
+        ...plan.data,
+        slug: await uniqueSlug(tx.product, plan.slug || plan.data.name),
+        stock: 0,
+        images: plan.data.images ?? [],
+        isActive: plan.data.isActive ?? true,
+        isFeatured: plan.data.isFeatured ?? false,
+      },
+    });
+  }
+
+  // Stock changes go through the inventory ledger
+  const note = 'CSV import';
+  let movements = [];
+  if (plan.variantInput) {
+    movements = await syncProductVariants(tx, product.id, plan.variantInput, { stockReason: 'import', userId, note });
+  } else if (plan.stock !== undefined) {
+    const variantCount = await tx.productVariant.count({ where: { productId: product.id, isActive: true } });
+    if (variantCount === 0) {
+      const movement = await setStock(tx, { productId: product.id, stock: plan.stock, reason: 'import', userId, note });
+      if (movement) movements = [movement];
+    }
+  }
+
+  return { product, movements };
+});
+
+/**
+ * Validate and, unless `dryRun`, import product groups. Each product is written in its
+ * own transaction so one bad product does not block the rest; stock changes are
+ * recorded in the ledger against `userId`. Returns one result per row.
+ */
+export const importProductGroups = async (groups, { dryRun = false, userId = null } = {}) => {
+  const results = [];
+
+  for (const records of groups) {
+    const plan = await planGroup(records);
+    const report = (status, message, slug = plan.slug ?? plan.existing?.slug ?? null) => plan.rows
+      .forEach(row => results.push({ row, productRow: plan.rows[0], status, action: plan.action, slug, message }));
+
+    if (plan.errors.length > 0) {
+      report('error', plan.errors.join('; '));
+      continue;
+    }
+
+    if (dryRun) {
+      report('valid', `Would ${plan.action} product`);
+      continue;
+    }
+
+    try {
+      const { product, movements } = await applyPlan(plan, userId);
+      await publishStockEvents(movements);
+      report(plan.action === 'create' ? 'created' : 'updated', null, product.slug);
+    } catch (error) {
+      report('error', error.code === 'P2002' ? 'A unique value in this product is already taken' : error.message);
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Totals over row results
+ */
+export const summarizeImport = (results, { dryRun = false } = {}) => {
+  // Rows of one product share its first row number
+  const products = (status) => new Set(results
+    .filter(result => result.status === status)
+    .map(result => result.productRow)).size;
+
+  return {
+    dryRun,
+    totalRows: results.length,
+    errorRows: results.filter(result => result.status === 'error').length,
+    created: products('created'),
+    updated: products('updated'),
+    valid: products('valid'),
+  };
+};
+
+/**
+ * The imported CSV with an importStatus and importMessage column appended to every row
+ */
+export const buildImportResultCsv = (columns, records, results) => {
+  const byRow = new Map(results.map(result => [result.row, result]));
+  const lines = [toCsvLine([...columns, 'importStatus', 'importMessage'])];
+
+  for (const record of records) {
+    const result = byRow.get(record.row);
+    lines.push(toCsvLine([
+      ...columns.map(column => record.values[column]),
+      result?.status ?? 'skipped',
+      result?.message ?? '',
+    ]));
+  }
+
+  return lines.join('');
+};
@@ -0,0 +1,158 @@
+import prisma from '../config/db.js';
+import {
+  findManyByCursor,
+  findMergedByCursor,
+  findMergedPage,
+  isCursorRequest,
+  parseCursorLimit,
+  sliceIdsByCursor,
+} from './paginationService.js';
+import { combineFilters, orderIdsBySale } from './productFilterService.js';
+import { effectivePriceSources, withSalePricing } from './salePriceService.js';
+
+// Reviews are paged through GET /api/products/:id/reviews rather than included here
+export const productInclude = {
+  productImages: {
+    orderBy: { position: 'asc' },
+  },
+  options: {
+    orderBy: { position: 'asc' },
+  },
+  variants: {
+    where: { isActive: true },
+    orderBy: { createdAt: 'asc' },
+  },
+};
+
+const mapSortField = (sort) => {
+  switch (sort) {
+    case 'rating.average':
+      return 'ratingAverage';
+    case 'rating.count':
+      return 'ratingCount';
+    case 'createdAt':
+    default:
+      return 'createdAt';
+  }
+};
+
+/**
+ * One page of the products matching `clauses` (see buildProductFilters), in the paging
+ * style the query asks for: cursor (`cursor` or `paginate=cursor`) or page numbers.
+ *
+ * Without an explicit sort, `rankedIds` (search relevance) or `pinnedIds` (a hand-picked
+ * order) decide the order; `sort=onSale` puts products on sale first. Those orders are
+ * applied to the full list of matching ids since Prisma cannot sort by them.
+ * `sort=price` sorts on the price charged now, sale included, by merging products on
+ * sale (by salePrice) with the rest (by price).
+ * Returns { items, pagination }; throws CursorError for a bad cursor.
+ */
+export const listProducts = async (query, { clauses, rankedIds = null, pinnedIds = null }) => {
+  const {
+    page = 1,
+    limit = 12,
+    sort,
+    order = 'desc',
+  } = query;
+
+  const where = combineFilters(clauses);
+  const now = new Date();
+  const preferredIds = (rankedIds && (!sort || sort === 'relevance') && rankedIds)
+    || (pinnedIds && (!sort || sort === 'manual') && pinnedIds);
+
+  let orderedIds = null;
+  if (preferredIds) {
+    const matching = await prisma.product.findMany({
+      where,
+      select: { id: true },
+    });
+    const matchingIds = new Set(matching.map(product => product.id));
+    orderedIds = preferredIds.filter(id => matchingIds.has(id));
+  } else if (sort === 'onSale') {
+    orderedIds = await orderIdsBySale(where, now);
+  }
+  const priceSources = !orderedIds && sort === 'price' ? effectivePriceSources(where, now) : null;
+  const direction = order === 'asc' ? 'asc' : 'desc';
+
+  const loadInOrder = async (ids) => {
+    const rank = new Map(ids.map((id, index) => [id, index]));
+    return (await prisma.product.findMany({
+      where: { id: { in: ids } },
+      include: productInclude,
+    })).sort((a, b) => rank.get(a.id) - rank.get(b.id));
+  };
+  const priced = (products) => products.map(product => withSalePricing(product, now));
+
+  if (isCursorRequest(query)) {
+    const { cursor } = query;
+    const take = parseCursorLimit(limit, 12);
+
+    if (orderedIds) {
+      const { ids, pagination } = sliceIdsByCursor(orderedIds, { cursor, limit: take });
+      return { items: priced(await loadInOrder(ids)), pagination };
+    }
+
+    if (priceSources) {
+      const { ids, pagination } = await findMergedByCursor(prisma.product, {
+        sources: priceSources,
+        field: 'price',
+        direction,
+        cursor,
+        limit: take,
+      });
+      return { items: priced(await loadInOrder(ids)), pagination };
+    }
+
+    const { items, pagination } = await findManyByCursor(prisma.product, {
+      where,
+      field: mapSortField(sort),
+      direction,
+      cursor,
+      limit: take,
+      include: productInclude,
+    });
+    return { items: priced(items), pagination };
+  }
+
+  const skip = (Number(page) - 1) * Number(limit);
+  let products;
+  let total;
+
+  if (orderedIds) {
+    total = orderedIds.length;
+    products = await loadInOrder(orderedIds.slice(skip, skip + Number(limit)));
+  } else if (priceSources) {
+    let ids;
+    [ids, total] = await Promise.all([
+      findMergedPage(prisma.product, { sources: priceSources, direction, skip, take: Number(limit) }),
+      prisma.product.count({ where }),
+    ]);
+    products = await loadInOrder(ids);
+  } else {
+    const orderBy = {
+      [mapSortField(sort)]: direction,
+    };
+
+    [products, total] = await prisma.$transaction([
+      prisma.product.findMany({
+        where,
+        orderBy,
+        skip,
+        take: Number(limit),
+        include: productInclude,
+      }),
+      prisma.product.count({ where }),
+    ]);
+  }
+
+  return {
+    items: priced(products),
+    pagination: {
+      currentPage: Number(page),
+      totalPages: Math.ceil(total / Number(limit)) || 1,
+      totalProducts: total,
+      hasNext: skip + products.length < total,
+      hasPrev: Number(page) > 1,
+    },
+  };
+};
@@ -0,0 +1,193 @@
+import prisma from '../config/db.js';
+
+/*
+ * "Frequently bought together" affinities are computed from order history by a scheduled
+ * Inngest function and stored in ProductAffinity, one row per (product, related product),
+ * so reads are a single indexed query.
+ */
+
+// Orders that went through; pending, cancelled and returned orders say little about taste
+export const AFFINITY_ORDER_STATUSES = ['confirmed', 'processing', 'shipped', 'delivered'];
+
+// Pairs bought together fewer times than this are treated as noise
+export const MIN_CO_PURCHASES = Number(process.env.AFFINITY_MIN_CO_PURCHASES || 2);
+
+// Related products stored per product
+export const MAX_AFFINITIES_PER_PRODUCT = 20;
+
+// Only orders this recent count, so affinities follow the current catalog
+export const AFFINITY_LOOKBACK_DAYS = Number(process.env.AFFINITY_LOOKBACK_DAYS || 365);
+
+const ORDER_BATCH_SIZE = 500;
+const WRITE_BATCH_SIZE = 1000;
+
+// Share of the related score that comes from co-purchases; the rest is category similarity
+const CO_PURCHASE_WEIGHT = 0.7;
+
+/**
+ * Counters for accumulateBaskets
+ */
+export const createAffinityCounts = () => ({ products: new Map(), pairs: new Map() });
+
+/**
+ * Count each basket (a list of product ids from one order) into `counts`: how many
+ * orders contain each product and each pair of products
+ */
+export const accumulateBaskets = (counts, baskets) => {
+  for (const basket of baskets) {
+    const ids = [...new Set(basket)].sort();
+    for (let i = 0; i < ids.length; i += 1) {
+      counts.products.set(ids[i], (counts.products.get(ids[i]) || 0) + 1);
+      for (let j = i + 1; j < ids.length; j += 1) {
+        const key = `${ids[i]}|${ids[j]}`;
+        counts.pairs.set(key, (counts.pairs.get(key) || 0) + 1);
+      }
+    }
+  }
+  return counts;
+};
+
+/**
+ * Turn counts into affinity rows, scored by cosine similarity
+ * (together / sqrt(ordersA * ordersB)) so best sellers do not pair with everything.
+ * Keeps the strongest `limit` per product, in both directions.
+ */
+export const scoreAffinities = (counts, { minCoPurchases = MIN_CO_PURCHASES, limit = MAX_AFFINITIES_PER_PRODUCT } = {}) => {
+  const byProduct = new Map();
+  const add = (productId, relatedProductId, score, coPurchaseCount) => {
+    if (!byProduct.has(productId)) byProduct.set(productId, []);
+    byProduct.get(productId).push({ productId, relatedProductId, score, coPurchaseCount });
+  };
+
+  for (const [key, together] of counts.pairs) {
+    if (together < minCoPurchases) continue;
+    const [a, b] = key.split('|');
+    const score = together / Math.sqrt(counts.products.get(a) * counts.products.get(b));
+    add(a, b, score, together);
+    add(b, a, score, together);
+  }
+
+  return [...byProduct.values()].flatMap(rows => rows
+    .sort((x, y) => y.score - x.score || y.coPurchaseCount - x.coPurchaseCount)
+    .slice(0, limit));
+};
+
+/**
+ * Count co-purchases over the lookback window, reading orders in batches
+ */
+export const countCoPurchases = async (now = new Date()) => {
+  const since = new Date(now.getTime() - AFFINITY_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+  const counts = createAffinityCounts();
+
+  let cursor = null;
+  for (;;) {
+    const orders = await prisma.order.findMany({
+      where: { status: { in: AFFINITY_ORDER_STATUSES }, createdAt: { gte: since } },
+      orderBy: { id: 'asc' },
+      take: ORDER_BATCH_SIZE,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+      select: { id: true, items: { select: { productId: true } } },
+    });
+    if (orders.length === 0) break;
+
+    accumulateBaskets(counts, orders.map(order => order.items.map(item => item.productId)));
+
+    if (orders.length < ORDER_BATCH_SIZE) break;
+    cursor = orders[orders.length - 1].id;
+  }
+
+  return counts;
+};
+
+/**
+ * Recompute every affinity and replace the stored ones in one transaction, so readers
+ * never see a half-written table. Returns the number of rows stored.
+ */
+export const refreshProductAffinities = async (now = new Date()) => {
+  const rows = scoreAffinities(await countCoPurchases(now));
+
+  await prisma.$transaction(async tx => {
+    await tx.productAffinity.deleteMany({});
+    for (let start = 0; start < rows.length; start += WRITE_BATCH_SIZE) {
+      await tx.productAffinity.createMany({
+        data: rows.slice(start, start + WRITE_BATCH_SIZE).map(row => ({ ...row, computedAt: now })),
+      });
+    }
+  }, { timeout: 60000 });
+
+  return rows.length;
+};
+
+const visibleProductWhere = { isActive: true, deletedAt: null };
+
+/**
+ * Products most often bought with `productId`, strongest first, with their scores
+ */
+export const getFrequentlyBoughtTogether = async (productId, { limit = 4, include } = {}) => {
+  const affinities = await prisma.productAffinity.findMany({
+    where: { productId, relatedProduct: visibleProductWhere },
+    orderBy: [{ score: 'desc' }, { coPurchaseCount: 'desc' }],
+    take: limit,
+    include: { relatedProduct: include ? { include } : true },
+  });
+
+  return affinities.map(affinity => ({
+    ...affinity.relatedProduct,
+    affinity: { score: affinity.score, coPurchaseCount: affinity.coPurchaseCount },
+  }));
+};
+
+/**
+ * Rank related-product candidates: co-purchase score (relative to the strongest) blended
+ * with sharing the product's category. `affinities` are { relatedProductId, score,
+ * sameCategory }; `sameCategoryIds` are category matches in their preferred order and
+ * fill the remaining places, which is all there is for a product nobody has bought yet.
+ */
+export const blendRelated = (affinities, sameCategoryIds, limit) => {
+  const maxScore = Math.max(0, ...affinities.map(affinity => affinity.score));
+  const blended = affinities
+    .map(affinity => ({
+      id: affinity.relatedProductId,
+      score: CO_PURCHASE_WEIGHT * (maxScore > 0 ? affinity.score / maxScore : 0)
+        + (1 - CO_PURCHASE_WEIGHT) * (affinity.sameCategory ? 1 : 0),
+    }))
+    .sort((a, b) => b.score - a.score)
+    .map(candidate => candidate.id);
+
+  const seen = new Set(blended);
+  return [...blended, ...sameCategoryIds.filter(id => !seen.has(id))].slice(0, limit);
+};
+
+/**
+ * Ids of products related to `product`, best first
+ */
+export const getRelatedProductIds = async (product, limit = 4) => {
+  const categoryWhere = product.categoryId ? { categoryId: product.categoryId } : { category: product.category };
+
+  const [affinities, sameCategory] = await Promise.all([
+    prisma.productAffinity.findMany({
+      where: { productId: product.id, relatedProduct: visibleProductWhere },
+      orderBy: [{ score: 'desc' }, { coPurchaseCount: 'desc' }],
+      take: MAX_AFFINITIES_PER_PRODUCT,
+      include: { relatedProduct: { select: { categoryId: true, category: true } } },
+    }),
+    prisma.product.findMany({
+      where: { id: { not: product.id }, ...categoryWhere, ...visibleProductWhere },
+      orderBy: [{ ratingAverage: 'desc' }, { ratingCount: 'desc' }, { createdAt: 'desc' }],
+      take: limit,
+      select: { id: true },
+    }),
+  ]);
+
+  return blendRelated(
+    affinities.map(affinity => ({
+      relatedProductId: affinity.relatedProductId,
+      score: affinity.score,
+      sameCategory: product.categoryId
+        ? affinity.relatedProduct.categoryId === product.categoryId
+        : affinity.relatedProduct.category === product.category,
+    })),
+    sameCategory.map(related => related.id),
+    limit
+  );
+};
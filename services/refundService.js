@@ -0,0 +1,189 @@
+import { Prisma } from '@prisma/client';
+import prisma from '../config/db.js';
+import { getStripe } from '../config/stripe.js';
+import { toMinorUnits, advancePaymentStatus } from './paymentService.js';
+
+const decimal = (value = 0) => new Prisma.Decimal(value);
+
+/**
+ * Raised when a refund exceeds what is left to refund on the order or its lines
+ */
+export class RefundError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'RefundError';
+    this.statusCode = statusCode;
+  }
+}
+
+export const REFUNDABLE_PAYMENT_STATUSES = ['paid', 'partially_refunded'];
+
+// Refunds in these states count against the order's refundable balance
+const OUTSTANDING_REFUND_STATUSES = ['pending', 'requires_action', 'succeeded'];
+
+export const getRefundedAmount = async (orderId, client = prisma) => {
+  const stats = await client.refund.aggregate({
+    where: { orderId, status: { in: OUTSTANDING_REFUND_STATUSES } },
+    _sum: { amount: true },
+  });
+  return decimal(stats._sum.amount || 0);
+};
+
+export const getRefundableAmount = async (order) => {
+  const refunded = await getRefundedAmount(order.id);
+  return decimal(order.total).minus(refunded);
+};
+
+/**
+ * Quantities already refunded per order item, taken from the line items
+ * recorded on earlier refunds
+ */
+export const getRefundedQuantities = async (orderId, client = prisma) => {
+  const refunds = await client.refund.findMany({
+    where: { orderId, status: { in: OUTSTANDING_REFUND_STATUSES } },
+    select: { items: true },
+  });
+
+  const quantities = new Map();
+  for (const refund of refunds) {
+    for (const item of refund.items || []) {
+      quantities.set(item.orderItemId, (quantities.get(item.orderItemId) || 0) + item.quantity);
+    }
+  }
+  return quantities;
+};
+
+/**
+ * Refund `amount` of an order through the payment provider and record it.
+ * Orders paid outside Stripe (no payment intent) are recorded as manual refunds.
+ * The refund record is written before the provider call so failures are kept too.
+ * Throws RefundError when the amount, or a line quantity in `items`, is more than is
+ * left to refund.
+ */
+export const issueRefund = async ({ order, amount, reason, items = [], requestedById }) => {
+  const refundAmount = decimal(amount);
+  const provider = order.paymentIntentId ? 'stripe' : 'manual';
+
+  const refund = await prisma.$transaction(async tx => {
+    // Lock the order row so concurrent refunds of one order check its balance one at a time
+    await tx.$queryRaw`SELECT "id" FROM "Order" WHERE "id" = ${order.id} FOR UPDATE`;
+
+    if (items.length > 0) {
+      const refundedQuantities = await getRefundedQuantities(order.id, tx);
+      for (const item of items) {
+        const orderItem = order.items.find(line => line.id === item.orderItemId);
+        const alreadyRefunded = refundedQuantities.get(item.orderItemId) || 0;
+        if (item.quantity + alreadyRefunded > orderItem.quantity) {
+          throw new RefundError(
+            `Invalid refund quantity for order item ${orderItem.id}. Refundable: ${orderItem.quantity - alreadyRefunded}`
+          );
+        }
+      }
+    }
+
+    const refundable = decimal(order.total).minus(await getRefundedAmount(order.id, tx));
+    if (refundAmount.lessThanOrEqualTo(0) || refundAmount.greaterThan(refundable)) {
+      throw new RefundError(`Refund amount must be greater than 0 and at most ${refundable.toString()}`);
+    }
+
+    return tx.refund.create({
+      data: {
+        orderId: order.id,
+        amount: refundAmount,
+        reason: reason || '',
+        items,
+        provider,
+        status: provider === 'manual' ? 'succeeded' : 'pending',
+        requestedById: requestedById || null,
+      },
+    });
+  });
+
+  let recorded = refund;
+
+  if (provider === 'stripe') {
+    let providerRefund;
+    try {
+      providerRefund = await getStripe().refunds.create(
+        {
+          payment_intent: order.paymentIntentId,
+          amount: toMinorUnits(refundAmount),
+          metadata: {
+            orderId: order.id,
+            refundId: refund.id,
+          },
+        },
+        { idempotencyKey: `refund-${refund.id}` }
+      );
+    } catch (error) {
+      await prisma.refund.update({
+        where: { id: refund.id },
+        data: { status: 'failed', failureReason: error.message },
+      });
+      throw error;
+    }
+
+    recorded = await prisma.refund.update({
+      where: { id: refund.id },
+      data: {
+        providerRefundId: providerRefund.id,
+        status: providerRefund.status,
+      },
+    });
+  }
+
+  await reconcileRefundedPaymentStatus(order);
+
+  return recorded;
+};
+
+/**
+ * Set an order's paymentStatus from its outstanding refunds: refunded when nothing is
+ * left, partially_refunded when some is, and back to paid when every refund failed
+ */
+export const reconcileRefundedPaymentStatus = async (order) => {
+  const refunded = await getRefundedAmount(order.id);
+  const remaining = decimal(order.total).minus(refunded);
+
+  const status = remaining.lessThanOrEqualTo(0)
+    ? 'refunded'
+    : refunded.greaterThan(0) ? 'partially_refunded' : 'paid';
+
+  return advancePaymentStatus(order.id, [...REFUNDABLE_PAYMENT_STATUSES, 'refunded'].filter(from => from !== status), status);
+};
+
+/**
+ * Apply a Stripe refund object from a refund.updated / charge.refund.updated event to
+ * its Refund row, found by provider refund id (or the refundId we put in its metadata
+ * when the event beats the create call's response). Returns the order id when the
+ * status changed.
+ */
+export const syncProviderRefund = async (providerRefund) => {
+  const refund = await prisma.refund.findFirst({
+    where: {
+      provider: 'stripe',
+      OR: [
+        { providerRefundId: providerRefund.id },
+        ...(providerRefund.metadata?.refundId ? [{ id: providerRefund.metadata.refundId }] : []),
+      ],
+    },
+  });
+  if (!refund) return null;
+
+  const { count } = await prisma.refund.updateMany({
+    where: { id: refund.id, status: { not: providerRefund.status } },
+    data: {
+      providerRefundId: providerRefund.id,
+      status: providerRefund.status,
+      ...(providerRefund.status === 'failed' && {
+        failureReason: providerRefund.failure_reason || 'Refund failed',
+      }),
+    },
+  });
+  if (count === 0) return null;
+
+  const order = await prisma.order.findUnique({ where: { id: refund.orderId } });
+  if (order) await reconcileRefundedPaymentStatus(order);
+
+  return refund.orderId;
+};
@@ -0,0 +1,184 @@
+import prisma from '../config/db.js';
+import { MAX_REVIEW_PHOTOS } from './imageService.js';
+
+/*
+ * Reviews start out pending and only count once a moderator approves them. A review is a
+ * verified purchase when its author has a delivered order containing the product.
+ * Photos are uploaded first and attached by id, like product images, and each user has
+ * at most one helpful/unhelpful vote per review.
+ */
+
+export const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
+export const RATING_STARS = [5, 4, 3, 2, 1];
+
+/**
+ * Validation error for a star rating, or null when it is a whole number from 1 to 5
+ */
+export const reviewRatingError = (rating) => {
+  const value = Number(rating);
+  return Number.isInteger(value) && value >= 1 && value <= 5 ? null : 'rating must be a whole number from 1 to 5';
+};
+
+export const hasVerifiedPurchase = async (userId, productId) => {
+  const count = await prisma.orderItem.count({
+    where: { productId, order: { userId, status: 'delivered' } },
+  });
+  return count > 0;
+};
+
+/**
+ * Count per star from review.groupBy rows, with every star present
+ */
+export const buildRatingDistribution = (groups) => {
+  const distribution = Object.fromEntries(RATING_STARS.map(star => [star, 0]));
+  for (const group of groups) {
+    distribution[group.rating] = group._count._all;
+  }
+  return distribution;
+};
+
+/**
+ * Recompute a product's rating average, count and distribution from its approved reviews
+ */
+export const refreshProductRating = async (productId) => {
+  const groups = await prisma.review.groupBy({
+    by: ['rating'],
+    where: { productId, status: 'approved' },
+    _count: { _all: true },
+  });
+
+  const ratingCount = groups.reduce((sum, group) => sum + group._count._all, 0);
+  const total = groups.reduce((sum, group) => sum + group.rating * group._count._all, 0);
+
+  await prisma.product.update({
+    where: { id: productId },
+    data: {
+      ratingAverage: ratingCount > 0 ? total / ratingCount : 0,
+      ratingCount,
+      ratingDistribution: buildRatingDistribution(groups),
+    },
+  });
+};
+
+// Sort options for GET /api/products/:id/reviews, as cursor pagination fields
+export const REVIEW_SORTS = {
+  newest: { field: 'createdAt', direction: 'desc' },
+  highest: { field: 'rating', direction: 'desc' },
+  lowest: { field: 'rating', direction: 'asc' },
+  helpful: { field: 'helpfulCount', direction: 'desc' },
+};
+
+const reviewerSelect = {
+  id: true,
+  firstName: true,
+  lastName: true,
+  profilePicture: true,
+};
+
+/**
+ * Include for reviews shown to shoppers. With `userId`, the user's own vote is loaded
+ * too; serializeReview turns it into `myVote`.
+ */
+export const reviewInclude = (userId = null) => ({
+  user: { select: reviewerSelect },
+  photos: { orderBy: { position: 'asc' } },
+  ...(userId && { votes: { where: { userId }, select: { helpful: true } } }),
+});
+
+export const serializeReview = ({ votes, ...review }) => ({
+  ...review,
+  ...(votes && { myVote: votes[0] ? (votes[0].helpful ? 'helpful' : 'unhelpful') : null }),
+});
+
+/**
+ * Where for the public review list of a product: approved reviews, optionally only some
+ * star ratings (`rating=5` or `rating=4,5`) and only those with photos
+ */
+export const buildReviewFilters = (productId, { rating, withPhotos } = {}) => {
+  const where = { productId, status: 'approved' };
+
+  const stars = String(rating ?? '')
+    .split(',')
+    .map(Number)
+    .filter(star => RATING_STARS.includes(star));
+  if (stars.length > 0) where.rating = { in: stars };
+
+  if (withPhotos === 'true') where.photos = { some: {} };
+
+  return where;
+};
+
+/**
+ * Validate a review's `photoIds`. Returns an error message, or null when every photo
+ * was uploaded by `userId` and is free or already attached to `reviewId`.
+ */
+export const validateReviewPhotos = async (photoIds, userId, reviewId = null) => {
+  if (!Array.isArray(photoIds)) return 'photoIds must be an array';
+  if (photoIds.length > MAX_REVIEW_PHOTOS) return `A review can have at most ${MAX_REVIEW_PHOTOS} photos`;
+  if (new Set(photoIds).size !== photoIds.length) return 'Photos must not repeat';
+
+  const photos = await prisma.reviewPhoto.findMany({
+    where: { id: { in: photoIds } },
+    select: { id: true, userId: true, reviewId: true },
+  });
+  const found = new Map(photos.map(photo => [photo.id, photo]));
+  const missing = photoIds.filter(id => !found.get(id) || found.get(id).userId !== userId);
+  if (missing.length > 0) return `Photos not found: ${missing.join(', ')}`;
+
+  const taken = photos.filter(photo => photo.reviewId && photo.reviewId !== reviewId);
+  if (taken.length > 0) return `Photos already belong to another review: ${taken.map(photo => photo.id).join(', ')}`;
+
+  return null;
+};
+
+/**
+ * Make `photoIds` the review's photos, in order, inside a transaction. Photos dropped from
+ * the list are deleted; returns their ids so the caller can remove the files after commit.
+ */
+export const syncReviewPhotos = async (tx, reviewId, photoIds) => {
+  const removed = await tx.reviewPhoto.findMany({
+    where: { reviewId, id: { notIn: photoIds } },
+    select: { id: true },
+  });
+  if (removed.length > 0) {
+    await tx.reviewPhoto.deleteMany({ where: { id: { in: removed.map(photo => photo.id) } } });
+  }
+
+  for (const [position, id] of photoIds.entries()) {
+    await tx.reviewPhoto.update({
+      where: { id },
+      data: { reviewId, position },
+    });
+  }
+
+  return removed.map(photo => photo.id);
+};
+
+/**
+ * Record `userId`'s vote on a review, replacing any earlier vote so each user counts
+ * once, or withdraw it when `helpful` is null. Returns the review's new vote counts.
+ */
+export const recordReviewVote = (reviewId, userId, helpful) => prisma.$transaction(async tx => {
+  if (helpful === null) {
+    await tx.reviewVote.deleteMany({ where: { reviewId, userId } });
+  } else {
+    await tx.reviewVote.upsert({
+      where: { reviewId_userId: { reviewId, userId } },
+      update: { helpful },
+      create: { reviewId, userId, helpful },
+    });
+  }
+
+  // Recount rather than increment so concurrent and changed votes stay exact
+  const [helpfulCount, unhelpfulCount] = await Promise.all([
+    tx.reviewVote.count({ where: { reviewId, helpful: true } }),
+    tx.reviewVote.count({ where: { reviewId, helpful: false } }),
+  ]);
+
+  return tx.review.update({
+    where: { id: reviewId },
+    data: { helpfulCount, unhelpfulCount },
+    select: { id: true, helpfulCount: true, unhelpfulCount: true },
+  });
+});
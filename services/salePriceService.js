@@ -0,0 +1,151 @@
+import { Prisma } from '@prisma/client';
+
+/*
+ * Products and variants carry an optional compareAtPrice (the "was" price shown struck
+ * through) and an optional scheduled sale: salePrice applies from saleStartsAt until
+ * saleEndsAt, either bound left open. Nothing is rewritten when a sale starts or ends;
+ * prices are resolved against the clock whenever they are read.
+ */
+
+/**
+ * Whether `item` (a product or variant) has a sale running at `now`
+ */
+export const isSaleActive = (item, now = new Date()) => Boolean(item)
+  && item.salePrice !== null
+  && item.salePrice !== undefined
+  && (!item.saleStartsAt || new Date(item.saleStartsAt) <= now)
+  && (!item.saleEndsAt || new Date(item.saleEndsAt) > now);
+
+/**
+ * Prisma where matching rows whose sale is running at `now`
+ */
+const saleRunningWhere = (now) => ({
+  salePrice: { not: null },
+  AND: [
+    { OR: [{ saleStartsAt: null }, { saleStartsAt: { lte: now } }] },
+    { OR: [{ saleEndsAt: null }, { saleEndsAt: { gt: now } }] },
+  ],
+});
+
+/**
+ * Prisma where for products on sale at `now`, either themselves or through an active variant
+ */
+export const onSaleWhere = (now = new Date()) => ({
+  OR: [
+    saleRunningWhere(now),
+    { variants: { some: { isActive: true, ...saleRunningWhere(now) } } },
+  ],
+});
+
+/**
+ * Prisma where for products whose own price at `now` falls in `range` (a Prisma decimal
+ * filter): the sale price while a sale runs, the regular price otherwise
+ */
+export const effectivePriceWhere = (range, now = new Date()) => ({
+  OR: [
+    { AND: [saleRunningWhere(now), { salePrice: range }] },
+    { AND: [{ NOT: saleRunningWhere(now) }, { price: range }] },
+  ],
+});
+
+/**
+ * The two halves of the catalog for sorting by the price charged at `now`: products on
+ * sale, sorted by salePrice, and the rest, sorted by price (see findMergedPage)
+ */
+export const effectivePriceSources = (where, now = new Date()) => [
+  { where: { AND: [where, saleRunningWhere(now)] }, field: 'salePrice' },
+  { where: { AND: [where, { NOT: saleRunningWhere(now) }] }, field: 'price' },
+];
+
+/**
+ * Price of a product, or of one of its variants, at `now`. A variant's own sale wins;
+ * a variant with its own price ignores the product's sale, and one without inherits it.
+ * Returns { price, regularPrice, compareAtPrice, onSale, saleEndsAt } where
+ * compareAtPrice is only set when it is above the price charged.
+ */
+export const resolveSalePrice = (product, variant = null, now = new Date()) => {
+  const inheritsProduct = !variant || variant.price === null || variant.price === undefined;
+  const source = variant && (isSaleActive(variant, now) || !inheritsProduct) ? variant : product;
+  const basePrice = inheritsProduct ? product.price : variant.price;
+
+  // A product loaded without its price (or never given one) has nothing to resolve
+  if (basePrice === null || basePrice === undefined) {
+    return { price: null, regularPrice: null, compareAtPrice: null, onSale: false, saleEndsAt: null };
+  }
+
+  const regularPrice = new Prisma.Decimal(basePrice);
+  const onSale = isSaleActive(source, now);
+  const price = onSale ? new Prisma.Decimal(source.salePrice) : regularPrice;
+
+  // Without an explicit compare-at price a running sale compares against the regular price
+  const explicitCompareAt = variant?.compareAtPrice ?? (inheritsProduct ? product.compareAtPrice : null);
+  const compareAt = explicitCompareAt !== null && explicitCompareAt !== undefined
+    ? new Prisma.Decimal(explicitCompareAt)
+    : (onSale ? regularPrice : null);
+
+  return {
+    price,
+    regularPrice,
+    compareAtPrice: compareAt && compareAt.greaterThan(price) ? compareAt : null,
+    onSale,
+    saleEndsAt: onSale ? source.saleEndsAt ?? null : null,
+  };
+};
+
+/**
+ * Add the resolved `pricing` to a product and each of its loaded variants for responses
+ */
+export const withSalePricing = (product, now = new Date()) => ({
+  ...product,
+  pricing: resolveSalePrice(product, null, now),
+  ...(Array.isArray(product.variants) && {
+    variants: product.variants.map(variant => ({
+      ...variant,
+      pricing: resolveSalePrice(product, variant, now),
+    })),
+  }),
+});
+
+/**
+ * Validate and convert the sale price fields present in `body`. Returns { data, errors };
+ * `data` only holds the fields that were sent, so it can be spread into an update.
+ */
+export const normalizeSalePricing = (body, label = '') => {
+  const prefix = label ? `${label} ` : '';
+  const data = {};
+  const errors = [];
+
+  for (const field of ['compareAtPrice', 'salePrice']) {
+    if (body[field] === undefined) continue;
+    if (body[field] === null || body[field] === '') {
+      data[field] = null;
+      continue;
+    }
+    const value = Number(body[field]);
+    if (!Number.isFinite(value) || value < 0) {
+      errors.push(`${prefix}${field} must be a non-negative number`);
+      continue;
+    }
+    data[field] = new Prisma.Decimal(body[field]);
+  }
+
+  for (const field of ['saleStartsAt', 'saleEndsAt']) {
+    if (body[field] === undefined) continue;
+    if (body[field] === null || body[field] === '') {
+      data[field] = null;
+      continue;
+    }
+    const value = new Date(body[field]);
+    if (Number.isNaN(value.getTime())) {
+      errors.push(`${prefix}${field} must be a valid date`);
+      continue;
+    }
+    data[field] = value;
+  }
+
+  if (data.saleStartsAt && data.saleEndsAt && data.saleEndsAt <= data.saleStartsAt) {
+    errors.push(`${prefix}saleEndsAt must be after saleStartsAt`);
+  }
+
+  return { data, errors };
+};
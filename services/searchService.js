@@ -0,0 +1,88 @@
+import { Prisma } from '@prisma/client';
+import prisma from '../config/db.js';
+
+/*
+ * Product search runs on Postgres full-text search with pg_trgm similarity on the name
+ * for typo tolerance. Both expressions below are served by the indexes in
+ * SEARCH_SETUP_STATEMENTS; `prisma db push` does not create them, so run
+ * `npm run db:search-setup` once per database (it is idempotent).
+ */
+
+// Must stay identical to the indexed expression below for the index to be used
+const searchVector = Prisma.sql`(
+  setweight(to_tsvector('english', coalesce(p."name", '')), 'A') ||
+  setweight(to_tsvector('english', coalesce(p."category", '')), 'B') ||
+  setweight(to_tsvector('english', coalesce(p."description", '')), 'C')
+)`;
+
+export const SEARCH_SETUP_STATEMENTS = [
+  'CREATE EXTENSION IF NOT EXISTS pg_trgm',
+  `CREATE INDEX IF NOT EXISTS "Product_search_idx" ON "Product" USING GIN ((
+    setweight(to_tsvector('english', coalesce("name", '')), 'A') ||
+    setweight(to_tsvector('english', coalesce("category", '')), 'B') ||
+    setweight(to_tsvector('english', coalesce("description", '')), 'C')
+  ))`,
+  'CREATE INDEX IF NOT EXISTS "Product_name_trgm_idx" ON "Product" USING GIN ("name" gin_trgm_ops)',
+];
+
+/**
+ * Create the pg_trgm extension and the search indexes if they are missing
+ */
+export const setupSearchIndexes = async () => {
+  for (const statement of SEARCH_SETUP_STATEMENTS) {
+    await prisma.$executeRawUnsafe(statement);
+  }
+};
+
+// Upper bound on ranked matches considered for one search
+const MAX_SEARCH_RESULTS = 1000;
+
+/**
+ * Turn user input into a prefix tsquery ("brass lam" -> "brass:* & lam:*") for autocomplete
+ */
+export const toPrefixQuery = (term) => term
+  .toLowerCase()
+  .split(/\s+/)
+  .map(word => word.replace(/[^\p{L}\p{N}]/gu, ''))
+  .filter(Boolean)
+  .map(word => `${word}:*`)
+  .join(' & ');
+
+/**
+ * Ids of products matching `term`, best match first. Full-text matches are ranked by
+ * ts_rank_cd (name weighted above category above description); near-miss spellings of
+ * the name are matched by trigram similarity.
+ */
+export const searchProductIds = async (term) => {
+  const rows = await prisma.$queryRaw`
+    SELECT p."id",
+      ts_rank_cd(${searchVector}, websearch_to_tsquery('english', ${term})) AS rank,
+      similarity(p."name", ${term}) AS similarity
+    FROM "Product" p
+    WHERE ${searchVector} @@ websearch_to_tsquery('english', ${term})
+      OR p."name" % ${term}
+    ORDER BY rank DESC, similarity DESC, p."createdAt" DESC
+    LIMIT ${MAX_SEARCH_RESULTS}
+  `;
+
+  return rows.map(row => row.id);
+};
+
+/**
+ * Autocomplete suggestions for a partially typed query
+ */
+export const suggestProducts = async (term, limit = 8) => {
+  const prefixQuery = toPrefixQuery(term);
+  if (!prefixQuery) return [];
+
+  return prisma.$queryRaw`
+    SELECT p."id", p."name", p."category", p."images"[1] AS image
+    FROM "Product" p
+    WHERE p."isActive" = true
+      AND p."deletedAt" IS NULL
+      AND (${searchVector} @@ to_tsquery('english', ${prefixQuery}) OR p."name" % ${term})
+    ORDER BY ts_rank_cd(${searchVector}, to_tsquery('english', ${prefixQuery})) DESC,
+      similarity(p."name", ${term}) DESC
+    LIMIT ${Number(limit)}
+  `;
+};
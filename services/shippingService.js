@@ -0,0 +1,122 @@
+import { Prisma } from '@prisma/client';
+import prisma from '../config/db.js';
+
+const decimal = (value = 0) => new Prisma.Decimal(value);
+
+export const SHIPPING_METHODS = ['standard', 'express'];
+
+// flat: baseRate only, weight: baseRate + perUnitRate per kg, quantity: baseRate + perUnitRate per item
+export const SHIPPING_RATE_BASES = ['flat', 'weight', 'quantity'];
+
+const normalize = (value) => (value ? String(value).trim().toLowerCase() : '');
+
+/**
+ * Country and region used for zone matching. Addresses are stored as free-form JSON,
+ * so the common field names are all accepted.
+ */
+export const getAddressZone = (address = {}) => ({
+  country: normalize(address.country || address.countryCode),
+  region: normalize(address.region || address.state || address.province),
+});
+
+/**
+ * A rule with no countries matches every country; a rule with no regions matches every region
+ * of its countries
+ */
+export const ruleMatchesZone = (rule, zone) => {
+  const countries = (rule.countries || []).map(normalize);
+  const regions = (rule.regions || []).map(normalize);
+
+  if (countries.length > 0 && !countries.includes(zone.country)) return false;
+  if (regions.length > 0 && !regions.includes(zone.region)) return false;
+  return true;
+};
+
+const ruleUnits = (rule, { totalWeight, totalQuantity }) => {
+  switch (rule.basis) {
+    case 'weight':
+      return decimal(totalWeight);
+    case 'quantity':
+      return decimal(totalQuantity);
+    case 'flat':
+    default:
+      return decimal(0);
+  }
+};
+
+const ruleAppliesToCart = (rule, cart) => {
+  const units = ruleUnits(rule, cart);
+  if (rule.minUnits !== null && rule.minUnits !== undefined && units.lessThan(rule.minUnits)) return false;
+  if (rule.maxUnits !== null && rule.maxUnits !== undefined && units.greaterThan(rule.maxUnits)) return false;
+  return true;
+};
+
+export const calculateRuleCost = (rule, cart) => {
+  const threshold = rule.freeShippingThreshold;
+  if (threshold !== null && threshold !== undefined && decimal(cart.subtotal).greaterThanOrEqualTo(threshold)) {
+    return { cost: decimal(0), freeShippingApplied: true };
+  }
+
+  const cost = decimal(rule.baseRate).plus(decimal(rule.perUnitRate || 0).times(ruleUnits(rule, cart)));
+  return { cost: cost.toDecimalPlaces(2), freeShippingApplied: false };
+};
+
+/**
+ * Pick the first matching rule per method (rules are ordered by priority) and price it.
+ * `cart` carries subtotal, totalWeight and totalQuantity.
+ */
+export const buildShippingOptions = (rules, address, cart) => {
+  const zone = getAddressZone(address);
+  const options = [];
+
+  for (const method of SHIPPING_METHODS) {
+    const rule = rules.find(r => r.method === method && ruleMatchesZone(r, zone) && ruleAppliesToCart(r, cart));
+    if (!rule) continue;
+
+    const { cost, freeShippingApplied } = calculateRuleCost(rule, cart);
+    options.push({
+      method,
+      ruleId: rule.id,
+      name: rule.name,
+      cost,
+      freeShippingApplied,
+      estimatedDays: rule.estimatedDays ?? null,
+    });
+  }
+
+  return options;
+};
+
+// The flat fee charged before shipping rules existed, used until a store configures any
+const FALLBACK_FLAT_RATE = 100;
+const FALLBACK_FREE_SHIPPING_OVER = 1000;
+
+/**
+ * Standard shipping at the legacy flat rate, free above the legacy threshold
+ */
+export const buildFallbackShippingOption = (cart) => {
+  const freeShippingApplied = decimal(cart.subtotal).greaterThan(FALLBACK_FREE_SHIPPING_OVER);
+  return {
+    method: 'standard',
+    ruleId: null,
+    name: 'Standard shipping',
+    cost: freeShippingApplied ? decimal(0) : decimal(FALLBACK_FLAT_RATE),
+    freeShippingApplied,
+    estimatedDays: null,
+  };
+};
+
+/**
+ * Shipping options for an address and cart. A store with no active rules keeps the
+ * legacy flat fee so checkout works before any rule is seeded.
+ */
+export const getShippingOptions = async (address, cart) => {
+  const rules = await prisma.shippingRule.findMany({
+    where: { isActive: true },
+    orderBy: [{ priority: 'asc' }, { createdAt: 'asc' }],
+  });
+
+  if (rules.length === 0) return [buildFallbackShippingOption(cart)];
+
+  return buildShippingOptions(rules, address, cart);
+};
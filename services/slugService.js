@@ -0,0 +1,28 @@
+export const slugify = (value) => String(value || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+/**
+ * Slug for `value` that is not yet taken on `model`, suffixing -2, -3, ... on collisions.
+ * `excludeId` lets a record keep its own slug.
+ */
+export const uniqueSlug = async (model, value, excludeId = null) => {
+  const base = slugify(value) || 'item';
+  const taken = await model.findMany({
+    where: {
+      slug: { startsWith: base },
+      ...(excludeId && { id: { not: excludeId } }),
+    },
+    select: { slug: true },
+  });
+  const slugs = new Set(taken.map(item => item.slug));
+
+  let slug = base;
+  for (let suffix = 2; slugs.has(slug); suffix += 1) {
+    slug = `${base}-${suffix}`;
+  }
+  return slug;
+};
@@ -0,0 +1,80 @@
+import prisma from '../config/db.js';
+import { inngest } from '../inngest/client.js';
+
+export const LOW_STOCK_EVENT = 'inventory/stock.low';
+export const RESTOCKED_EVENT = 'inventory/stock.restocked';
+
+/**
+ * Threshold used for products without their own lowStockThreshold, or null for none
+ */
+export const defaultLowStockThreshold = () => {
+  const value = process.env.DEFAULT_LOW_STOCK_THRESHOLD;
+  return value === undefined || value === '' ? null : Number(value);
+};
+
+/**
+ * Validation error for a product's lowStockThreshold, or null when it is valid.
+ * null clears the threshold so the default applies.
+ */
+export const lowStockThresholdError = (value) => {
+  if (value === undefined || value === null) return null;
+  return Number.isInteger(Number(value)) && Number(value) >= 0 && value !== ''
+    ? null
+    : 'lowStockThreshold must be a non-negative integer or null';
+};
+
+/**
+ * Work out which ledger movements crossed a threshold. A movement is low-stock when it
+ * takes stock from above the threshold to at or below it, and a restock when it takes
+ * stock from zero (or below) to above zero. Thresholds apply to whatever is stocked:
+ * the variant for variant lines, the product otherwise.
+ */
+export const detectStockEvents = (movements, thresholds) => {
+  const events = [];
+
+  for (const movement of movements) {
+    const after = movement.stockAfter;
+    const before = after - movement.delta;
+    const data = {
+      productId: movement.productId,
+      variantId: movement.variantId ?? null,
+      stock: after,
+    };
+
+    const threshold = thresholds.get(movement.productId) ?? null;
+    if (threshold !== null && before > threshold && after <= threshold) {
+      events.push({ name: LOW_STOCK_EVENT, data: { ...data, threshold } });
+    }
+
+    if (before <= 0 && after > 0) {
+      events.push({ name: RESTOCKED_EVENT, data });
+    }
+  }
+
+  return events;
+};
+
+/**
+ * Emit low-stock and restock events for movements that have been committed. Failures
+ * are logged rather than thrown: the stock change itself already succeeded.
+ */
+export const publishStockEvents = async (movements) => {
+  if (!movements?.length) return;
+
+  try {
+    const productIds = [...new Set(movements.map(movement => movement.productId))];
+    const products = await prisma.product.findMany({
+      where: { id: { in: productIds } },
+      select: { id: true, lowStockThreshold: true },
+    });
+    const fallback = defaultLowStockThreshold();
+    const thresholds = new Map(products.map(product => [product.id, product.lowStockThreshold ?? fallback]));
+
+    const events = detectStockEvents(movements, thresholds);
+    if (events.length > 0) {
+      await inngest.send(events);
+    }
+  } catch (error) {
+    console.error('Failed to publish stock events:', error);
+  }
+};
@@ -0,0 +1,36 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * Stores files on the local filesystem under `rootDir` and serves them from `baseUrl`
+ * (server.js mounts express.static there). Meant for development and tests.
+ */
+export class LocalStorageAdapter {
+  constructor({ rootDir, baseUrl = '/uploads' }) {
+    this.rootDir = path.resolve(rootDir);
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+  }
+
+  resolve(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    if (!filePath.startsWith(`${this.rootDir}${path.sep}`)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async put(key, body) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, body);
+    return { key, url: this.getUrl(key) };
+  }
+
+  async delete(key) {
+    await fs.rm(this.resolve(key), { force: true });
+  }
+
+  getUrl(key) {
+    return `${this.baseUrl}/${key.split('/').map(encodeURIComponent).join('/')}`;
+  }
+}
@@ -0,0 +1,73 @@
+import { Prisma } from '@prisma/client';
+import prisma from '../config/db.js';
+import { getAddressZone } from './shippingService.js';
+import { expandCategoryIds } from './categoryService.js';
+
+const decimal = (value = 0) => new Prisma.Decimal(value);
+
+const normalize = (value) => (value ? String(value).trim().toLowerCase() : '');
+
+/**
+ * Most specific active rate for the address: a country + region rate wins over a
+ * country-wide rate. Returns null when no rate covers the address.
+ */
+export const findTaxRate = (rates, address) => {
+  const zone = getAddressZone(address);
+  const countryRates = rates.filter(rate => normalize(rate.country) === zone.country);
+
+  return countryRates.find(rate => rate.region && normalize(rate.region) === zone.region)
+    || countryRates.find(rate => !rate.region)
+    || null;
+};
+
+/**
+ * Per-line tax for `lines` ({ categoryId, total }) under `rate`.
+ * Exclusive rates add tax on top of the line total; inclusive rates extract the tax
+ * already contained in it. Lines in exemptCategoryIds are not taxed; the caller
+ * expands those to include subcategories.
+ */
+export const calculateTax = (rate, lines) => {
+  const rateValue = rate ? decimal(rate.rate) : decimal(0);
+  const inclusive = Boolean(rate?.inclusive);
+  const exemptCategoryIds = rate?.exemptCategoryIds || [];
+
+  let tax = decimal(0);
+  const lineTaxes = lines.map(line => {
+    const exempt = Boolean(line.categoryId) && exemptCategoryIds.includes(line.categoryId);
+    const appliedRate = exempt ? decimal(0) : rateValue;
+    const lineTotal = decimal(line.total);
+    const lineTax = (inclusive
+      ? lineTotal.minus(lineTotal.dividedBy(appliedRate.plus(1)))
+      : lineTotal.times(appliedRate)
+    ).toDecimalPlaces(2);
+
+    tax = tax.plus(lineTax);
+    return {
+      taxRate: appliedRate,
+      tax: lineTax,
+      taxExempt: exempt,
+    };
+  });
+
+  return {
+    taxRateId: rate?.id ?? null,
+    inclusive,
+    tax,
+    // Only exclusive tax is added on top of the subtotal
+    additionalTax: inclusive ? decimal(0) : tax,
+    lines: lineTaxes,
+  };
+};
+
+export const calculateTaxForAddress = async (address, lines) => {
+  const rates = await prisma.taxRate.findMany({
+    where: { isActive: true },
+    orderBy: { createdAt: 'asc' },
+  });
+
+  const rate = findTaxRate(rates, address || {});
+  if (!rate) return calculateTax(null, lines);
+
+  // An exempt parent category covers its subcategories
+  return calculateTax({ ...rate, exemptCategoryIds: await expandCategoryIds(rate.exemptCategoryIds) }, lines);
+};
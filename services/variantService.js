@@ -0,0 +1,215 @@
+import { Prisma } from '@prisma/client';
+import { recordStockMovements } from './inventoryService.js';
+import { normalizeSalePricing, resolveSalePrice } from './salePriceService.js';
+
+
+const optionKey = (options) => Object.keys(options).sort().map(name => `${name}=${options[name]}`).join('|');
+
+/**
+ * Validate and normalize the `options` ([{ name, values }]) and `variants`
+ * ([{ sku, price, stock, images, options: { [optionName]: value } }]) of a product payload.
+ * Variants may also carry compareAtPrice and a scheduled sale (salePrice, saleStartsAt,
+ * saleEndsAt).
+ * Every variant must pick exactly one declared value for each option, and SKUs and
+ * option combinations must be unique.
+ */
+export const normalizeVariantInput = ({ options = [], variants = [] }) => {
+  const errors = [];
+
+  if (!Array.isArray(options) || !Array.isArray(variants)) {
+    return { errors: ['options and variants must be arrays'], options: [], variants: [] };
+  }
+
+  const normalizedOptions = options.map((option, index) => ({
+    name: String(option.name || '').trim(),
+    values: [...new Set((option.values || []).map(value => String(value).trim()).filter(Boolean))],
+    position: index,
+  }));
+
+  const optionNames = normalizedOptions.map(option => option.name);
+  if (optionNames.some(name => !name)) errors.push('Every option needs a name');
+  if (new Set(optionNames).size !== optionNames.length) errors.push('Option names must be unique');
+  normalizedOptions
+    .filter(option => option.values.length === 0)
+    .forEach(option => errors.push(`Option ${option.name} needs at least one value`));
+
+  const optionValues = new Map(normalizedOptions.map(option => [option.name, option.values]));
+  const skus = new Set();
+  const combinations = new Set();
+
+  const normalizedVariants = variants.map((variant, index) => {
+    const sku = String(variant.sku || '').trim();
+    const selected = variant.options || {};
+    const label = sku || `#${index + 1}`;
+
+    if (!sku) errors.push(`Variant ${label} needs a SKU`);
+    if (skus.has(sku)) errors.push(`Duplicate SKU ${sku}`);
+    skus.add(sku);
+
+    const selectedNames = Object.keys(selected);
+    if (selectedNames.length !== optionNames.length || optionNames.some(name => !selectedNames.includes(name))) {
+      errors.push(`Variant ${label} must choose a value for each option: ${optionNames.join(', ')}`);
+    } else {
+      for (const name of optionNames) {
+        if (!optionValues.get(name).includes(String(selected[name]))) {
+          errors.push(`Variant ${label} has an unknown ${name} value: ${selected[name]}`);
+        }
+      }
+      const key = optionKey(selected);
+      if (combinations.has(key)) errors.push(`Variant ${label} repeats an existing option combination`);
+      combinations.add(key);
+    }
+
+    const stock = Number(variant.stock ?? 0);
+    if (!Number.isInteger(stock) || stock < 0) errors.push(`Variant ${label} stock must be a non-negative integer`);
+
+    // A blank price means the variant sells at the product price
+    let price = null;
+    if (variant.price !== null && variant.price !== undefined && variant.price !== '') {
+      const value = Number(variant.price);
+      if (Number.isFinite(value) && value >= 0) price = new Prisma.Decimal(variant.price);
+      else errors.push(`Variant ${label} price must be a non-negative number`);
+    }
+
+    const sale = normalizeSalePricing(variant, `Variant ${label}`);
+    errors.push(...sale.errors);
+
+    return {
+      sku,
+      price,
+      // Sale fields left out of the payload keep their saved values
+      ...sale.data,
+      stock,
+      images: Array.isArray(variant.images) ? variant.images : [],
+      options: Object.fromEntries(optionNames.map(name => [name, String(selected[name])])),
+      isActive: variant.isActive ?? true,
+    };
+  });
+
+  return { errors, options: normalizedOptions, variants: normalizedVariants };
+};
+
+/**
+ * Keep the product-level stock equal to the sum of its active variants so listings,
+ * filters and the cart can keep reading product.stock. Returns the new product stock,
+ * or null for a product without variants.
+ */
+export const syncProductStockFromVariants = async (tx, productId) => {
+  const stats = await tx.productVariant.aggregate({
+    where: { productId, isActive: true },
+    _sum: { stock: true },
+    _count: { _all: true },
+  });
+
+  if (stats._count._all === 0) return null;
+
+  const product = await tx.product.update({
+    where: { id: productId },
+    data: { stock: stats._sum.stock || 0 },
+  });
+  return product.stock;
+};
+
+/**
+ * Replace a product's options and upsert its variants by SKU inside a transaction.
+ * Variants missing from the payload are deactivated rather than deleted, because
+ * order items may still point at them; their stock is written off as an adjustment.
+ *
+ * Stock differences are written to the inventory ledger under `stockReason`. Any change
+ * of the product total the variant entries do not account for (e.g. product-level stock
+ * replaced by a first set of variants) is recorded as a product-level adjustment. With
+ * `preserveStock`, existing variants keep their stock and only new variants take the
+ * payload's stock, so routine product edits cannot bypass stock adjustments.
+ * Returns the recorded movements.
+ */
+export const syncProductVariants = async (tx, productId, { options, variants }, {
+  stockReason = 'adjustment',
+  preserveStock = false,
+  userId = null,
+  note = null,
+} = {}) => {
+  await tx.productOption.deleteMany({ where: { productId } });
+  if (options.length > 0) {
+    await tx.productOption.createMany({
+      data: options.map(option => ({ ...option, productId })),
+    });
+  }
+
+  const product = await tx.product.findUnique({ where: { id: productId }, select: { stock: true } });
+  const movements = [];
+
+  const skus = variants.map(variant => variant.sku);
+  const removed = await tx.productVariant.findMany({
+    where: { productId, sku: { notIn: skus }, isActive: true },
+    select: { id: true, stock: true },
+  });
+  await tx.productVariant.updateMany({
+    where: { productId, sku: { notIn: skus } },
+    data: { isActive: false },
+  });
+
+  // A deactivated variant no longer counts towards the product, so its stock leaves the books
+  for (const variant of removed.filter(row => row.stock !== 0)) {
+    await tx.productVariant.update({ where: { id: variant.id }, data: { stock: 0 } });
+    movements.push({
+      productId,
+      variantId: variant.id,
+      delta: -variant.stock,
+      reason: 'adjustment',
+      stockAfter: 0,
+      userId,
+      note: 'Variant deactivated',
+    });
+  }
+
+  const existing = await tx.productVariant.findMany({
+    where: { productId, sku: { in: skus } },
+    select: { sku: true, stock: true },
+  });
+  const previousStock = new Map(existing.map(variant => [variant.sku, variant.stock]));
+
+  for (const variant of variants) {
+    const keepStock = preserveStock && previousStock.has(variant.sku);
+
+    const saved = await tx.productVariant.upsert({
+      where: { sku: variant.sku },
+      update: { ...variant, productId, ...(keepStock && { stock: undefined }) },
+      create: { ...variant, productId },
+    });
+
+    movements.push({
+      productId,
+      variantId: saved.id,
+      delta: saved.stock - (previousStock.get(variant.sku) ?? 0),
+      reason: stockReason,
+      stockAfter: saved.stock,
+      userId,
+      note: previousStock.has(variant.sku) ? note : 'Initial stock',
+    });
+  }
+
+  const stockAfter = await syncProductStockFromVariants(tx, productId);
+  const unaccounted = stockAfter === null
+    ? 0
+    : stockAfter - (product?.stock ?? 0) - movements.reduce((sum, movement) => sum + movement.delta, 0);
+  if (unaccounted !== 0) {
+    movements.push({
+      productId,
+      variantId: null,
+      delta: unaccounted,
+      reason: 'adjustment',
+      stockAfter,
+      userId,
+      note: 'Product stock set to the total of its variants',
+    });
+  }
+
+  await recordStockMovements(tx, movements);
+  return movements.filter(movement => movement.delta !== 0);
+};
+
+/**
+ * Price charged for a product at `now`, honouring the variant's price override and any
+ * running sale
+ */
+export const resolveVariantPrice = (product, variant, now = new Date()) => resolveSalePrice(product, variant, now).price;
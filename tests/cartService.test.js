@@ -0,0 +1,78 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import prisma from '../config/db.js';
+import { resolveCart, serializeCart } from '../services/cartService.js';
+
+test('resolveCart merges a guest cart into the signed-in user cart', async () => {
+  const userCart = { id: 'cart_user', userId: 'user_1', token: null };
+  const guestCart = { id: 'cart_guest', userId: null, token: 'guest-token' };
+  const increments = [];
+  const created = [];
+  const deleted = [];
+
+  const originals = {
+    findUnique: prisma.cart.findUnique,
+    findFirst: prisma.cart.findFirst,
+    $transaction: prisma.$transaction,
+  };
+  prisma.cart.findUnique = async ({ where }) => (where.userId === 'user_1' ? userCart : null);
+  prisma.cart.findFirst = async ({ where }) => (where.token === 'guest-token' && where.userId === null ? guestCart : null);
+  prisma.$transaction = async (fn) => fn({
+    cartItem: {
+      findMany: async () => [
+        { cartId: 'cart_guest', productId: 'prod_lamp', variantId: null, quantity: 1 },
+        { cartId: 'cart_guest', productId: 'prod_vase', variantId: 'var_blue', quantity: 2 },
+      ],
+      // The user already has the lamp in their cart
+      findFirst: async ({ where }) => (where.productId === 'prod_lamp' ? { id: 'line_lamp', quantity: 3 } : null),
+      update: async (args) => {
+        increments.push([args.where.id, args.data.quantity.increment]);
+      },
+      create: async (args) => {
+        created.push(args.data);
+      },
+    },
+    cart: {
+      delete: async ({ where }) => {
+        deleted.push(where.id);
+      },
+    },
+  });
+
+  let cart;
+  try {
+    cart = await resolveCart({
+      headers: { 'x-cart-token': 'guest-token' },
+      prismaUser: { id: 'user_1' },
+    });
+  } finally {
+    prisma.cart.findUnique = originals.findUnique;
+    prisma.cart.findFirst = originals.findFirst;
+    prisma.$transaction = originals.$transaction;
+  }
+
+  assert.equal(cart.id, 'cart_user');
+  assert.deepEqual(increments, [['line_lamp', 1]]);
+  assert.deepEqual(created, [{ cartId: 'cart_user', productId: 'prod_vase', variantId: 'var_blue', quantity: 2 }]);
+  assert.deepEqual(deleted, ['cart_guest']);
+});
+
+test('serializeCart prices lines from the live product and flags stock problems', () => {
+  const cart = serializeCart({
+    id: 'cart_guest',
+    userId: null,
+    token: 'guest-token',
+    items: [
+      { quantity: 2, product: { id: 'prod_lamp', name: 'Brass Lamp', images: ['lamp.jpg'], price: '120.50', stock: 1, isActive: true } },
+      { quantity: 1, product: { id: 'prod_vase', name: 'Vase', images: [], price: '30', stock: 4, isActive: true } },
+    ],
+  });
+
+  assert.equal(cart.token, 'guest-token');
+  assert.equal(cart.itemCount, 3);
+  assert.equal(cart.subtotal.toString(), '271');
+  assert.equal(cart.items[0].available, false);
+  assert.deepEqual(cart.warnings, [
+    { productId: 'prod_lamp', name: 'Brass Lamp', message: 'Only 1 left in stock' },
+  ]);
+});
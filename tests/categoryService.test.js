@@ -0,0 +1,96 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import prisma from '../config/db.js';
+import {
+  backfillCategoryReferences,
+  buildCategoryTree,
+  createsCycle,
+  getDescendantIds,
+} from '../services/categoryService.js';
+import { slugify } from '../services/slugService.js';
+
+const categories = [
+  { id: 'home', name: 'Home', parentId: null, sortOrder: 1 },
+  { id: 'lighting', name: 'Lighting', parentId: 'home', sortOrder: 0 },
+  { id: 'lamps', name: 'Table Lamps', parentId: 'lighting', sortOrder: 0 },
+  { id: 'outdoor', name: 'Outdoor', parentId: null, sortOrder: 0 },
+];
+
+test('slugify produces url-safe slugs', () => {
+  assert.equal(slugify('  Table Lamps & Shades '), 'table-lamps-shades');
+  assert.equal(slugify('Décor'), 'decor');
+});
+
+test('getDescendantIds walks every level below the root', () => {
+  assert.deepEqual(getDescendantIds(categories, 'home'), ['home', 'lighting', 'lamps']);
+  assert.deepEqual(getDescendantIds(categories, 'lamps'), ['lamps']);
+});
+
+test('createsCycle rejects moving a category under its own subtree', () => {
+  assert.equal(createsCycle(categories, 'home', 'lamps'), true);
+  assert.equal(createsCycle(categories, 'home', 'home'), true);
+  assert.equal(createsCycle(categories, 'lamps', 'outdoor'), false);
+  assert.equal(createsCycle(categories, 'lamps', null), false);
+});
+
+test('buildCategoryTree nests by parent, orders by sortOrder and rolls up counts', () => {
+  const tree = buildCategoryTree(categories, new Map([['home', 1], ['lamps', 4], ['outdoor', 2]]));
+
+  assert.deepEqual(tree.map(node => node.id), ['outdoor', 'home']);
+  const home = tree[1];
+  assert.equal(home.directProductCount, 1);
+  assert.equal(home.productCount, 5);
+  assert.equal(home.children[0].productCount, 4);
+  assert.equal(home.children[0].children[0].name, 'Table Lamps');
+});
+
+test('backfillCategoryReferences links category names to ids, creating missing categories', async () => {
+  const created = [];
+  const productUpdates = [];
+  const couponUpdates = [];
+  const stored = [{ id: 'cat_lighting', name: 'Lighting', slug: 'lighting' }];
+  const originals = { product: prisma.product, category: prisma.category, coupon: prisma.coupon, taxRate: prisma.taxRate };
+
+  prisma.product = {
+    findMany: async () => [{ category: 'Lighting' }, { category: 'Garden' }],
+    updateMany: async (args) => {
+      productUpdates.push(args);
+      return { count: 2 };
+    },
+  };
+  prisma.category = {
+    findFirst: async ({ where }) => stored.find(category => category.name.toLowerCase() === where.name.equals.toLowerCase()) ?? null,
+    findMany: async () => stored,
+    create: async ({ data }) => {
+      const category = { id: `cat_${data.slug}`, ...data };
+      created.push(category);
+      stored.push(category);
+      return category;
+    },
+  };
+  prisma.coupon = {
+    findMany: async () => [{ id: 'coupon_1', code: 'GARDEN', categories: ['garden', 'Gone'] }],
+    update: async (args) => {
+      couponUpdates.push(args);
+      return {};
+    },
+  };
+  prisma.taxRate = { findMany: async () => [] };
+
+  const originalWarn = console.warn;
+  console.warn = () => {};
+  try {
+    const result = await backfillCategoryReferences();
+    assert.deepEqual(result, { categoriesCreated: 1, products: 4, coupons: 1, taxRates: 0 });
+  } finally {
+    console.warn = originalWarn;
+    Object.assign(prisma, originals);
+  }
+
+  assert.deepEqual(created.map(category => category.slug), ['garden']);
+  assert.deepEqual(productUpdates[1], {
+    where: { categoryId: null, category: 'Garden' },
+    data: { categoryId: 'cat_garden', category: 'Garden' },
+  });
+  assert.deepEqual(couponUpdates[0].data, { categoryIds: ['cat_garden'] });
+});
@@ -0,0 +1,73 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import prisma from '../config/db.js';
+import { buildCollectionFilters, normalizeCollectionRules } from '../services/collectionService.js';
+
+const withPrismaStubs = async (stubs, fn) => {
+  const originals = {};
+  for (const [model, methods] of Object.entries(stubs)) {
+    originals[model] = prisma[model];
+    prisma[model] = { ...prisma[model], ...methods };
+  }
+  try {
+    await fn();
+  } finally {
+    Object.assign(prisma, originals);
+  }
+};
+
+const categoryStub = {
+  findMany: async () => [
+    { id: 'cat_living', name: 'Living Room', slug: 'living-room', parentId: null },
+  ],
+};
+
+test('normalizeCollectionRules keeps known rules and reports bad ones', async () => {
+  await withPrismaStubs({ category: categoryStub }, async () => {
+    const valid = await normalizeCollectionRules({
+      category: 'living-room',
+      maxPrice: '1000',
+      tags: 'Gift, autumn,gift',
+      onSale: true,
+    });
+    assert.deepEqual(valid.errors, []);
+    assert.deepEqual(valid.rules, { category: 'living-room', maxPrice: 1000, tags: ['gift', 'autumn'], onSale: true });
+
+    const invalid = await normalizeCollectionRules({ category: 'garden', minPrice: 50, maxPrice: 10 });
+    assert.deepEqual(invalid.errors, ['Category not found: garden', 'minPrice must not be above maxPrice']);
+
+    const empty = await normalizeCollectionRules({});
+    assert.deepEqual(empty.errors, ['A rule collection needs at least one rule']);
+  });
+});
+
+test('buildCollectionFilters applies rules as listing filters', async () => {
+  await withPrismaStubs({ category: categoryStub }, async () => {
+    const { clauses } = await buildCollectionFilters({
+      type: 'rule',
+      rules: { category: 'living-room', maxPrice: 1000, tags: ['gift'] },
+    });
+
+    assert.deepEqual(clauses.category, { categoryId: { in: ['cat_living'] } });
+    assert.deepEqual(clauses.tags, { tags: { hasSome: ['gift'] } });
+    assert.equal(clauses.price.OR[1].AND[1].price.lte.toString(), '1000');
+  });
+});
+
+test('buildCollectionFilters pins manual collections to their saved order', async () => {
+  await withPrismaStubs({
+    collectionProduct: {
+      findMany: async ({ where, orderBy }) => {
+        assert.deepEqual(where, { collectionId: 'col_1' });
+        assert.deepEqual(orderBy, { position: 'asc' });
+        return [{ productId: 'prod_b' }, { productId: 'prod_a' }];
+      },
+    },
+  }, async () => {
+    const { clauses, pinnedIds } = await buildCollectionFilters({ id: 'col_1', type: 'manual' });
+
+    assert.deepEqual(pinnedIds, ['prod_b', 'prod_a']);
+    assert.deepEqual(clauses.collection, { id: { in: ['prod_b', 'prod_a'] } });
+    assert.deepEqual(clauses.base, { isActive: true, deletedAt: null });
+  });
+});
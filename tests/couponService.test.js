@@ -0,0 +1,66 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { CouponError, evaluateCoupon, redeemCoupon } from '../services/couponService.js';
+
+const lines = [
+  { productId: 'prod_lamp', categoryId: 'cat_lighting', total: '300' },
+  { productId: 'prod_vase', categoryId: 'cat_vases', total: '100' },
+  { productId: 'prod_rug', categoryId: 'cat_lighting', total: '100' },
+];
+
+const baseCoupon = {
+  id: 'coupon_1',
+  code: 'AUTUMN10',
+  type: 'percentage',
+  value: '10',
+  isActive: true,
+  usageCount: 0,
+  usageLimit: null,
+  perUserLimit: null,
+  productIds: [],
+  categoryIds: [],
+};
+
+test('evaluateCoupon spreads a scoped percentage discount over eligible lines', () => {
+  const { discount, lineDiscounts } = evaluateCoupon({ ...baseCoupon, categoryIds: ['cat_lighting'] }, lines);
+
+  assert.equal(discount.toString(), '40');
+  assert.deepEqual(lineDiscounts.map(d => d.toString()), ['30', '0', '10']);
+});
+
+test('evaluateCoupon caps fixed discounts at the eligible subtotal and enforces minimums', () => {
+  const { discount } = evaluateCoupon({ ...baseCoupon, type: 'fixed', value: '250', productIds: ['prod_vase'] }, lines);
+  assert.equal(discount.toString(), '100');
+
+  assert.throws(
+    () => evaluateCoupon({ ...baseCoupon, minSubtotal: '1000' }, lines),
+    error => error instanceof CouponError && /minimum subtotal/.test(error.message)
+  );
+  assert.throws(
+    () => evaluateCoupon({ ...baseCoupon, endsAt: new Date('2020-01-01') }, lines),
+    error => error instanceof CouponError && error.message === 'Coupon has expired'
+  );
+});
+
+test('redeemCoupon fails the transaction when the usage limit was taken concurrently', async () => {
+  const updates = [];
+  const tx = {
+    coupon: {
+      updateMany: async (args) => {
+        updates.push(args);
+        return { count: 0 };
+      },
+    },
+    couponRedemption: {
+      create: async () => {
+        throw new Error('No redemption should be recorded');
+      },
+    },
+  };
+
+  await assert.rejects(
+    redeemCoupon(tx, { coupon: { ...baseCoupon, usageLimit: 5 }, userId: 'user_1', orderId: 'order_1', discount: '40' }),
+    error => error instanceof CouponError && error.statusCode === 409
+  );
+  assert.deepEqual(updates[0].where, { id: 'coupon_1', isActive: true, usageCount: { lt: 5 } });
+});
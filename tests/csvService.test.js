@@ -0,0 +1,30 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, parseCsvRecords, toCsvLine } from '../services/csvService.js';
+
+test('parseCsv handles quotes, escaped quotes, embedded newlines and CRLF', () => {
+  const rows = parseCsv('name,description\r\n"Lamp, brass","Says ""hi""\nand glows"\r\nVase,\r\n\r\n');
+
+  assert.deepEqual(rows, [
+    ['name', 'description'],
+    ['Lamp, brass', 'Says "hi"\nand glows'],
+    ['Vase', ''],
+  ]);
+});
+
+test('parseCsvRecords keys values by header and numbers rows like a spreadsheet', () => {
+  const { columns, records } = parseCsvRecords('\uFEFFslug, name\nlamp, Brass Lamp\nvase\n');
+
+  assert.deepEqual(columns, ['slug', 'name']);
+  assert.deepEqual(records, [
+    { row: 2, values: { slug: 'lamp', name: 'Brass Lamp' } },
+    { row: 3, values: { slug: 'vase', name: '' } },
+  ]);
+});
+
+test('toCsvLine quotes only when needed and round-trips', () => {
+  const line = toCsvLine(['plain', 'a,b', 'say "x"', null, 12]);
+
+  assert.equal(line, 'plain,"a,b","say ""x""",,12\r\n');
+  assert.deepEqual(parseCsv(line), [['plain', 'a,b', 'say "x"', '', '12']]);
+});
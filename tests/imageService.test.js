@@ -0,0 +1,32 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { IMAGE_VARIANTS, ImageValidationError, renderImageVariants } from '../services/imageService.js';
+
+test('renderImageVariants resizes into every variant as webp', async () => {
+  const source = await sharp({
+    create: { width: 2400, height: 1200, channels: 3, background: '#c8a165' },
+  }).jpeg().toBuffer();
+
+  const { width, height, variants } = await renderImageVariants(source);
+
+  assert.equal(width, 2400);
+  assert.equal(height, 1200);
+  assert.deepEqual(Object.keys(variants), Object.keys(IMAGE_VARIANTS));
+
+  const thumbnail = await sharp(variants.thumbnail).metadata();
+  assert.equal(thumbnail.format, 'webp');
+  assert.deepEqual([thumbnail.width, thumbnail.height], [200, 200]);
+
+  const zoom = await sharp(variants.zoom).metadata();
+  assert.deepEqual([zoom.width, zoom.height], [1600, 800]);
+});
+
+test('renderImageVariants rejects bytes that are not an allowed image', async () => {
+  await assert.rejects(renderImageVariants(Buffer.from('<svg></svg>not really')), ImageValidationError);
+
+  const gif = await sharp({
+    create: { width: 10, height: 10, channels: 3, background: '#000' },
+  }).gif().toBuffer();
+  await assert.rejects(renderImageVariants(gif), /Unsupported image format/);
+});
@@ -0,0 +1,98 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { StockAdjustmentError, adjustStock, setStock } from '../services/inventoryService.js';
+
+// Minimal tx whose updateMany honours the stock conditions adjustStock relies on
+const inMemoryTx = (rows) => {
+  const tables = { product: new Map(), productVariant: new Map() };
+  rows.product?.forEach(row => tables.product.set(row.id, { ...row }));
+  rows.productVariant?.forEach(row => tables.productVariant.set(row.id, { ...row }));
+  const ledger = [];
+
+  const model = (table) => ({
+    updateMany: async ({ where, data }) => {
+      const row = table.get(where.id);
+      if (!row || (where.productId && row.productId !== where.productId)) return { count: 0 };
+      if (where.stock?.equals !== undefined && row.stock !== where.stock.equals) return { count: 0 };
+      if (where.stock?.gte !== undefined && row.stock < where.stock.gte) return { count: 0 };
+      row.stock += data.stock.increment;
+      return { count: 1 };
+    },
+    update: async ({ where, data }) => {
+      const row = table.get(where.id);
+      row.stock += data.stock.increment;
+      return { ...row };
+    },
+    findUnique: async ({ where }) => {
+      const row = table.get(where.id);
+      return row ? { stock: row.stock } : null;
+    },
+  });
+
+  return {
+    tables,
+    ledger,
+    product: model(tables.product),
+    productVariant: model(tables.productVariant),
+    inventoryMovement: {
+      createMany: async ({ data }) => {
+        ledger.push(...data);
+        return { count: data.length };
+      },
+    },
+  };
+};
+
+test('adjustStock applies the delta and records it with the resulting stock', async () => {
+  const tx = inMemoryTx({ product: [{ id: 'p1', stock: 4 }] });
+
+  await adjustStock(tx, { productId: 'p1', delta: -3, reason: 'adjustment', userId: 'admin_1', note: 'Damaged in storage' });
+
+  assert.equal(tx.tables.product.get('p1').stock, 1);
+  assert.deepEqual(tx.ledger, [{
+    productId: 'p1',
+    variantId: null,
+    delta: -3,
+    reason: 'adjustment',
+    stockAfter: 1,
+    orderId: null,
+    userId: 'admin_1',
+    note: 'Damaged in storage',
+  }]);
+});
+
+test('adjustStock refuses to go below zero and records nothing', async () => {
+  const tx = inMemoryTx({ product: [{ id: 'p1', stock: 2 }] });
+
+  await assert.rejects(
+    adjustStock(tx, { productId: 'p1', delta: -3, reason: 'adjustment' }),
+    (error) => error instanceof StockAdjustmentError && error.statusCode === 409
+  );
+  assert.equal(tx.tables.product.get('p1').stock, 2);
+  assert.equal(tx.ledger.length, 0);
+});
+
+test('variant adjustments are mirrored on the product total', async () => {
+  const tx = inMemoryTx({
+    product: [{ id: 'p1', stock: 5 }],
+    productVariant: [{ id: 'v1', productId: 'p1', stock: 2 }],
+  });
+
+  await adjustStock(tx, { productId: 'p1', variantId: 'v1', delta: 3, reason: 'return', orderId: 'order_1' });
+
+  assert.equal(tx.tables.productVariant.get('v1').stock, 5);
+  assert.equal(tx.tables.product.get('p1').stock, 8);
+  assert.equal(tx.ledger[0].stockAfter, 5);
+  assert.equal(tx.ledger[0].orderId, 'order_1');
+});
+
+test('setStock records the counted difference and skips unchanged counts', async () => {
+  const tx = inMemoryTx({ product: [{ id: 'p1', stock: 7 }] });
+
+  const movement = await setStock(tx, { productId: 'p1', stock: 10, reason: 'adjustment', note: 'Stocktake' });
+  const unchanged = await setStock(tx, { productId: 'p1', stock: 10, reason: 'adjustment', note: 'Stocktake' });
+
+  assert.equal(movement.delta, 3);
+  assert.equal(unchanged, null);
+  assert.equal(tx.ledger.length, 1);
+});
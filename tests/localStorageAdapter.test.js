@@ -0,0 +1,35 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { LocalStorageAdapter } from '../services/storage/localStorageAdapter.js';
+
+const withTempStorage = async (fn) => {
+  const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-test-'));
+  try {
+    await fn(new LocalStorageAdapter({ rootDir, baseUrl: '/uploads/' }), rootDir);
+  } finally {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  }
+};
+
+test('put writes nested keys and returns their public url', () => withTempStorage(async (storage, rootDir) => {
+  const stored = await storage.put('products/img 1/card.webp', Buffer.from('data'));
+
+  assert.deepEqual(stored, { key: 'products/img 1/card.webp', url: '/uploads/products/img%201/card.webp' });
+  assert.equal(await fs.readFile(path.join(rootDir, 'products/img 1/card.webp'), 'utf8'), 'data');
+}));
+
+test('delete removes files and ignores missing keys', () => withTempStorage(async (storage, rootDir) => {
+  await storage.put('products/a/zoom.webp', Buffer.from('x'));
+  await storage.delete('products/a/zoom.webp');
+  await storage.delete('products/a/zoom.webp');
+
+  await assert.rejects(fs.access(path.join(rootDir, 'products/a/zoom.webp')));
+}));
+
+test('keys cannot escape the storage root', () => withTempStorage(async (storage) => {
+  await assert.rejects(storage.put('../outside.txt', Buffer.from('x')), /Invalid storage key/);
+  assert.throws(() => storage.resolve('/etc/passwd'), /Invalid storage key/);
+}));
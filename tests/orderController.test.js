@@ -0,0 +1,515 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import prisma from '../config/db.js';
+import { setStripeClient } from '../config/stripe.js';
+import { inngest } from '../inngest/client.js';
+
+const mockResponse = () => {
+  const res = {};
+  res.statusCode = 200;
+  res.body = null;
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (payload) => {
+    res.body = payload;
+    return res;
+  };
+  return res;
+};
+
+// Replace prisma model methods for the duration of fn and restore them afterwards
+const withPrismaStubs = async (stubs, fn) => {
+  const originals = [];
+  for (const [model, methods] of Object.entries(stubs)) {
+    if (typeof methods === 'function') {
+      originals.push([prisma, model, prisma[model]]);
+      prisma[model] = methods;
+      continue;
+    }
+    prisma[model] = prisma[model] || {};
+    for (const [name, impl] of Object.entries(methods)) {
+      originals.push([prisma[model], name, prisma[model][name]]);
+      prisma[model][name] = impl;
+    }
+  }
+
+  try {
+    await fn();
+  } finally {
+    for (const [target, key, original] of originals.reverse()) {
+      target[key] = original;
+    }
+    setStripeClient(null);
+  }
+};
+
+const cancellableOrder = {
+  id: 'order_1',
+  userId: 'user_123',
+  status: 'pending',
+  paymentStatus: 'pending',
+  paymentIntentId: 'pi_1',
+  total: '250.00',
+  items: [{ id: 'item_1', productId: 'prod_1', quantity: 2, price: '125.00' }],
+};
+
+const transactionStub = (orderUpdates, productUpdates, events = [], movements = []) => async (fn) => fn({
+  order: {
+    updateMany: async (args) => {
+      orderUpdates.push(args);
+      return { count: 1 };
+    },
+    findUnique: async () => ({ ...cancellableOrder, ...orderUpdates[0]?.data }),
+  },
+  orderEvent: {
+    create: async (args) => {
+      events.push(args.data);
+      return { id: `event_${events.length}`, ...args.data };
+    },
+  },
+  product: {
+    update: async (args) => {
+      productUpdates.push(args);
+      return { id: args.where.id, stock: 3 + args.data.stock.increment };
+    },
+  },
+  inventoryMovement: {
+    createMany: async ({ data }) => {
+      movements.push(...data);
+      return { count: data.length };
+    },
+  },
+  // Refunds are recorded in their own transaction, against the same refund stubs
+  $queryRaw: async () => [],
+  refund: prisma.refund,
+});
+
+test('cancelOrder releases the payment intent of an unpaid order without marking it refunded', async () => {
+  const { cancelOrder } = await import('../controllers/orderController.js');
+  const orderUpdates = [];
+  const productUpdates = [];
+  const movements = [];
+  const stripeCalls = [];
+
+  setStripeClient({
+    paymentIntents: {
+      retrieve: async (id) => ({ id, status: 'requires_payment_method' }),
+      cancel: async (id) => {
+        stripeCalls.push(['cancel', id]);
+        return { id, status: 'canceled' };
+      },
+    },
+    refunds: {
+      create: async () => {
+        throw new Error('Unpaid orders must not be refunded');
+      },
+    },
+  });
+
+  await withPrismaStubs({
+    order: { findUnique: async () => cancellableOrder },
+    $transaction: transactionStub(orderUpdates, productUpdates, [], movements),
+  }, async () => {
+    const req = { params: { id: 'order_1' }, body: { reason: 'Changed my mind' }, user: { id: 'user_123', role: 'CUSTOMER' } };
+    const res = mockResponse();
+
+    await cancelOrder(req, res);
+
+    assert.equal(res.statusCode, 200);
+  });
+
+  assert.deepEqual(stripeCalls, [['cancel', 'pi_1']]);
+  assert.equal(orderUpdates[0].data.status, 'cancelled');
+  assert.equal(orderUpdates[0].data.paymentStatus, undefined);
+  assert.deepEqual(productUpdates[0].data, { stock: { increment: 2 } });
+  assert.deepEqual(movements, [{
+    productId: 'prod_1',
+    variantId: null,
+    delta: 2,
+    reason: 'cancellation',
+    stockAfter: 5,
+    orderId: 'order_1',
+    userId: 'user_123',
+    note: null,
+  }]);
+});
+
+test('cancelOrder refunds the remaining balance of a paid order through Stripe', async () => {
+  const { cancelOrder } = await import('../controllers/orderController.js');
+  const orderUpdates = [];
+  const refundRequests = [];
+  const paymentStatusUpdates = [];
+
+  setStripeClient({
+    refunds: {
+      create: async (params, options) => {
+        refundRequests.push({ params, options });
+        return { id: 're_1', status: 'succeeded' };
+      },
+    },
+  });
+
+  let refundedSoFar = '0';
+  await withPrismaStubs({
+    order: {
+      findUnique: async () => ({ ...cancellableOrder, paymentStatus: 'paid' }),
+      updateMany: async (args) => {
+        paymentStatusUpdates.push(args);
+        return { count: 1 };
+      },
+    },
+    refund: {
+      aggregate: async () => ({ _sum: { amount: refundedSoFar } }),
+      create: async (args) => ({ id: 'refund_1', ...args.data }),
+      update: async (args) => {
+        refundedSoFar = '250.00';
+        return { id: 'refund_1', ...args.data };
+      },
+    },
+    $transaction: transactionStub(orderUpdates, []),
+  }, async () => {
+    const req = { params: { id: 'order_1' }, body: {}, user: { id: 'user_123', role: 'CUSTOMER' } };
+    const res = mockResponse();
+
+    await cancelOrder(req, res);
+
+    assert.equal(res.statusCode, 200);
+  });
+
+  assert.equal(refundRequests.length, 1);
+  assert.equal(refundRequests[0].params.payment_intent, 'pi_1');
+  assert.equal(refundRequests[0].params.amount, 25000);
+  assert.equal(refundRequests[0].options.idempotencyKey, 'refund-refund_1');
+  assert.equal(paymentStatusUpdates.at(-1).data.paymentStatus, 'refunded');
+  assert.equal(orderUpdates[0].data.status, 'cancelled');
+});
+
+test('cancelOrder publishes the restock events of a paid order once', async () => {
+  const { cancelOrder } = await import('../controllers/orderController.js');
+  const sent = [];
+  const originalSend = inngest.send;
+  inngest.send = async (events) => {
+    sent.push(events);
+  };
+
+  setStripeClient({
+    refunds: {
+      create: async () => ({ id: 're_1', status: 'succeeded' }),
+    },
+  });
+
+  let refundedSoFar = '0';
+  const restockingTransaction = async (fn) => transactionStub([], [])(tx => fn({
+    ...tx,
+    // The product was sold out, so putting the items back is a restock
+    product: {
+      update: async (args) => ({ id: args.where.id, stock: args.data.stock.increment }),
+    },
+  }));
+
+  try {
+    await withPrismaStubs({
+      order: {
+        findUnique: async () => ({ ...cancellableOrder, paymentStatus: 'paid' }),
+        updateMany: async () => ({ count: 1 }),
+      },
+      product: {
+        findMany: async () => [{ id: 'prod_1', lowStockThreshold: null }],
+      },
+      refund: {
+        aggregate: async () => ({ _sum: { amount: refundedSoFar } }),
+        create: async (args) => ({ id: 'refund_1', ...args.data }),
+        update: async (args) => {
+          refundedSoFar = '250.00';
+          return { id: 'refund_1', ...args.data };
+        },
+      },
+      $transaction: restockingTransaction,
+    }, async () => {
+      const req = { params: { id: 'order_1' }, body: {}, user: { id: 'user_123', role: 'CUSTOMER' } };
+      const res = mockResponse();
+
+      await cancelOrder(req, res);
+
+      assert.equal(res.statusCode, 200);
+    });
+  } finally {
+    inngest.send = originalSend;
+  }
+
+  assert.equal(sent.length, 1);
+  assert.deepEqual(sent[0].map(event => event.name), ['inventory/stock.restocked']);
+});
+
+test('cancelOrder does not refund when another request already moved the order', async () => {
+  const { cancelOrder } = await import('../controllers/orderController.js');
+
+  setStripeClient({
+    refunds: {
+      create: async () => {
+        throw new Error('A lost cancellation must not refund');
+      },
+    },
+  });
+
+  await withPrismaStubs({
+    order: { findUnique: async () => ({ ...cancellableOrder, paymentStatus: 'paid' }) },
+    $transaction: async (fn) => fn({
+      order: { updateMany: async () => ({ count: 0 }) },
+    }),
+  }, async () => {
+    const req = { params: { id: 'order_1' }, body: {}, user: { id: 'user_123', role: 'CUSTOMER' } };
+    const res = mockResponse();
+
+    await cancelOrder(req, res);
+
+    assert.equal(res.statusCode, 409);
+  });
+});
+
+test('cancelOrder keeps the cancellation and flags the order when the refund fails', async () => {
+  const { cancelOrder } = await import('../controllers/orderController.js');
+  const orderUpdates = [];
+  const flags = [];
+
+  setStripeClient({
+    refunds: {
+      create: async () => {
+        throw new Error('card_declined');
+      },
+    },
+  });
+
+  await withPrismaStubs({
+    order: { findUnique: async () => ({ ...cancellableOrder, paymentStatus: 'paid' }) },
+    orderEvent: {
+      create: async (args) => {
+        flags.push(args.data);
+        return args.data;
+      },
+    },
+    refund: {
+      aggregate: async () => ({ _sum: { amount: null } }),
+      create: async (args) => ({ id: 'refund_1', ...args.data }),
+      update: async (args) => ({ id: 'refund_1', ...args.data }),
+    },
+    $transaction: transactionStub(orderUpdates, []),
+  }, async () => {
+    const req = { params: { id: 'order_1' }, body: {}, user: { id: 'user_123', role: 'CUSTOMER' } };
+    const res = mockResponse();
+
+    await cancelOrder(req, res);
+
+    assert.equal(res.statusCode, 502);
+  });
+
+  assert.equal(orderUpdates[0].data.status, 'cancelled');
+  assert.equal(flags.length, 1);
+  assert.match(flags[0].note, /Refund failed: card_declined/);
+});
+
+test('updateOrderStatus rejects transitions outside the order lifecycle', async () => {
+  const { updateOrderStatus } = await import('../controllers/orderController.js');
+
+  await withPrismaStubs({
+    order: { findUnique: async () => ({ id: 'order_1', status: 'delivered' }) },
+    $transaction: async () => {
+      throw new Error('Invalid transitions must not open a transaction');
+    },
+  }, async () => {
+    const req = { params: { id: 'order_1' }, body: { status: 'pending' }, user: { id: 'admin_1', role: 'ADMIN' } };
+    const res = mockResponse();
+
+    await updateOrderStatus(req, res);
+
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(res.body.allowedStatuses, ['returned']);
+  });
+});
+
+test('updateOrderStatus records the transition as an order event', async () => {
+  const { updateOrderStatus } = await import('../controllers/orderController.js');
+  const orderUpdates = [];
+  const events = [];
+
+  await withPrismaStubs({
+    order: { findUnique: async () => ({ id: 'order_1', status: 'confirmed' }) },
+    $transaction: transactionStub(orderUpdates, [], events),
+  }, async () => {
+    const req = { params: { id: 'order_1' }, body: { status: 'processing', note: 'Packed' }, user: { id: 'admin_1', role: 'ADMIN' } };
+    const res = mockResponse();
+
+    await updateOrderStatus(req, res);
+
+    assert.equal(res.statusCode, 200);
+  });
+
+  assert.deepEqual(orderUpdates[0].where, { id: 'order_1', status: 'confirmed' });
+  assert.deepEqual(events, [{
+    orderId: 'order_1',
+    fromStatus: 'confirmed',
+    toStatus: 'processing',
+    actorId: 'admin_1',
+    note: 'Packed',
+  }]);
+});
+
+// In-memory product table whose conditional updates behave like row-level
+// UPDATE ... WHERE stock >= n, with rollback when the transaction callback throws
+const inMemoryInventory = (products) => {
+  const stock = new Map(products.map(p => [p.id, p.stock]));
+  const ledger = [];
+  let orderCount = 0;
+
+  const $transaction = async (fn) => {
+    const undo = [];
+    const tx = {
+      product: {
+        updateMany: async ({ where, data }) => {
+          await new Promise(resolve => setImmediate(resolve));
+          const current = stock.get(where.id);
+          if (current === undefined || current < where.stock.gte) {
+            return { count: 0 };
+          }
+          stock.set(where.id, current - data.stock.decrement);
+          undo.push(() => stock.set(where.id, stock.get(where.id) + data.stock.decrement));
+          return { count: 1 };
+        },
+        findUnique: async ({ where }) => ({ stock: stock.get(where.id) }),
+      },
+      order: {
+        create: async ({ data }) => {
+          orderCount += 1;
+          return { id: `order_${orderCount}`, ...data };
+        },
+      },
+      orderEvent: {
+        create: async ({ data }) => data,
+      },
+      inventoryMovement: {
+        createMany: async ({ data }) => {
+          ledger.push(...data);
+          return { count: data.length };
+        },
+      },
+    };
+
+    try {
+      return await fn(tx);
+    } catch (error) {
+      undo.reverse().forEach(revert => revert());
+      throw error;
+    }
+  };
+
+  return { stock, ledger, $transaction };
+};
+
+test('createOrder never oversells when parallel checkouts race for the last unit', async () => {
+  const { createOrder } = await import('../controllers/orderController.js');
+  const product = { id: 'prod_last', name: 'Brass Lamp', price: '80.00', stock: 1 };
+  const inventory = inMemoryInventory([product]);
+
+  await withPrismaStubs({
+    product: { findMany: async () => [{ ...product }] },
+    shippingRule: {
+      findMany: async () => [{ id: 'rule_std', name: 'Standard', method: 'standard', basis: 'flat', baseRate: '100', countries: [], regions: [] }],
+    },
+    taxRate: { findMany: async () => [] },
+    $transaction: inventory.$transaction,
+  }, async () => {
+    const responses = await Promise.all(Array.from({ length: 5 }, async (_, index) => {
+      const req = {
+        body: { items: [{ product: 'prod_last', quantity: 1 }] },
+        user: { id: `user_${index}`, role: 'CUSTOMER' },
+      };
+      const res = mockResponse();
+      await createOrder(req, res);
+      return res;
+    }));
+
+    const created = responses.filter(res => res.statusCode === 201);
+    const conflicts = responses.filter(res => res.statusCode === 409);
+
+    assert.equal(created.length, 1);
+    assert.equal(conflicts.length, 4);
+    assert.deepEqual(conflicts[0].body.products, [
+      { id: 'prod_last', name: 'Brass Lamp', requested: 1, available: 0 },
+    ]);
+  });
+
+  assert.equal(inventory.stock.get('prod_last'), 0);
+  assert.equal(inventory.ledger.length, 1);
+  assert.equal(inventory.ledger[0].reason, 'sale');
+  assert.equal(inventory.ledger[0].delta, -1);
+  assert.equal(inventory.ledger[0].stockAfter, 0);
+  assert.match(inventory.ledger[0].orderId, /^order_/);
+});
+
+test('quoteOrder previews the same totals createOrder charges without writing anything', async () => {
+  const { quoteOrder, createOrder } = await import('../controllers/orderController.js');
+  const lamp = { id: 'prod_lamp', name: 'Brass Lamp', category: 'Lighting', price: '450.00', weight: '2', stock: 1 };
+  const payload = {
+    items: [{ product: 'prod_lamp', quantity: 2 }],
+    shippingAddress: { country: 'BD', state: 'Dhaka' },
+    shippingMethod: 'express',
+  };
+  const pricingStubs = {
+    product: { findMany: async () => [{ ...lamp }] },
+    shippingRule: {
+      findMany: async () => [
+        { id: 'rule_std', name: 'Standard', method: 'standard', basis: 'flat', baseRate: '100', countries: [], regions: [] },
+        { id: 'rule_exp', name: 'Express', method: 'express', basis: 'weight', baseRate: '150', perUnitRate: '25', countries: ['BD'], regions: [] },
+      ],
+    },
+    taxRate: {
+      findMany: async () => [{ id: 'rate_bd', country: 'BD', region: null, rate: '0.05', inclusive: false, exemptCategoryIds: [] }],
+    },
+  };
+
+  const quoteRes = mockResponse();
+  await withPrismaStubs({
+    ...pricingStubs,
+    $transaction: async () => {
+      throw new Error('Quotes must not write');
+    },
+  }, async () => {
+    await quoteOrder({ body: payload, prismaUser: null }, quoteRes);
+  });
+
+  assert.equal(quoteRes.statusCode, 200);
+  assert.deepEqual(quoteRes.body.data.shippingMethods.map(option => option.method), ['standard', 'express']);
+  assert.deepEqual(quoteRes.body.data.stockWarnings, [
+    { id: 'prod_lamp', name: 'Brass Lamp', requested: 2, available: 1 },
+  ]);
+
+  let createdData;
+  const inventory = inMemoryInventory([{ ...lamp, stock: 5 }]);
+  await withPrismaStubs({
+    ...pricingStubs,
+    $transaction: async (fn) => inventory.$transaction(async (tx) => fn({
+      ...tx,
+      order: {
+        create: async ({ data }) => {
+          createdData = data;
+          return { id: 'order_1', ...data };
+        },
+      },
+    })),
+  }, async () => {
+    const res = mockResponse();
+    await createOrder({ body: payload, user: { id: 'user_1', role: 'CUSTOMER' } }, res);
+    assert.equal(res.statusCode, 201);
+  });
+
+  const quote = quoteRes.body.data;
+  assert.equal(quote.subtotal.toString(), '900');
+  assert.equal(quote.shippingCost.toString(), '250');
+  assert.equal(quote.tax.toString(), '45');
+  assert.equal(quote.total.toString(), '1195');
+  for (const field of ['subtotal', 'discount', 'shippingCost', 'tax', 'total']) {
+    assert.equal(createdData[field].toString(), quote[field].toString(), field);
+  }
+});
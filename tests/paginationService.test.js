@@ -0,0 +1,175 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Prisma } from '@prisma/client';
+import {
+  CursorError,
+  decodeCursor,
+  encodeCursor,
+  findManyByCursor,
+  findMergedByCursor,
+  findMergedPage,
+  isCursorRequest,
+  sliceIdsByCursor,
+} from '../services/paginationService.js';
+
+const createdAt = new Date('2026-01-01T00:00:00.000Z');
+
+test('cursor mode is opt-in', () => {
+  assert.equal(isCursorRequest({ page: '2' }), false);
+  assert.equal(isCursorRequest({ cursor: '' }), true);
+  assert.equal(isCursorRequest({ paginate: 'cursor' }), true);
+});
+
+test('cursors round-trip dates and reject other sorts or garbage', () => {
+  const cursor = encodeCursor({ field: 'createdAt', value: createdAt, id: 'o1', direction: 'next' });
+  const decoded = decodeCursor(cursor, 'createdAt');
+
+  assert.equal(decoded.value.getTime(), createdAt.getTime());
+  assert.equal(decoded.id, 'o1');
+  assert.equal(decodeCursor('', 'createdAt'), null);
+  assert.throws(() => decodeCursor(cursor, 'price'), CursorError);
+  assert.throws(() => decodeCursor('not-a-cursor', 'createdAt'), CursorError);
+});
+
+test('findManyByCursor seeks past the cursor with an id tiebreaker', async () => {
+  let args;
+  const model = {
+    findMany: async (query) => {
+      args = query;
+      return [
+        { id: 'o3', createdAt },
+        { id: 'o2', createdAt },
+        { id: 'o1', createdAt },
+      ];
+    },
+  };
+  const cursor = encodeCursor({ field: 'createdAt', value: createdAt, id: 'o4', direction: 'next' });
+
+  const { items, pagination } = await findManyByCursor(model, { where: { userId: 'u1' }, cursor, limit: 2 });
+
+  assert.deepEqual(args.orderBy, [{ createdAt: 'desc' }, { id: 'desc' }]);
+  assert.equal(args.take, 3);
+  assert.deepEqual(args.where.AND[1].OR[1], { createdAt, id: { lt: 'o4' } });
+  assert.deepEqual(items.map(item => item.id), ['o3', 'o2']);
+  assert.equal(pagination.hasNext, true);
+  assert.equal(pagination.hasPrev, true);
+  assert.equal(decodeCursor(pagination.nextCursor, 'createdAt').id, 'o2');
+  assert.equal(decodeCursor(pagination.prevCursor, 'createdAt').direction, 'prev');
+});
+
+test('findManyByCursor walks backwards and restores the order', async () => {
+  let args;
+  const model = {
+    findMany: async (query) => {
+      args = query;
+      return [{ id: 'o5', createdAt }, { id: 'o6', createdAt }];
+    },
+  };
+  const cursor = encodeCursor({ field: 'createdAt', value: createdAt, id: 'o4', direction: 'prev' });
+
+  const { items, pagination } = await findManyByCursor(model, { cursor, limit: 2 });
+
+  assert.deepEqual(args.orderBy, [{ createdAt: 'asc' }, { id: 'asc' }]);
+  assert.deepEqual(args.where.AND[1].OR[1], { createdAt, id: { gt: 'o4' } });
+  assert.deepEqual(items.map(item => item.id), ['o6', 'o5']);
+  assert.equal(pagination.hasNext, true);
+  assert.equal(pagination.hasPrev, false);
+  assert.equal(pagination.prevCursor, null);
+});
+
+test('sliceIdsByCursor pages through a ranked id list', () => {
+  const ids = ['a', 'b', 'c', 'd', 'e'];
+  const first = sliceIdsByCursor(ids, { limit: 2 });
+  assert.deepEqual(first.ids, ['a', 'b']);
+  assert.equal(first.pagination.hasPrev, false);
+
+  const second = sliceIdsByCursor(ids, { cursor: first.pagination.nextCursor, limit: 2 });
+  assert.deepEqual(second.ids, ['c', 'd']);
+
+  const back = sliceIdsByCursor(ids, { cursor: second.pagination.prevCursor, limit: 2 });
+  assert.deepEqual(back.ids, ['a', 'b']);
+  assert.equal(back.pagination.hasPrev, false);
+
+  assert.throws(
+    () => sliceIdsByCursor(['x'], { cursor: first.pagination.nextCursor, limit: 2 }),
+    CursorError
+  );
+});
+
+// Products on sale keep their sale price in salePrice, the rest are sorted on price
+const onSale = [
+  { id: 'p_sale_low', salePrice: new Prisma.Decimal('400.00') },
+  { id: 'p_sale_high', salePrice: new Prisma.Decimal('900.00') },
+];
+const regular = [
+  { id: 'p_cheap', price: new Prisma.Decimal('100.00') },
+  { id: 'p_mid', price: new Prisma.Decimal('450.00') },
+  { id: 'p_dear', price: new Prisma.Decimal('600.00') },
+];
+const priceSources = [
+  { where: { half: 'sale' }, field: 'salePrice' },
+  { where: { half: 'regular' }, field: 'price' },
+];
+
+// Answers each source from its own list, sorted and limited the way the database would
+const mergedModel = (queries) => ({
+  findMany: async (query) => {
+    queries.push(query);
+    const [[field, direction]] = Object.entries(query.orderBy[0]);
+    const rows = (field === 'salePrice' ? onSale : regular)
+      .slice()
+      .sort((a, b) => (direction === 'asc' ? 1 : -1) * (Number(a[field]) - Number(b[field])));
+    return rows.slice(0, query.take);
+  },
+});
+
+test('findMergedPage orders rows by the value each source sorts on', async () => {
+  const queries = [];
+  const model = mergedModel(queries);
+
+  assert.deepEqual(
+    await findMergedPage(model, { sources: priceSources, direction: 'asc', skip: 0, take: 3 }),
+    ['p_cheap', 'p_sale_low', 'p_mid']
+  );
+  assert.deepEqual(
+    await findMergedPage(model, { sources: priceSources, direction: 'desc', skip: 1, take: 2 }),
+    ['p_dear', 'p_mid']
+  );
+
+  // Each source reads no more than the rows that can reach the page, sorted in the database
+  assert.deepEqual(queries[2].orderBy, [{ salePrice: 'desc' }, { id: 'desc' }]);
+  assert.equal(queries[2].take, 3);
+  assert.deepEqual(queries[2].select, { id: true, salePrice: true });
+});
+
+test('findMergedByCursor seeks each source past the merged cursor value', async () => {
+  const queries = [];
+  const { ids, pagination } = await findMergedByCursor(mergedModel(queries), {
+    sources: priceSources,
+    field: 'price',
+    direction: 'asc',
+    limit: 2,
+  });
+
+  assert.deepEqual(ids, ['p_cheap', 'p_sale_low']);
+  assert.equal(pagination.hasNext, true);
+  const next = decodeCursor(pagination.nextCursor, 'price');
+  assert.equal(next.value.toString(), '400');
+  assert.equal(next.id, 'p_sale_low');
+
+  queries.length = 0;
+  await findMergedByCursor(mergedModel(queries), {
+    sources: priceSources,
+    field: 'price',
+    direction: 'asc',
+    cursor: pagination.nextCursor,
+    limit: 2,
+  });
+
+  const [saleQuery, regularQuery] = queries;
+  assert.deepEqual(saleQuery.where.AND[0], { half: 'sale' });
+  assert.equal(saleQuery.where.AND[1].OR[0].salePrice.gt.toString(), '400');
+  assert.deepEqual(saleQuery.where.AND[1].OR[1].id, { gt: 'p_sale_low' });
+  assert.equal(regularQuery.where.AND[1].OR[0].price.gt.toString(), '400');
+  assert.equal(regularQuery.take, 3);
+});
@@ -0,0 +1,285 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import prisma from '../config/db.js';
+import { setStripeClient } from '../config/stripe.js';
+
+const mockResponse = () => {
+  const res = {};
+  res.statusCode = 200;
+  res.body = null;
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (payload) => {
+    res.body = payload;
+    return res;
+  };
+  return res;
+};
+
+const baseOrder = {
+  id: 'order_1',
+  orderNumber: 'ORD-1',
+  userId: 'user_123',
+  status: 'pending',
+  paymentStatus: 'pending',
+  paymentIntentId: null,
+  total: '1050.50',
+};
+
+const withOrderStubs = async (order, fn) => {
+  const originalFindUnique = prisma.order.findUnique;
+  const originalUpdate = prisma.order.update;
+  const updates = [];
+  prisma.order.findUnique = async () => order;
+  prisma.order.update = async (args) => {
+    updates.push(args);
+    return { ...order, ...args.data };
+  };
+
+  try {
+    await fn(updates);
+  } finally {
+    prisma.order.findUnique = originalFindUnique;
+    prisma.order.update = originalUpdate;
+    setStripeClient(null);
+  }
+};
+
+test('createPaymentIntent creates an intent for the server-computed total and records it', async () => {
+  const { createPaymentIntent } = await import('../controllers/paymentController.js');
+  const created = [];
+  setStripeClient({
+    paymentIntents: {
+      create: async (params, options) => {
+        created.push({ params, options });
+        return { id: 'pi_1', client_secret: 'pi_1_secret', amount: params.amount, currency: params.currency, status: 'requires_payment_method' };
+      },
+    },
+  });
+
+  await withOrderStubs(baseOrder, async (updates) => {
+    const req = { body: { orderId: 'order_1', amount: 1 }, prismaUser: { id: 'user_123' } };
+    const res = mockResponse();
+
+    await createPaymentIntent(req, res);
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(created.length, 1);
+    assert.equal(created[0].params.amount, 105050);
+    assert.equal(created[0].params.metadata.orderId, 'order_1');
+    assert.ok(created[0].options.idempotencyKey);
+    assert.deepEqual(updates[0], { where: { id: 'order_1' }, data: { paymentIntentId: 'pi_1' } });
+    assert.equal(res.body.data.clientSecret, 'pi_1_secret');
+  });
+});
+
+test('createPaymentIntent reuses an open intent and updates a stale amount', async () => {
+  const { createPaymentIntent } = await import('../controllers/paymentController.js');
+  const calls = [];
+  setStripeClient({
+    paymentIntents: {
+      retrieve: async (id) => ({ id, client_secret: 'pi_old_secret', amount: 500, currency: 'usd', status: 'requires_payment_method' }),
+      update: async (id, params) => {
+        calls.push(['update', id, params]);
+        return { id, client_secret: 'pi_old_secret', amount: params.amount, currency: params.currency, status: 'requires_payment_method' };
+      },
+      create: async () => {
+        calls.push(['create']);
+        throw new Error('create should not be called when an intent can be reused');
+      },
+    },
+  });
+
+  await withOrderStubs({ ...baseOrder, paymentIntentId: 'pi_old' }, async (updates) => {
+    const req = { body: { orderId: 'order_1' }, prismaUser: { id: 'user_123' } };
+    const res = mockResponse();
+
+    await createPaymentIntent(req, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(calls, [['update', 'pi_old', { amount: 105050, currency: 'usd' }]]);
+    assert.equal(updates.length, 0);
+    assert.equal(res.body.data.paymentIntentId, 'pi_old');
+  });
+});
+
+test('createPaymentIntent rejects orders owned by another user', async () => {
+  const { createPaymentIntent } = await import('../controllers/paymentController.js');
+  setStripeClient({
+    paymentIntents: {
+      create: async () => {
+        throw new Error('Stripe should not be called');
+      },
+    },
+  });
+
+  await withOrderStubs(baseOrder, async () => {
+    const req = { body: { orderId: 'order_1' }, prismaUser: { id: 'someone_else' } };
+    const res = mockResponse();
+
+    await createPaymentIntent(req, res);
+
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.success, false);
+  });
+});
+
+test('createPaymentIntent refuses orders that were paid, including refunded ones', async () => {
+  const { createPaymentIntent } = await import('../controllers/paymentController.js');
+
+  for (const paymentStatus of ['paid', 'partially_refunded', 'refunded']) {
+    setStripeClient({
+      paymentIntents: {
+        create: async () => {
+          throw new Error('Stripe should not be called');
+        },
+      },
+    });
+
+    await withOrderStubs({ ...baseOrder, paymentStatus, paymentIntentId: 'pi_paid' }, async () => {
+      const req = { body: { orderId: 'order_1' }, prismaUser: { id: 'user_123' } };
+      const res = mockResponse();
+
+      await createPaymentIntent(req, res);
+
+      assert.equal(res.statusCode, 400, paymentStatus);
+      assert.equal(res.body.message, 'Order has already been paid');
+    });
+  }
+});
+
+const withWebhookSecret = async (fn) => {
+  const originalSecret = process.env.STRIPE_WEBHOOK_SECRET;
+  process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test';
+  try {
+    await fn();
+  } finally {
+    if (originalSecret === undefined) {
+      delete process.env.STRIPE_WEBHOOK_SECRET;
+    } else {
+      process.env.STRIPE_WEBHOOK_SECRET = originalSecret;
+    }
+    setStripeClient(null);
+  }
+};
+
+const stubWebhookEvent = (event) => {
+  setStripeClient({
+    webhooks: {
+      constructEvent: (payload, signature, secret) => {
+        if (signature !== 'valid' || secret !== 'whsec_test') {
+          throw new Error('No signatures found matching the expected signature');
+        }
+        return event;
+      },
+    },
+  });
+};
+
+test('handleStripeWebhook rejects payloads with an invalid signature', async () => {
+  const { handleStripeWebhook } = await import('../controllers/paymentController.js');
+
+  await withWebhookSecret(async () => {
+    stubWebhookEvent({ type: 'payment_intent.succeeded', data: { object: {} } });
+    const req = { headers: { 'stripe-signature': 'forged' }, body: Buffer.from('{}') };
+    const res = mockResponse();
+
+    await handleStripeWebhook(req, res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.message, 'Invalid webhook signature');
+  });
+});
+
+test('handleStripeWebhook marks the order paid only from an unpaid status', async () => {
+  const { handleStripeWebhook } = await import('../controllers/paymentController.js');
+  const originalFindFirst = prisma.order.findFirst;
+  const originalUpdateMany = prisma.order.updateMany;
+  const updateCalls = [];
+  prisma.order.findFirst = async () => ({ ...baseOrder, paymentIntentId: 'pi_1' });
+  prisma.order.updateMany = async (args) => {
+    updateCalls.push(args);
+    // Simulate a replayed delivery: the first call transitions, the second matches nothing
+    return { count: updateCalls.length === 1 ? 1 : 0 };
+  };
+
+  try {
+    await withWebhookSecret(async () => {
+      for (let i = 0; i < 2; i++) {
+        stubWebhookEvent({
+          type: 'payment_intent.succeeded',
+          data: { object: { id: 'pi_1', amount_received: 105050, metadata: { orderId: 'order_1' } } },
+        });
+        const req = { headers: { 'stripe-signature': 'valid' }, body: Buffer.from('{}') };
+        const res = mockResponse();
+
+        await handleStripeWebhook(req, res);
+
+        assert.equal(res.statusCode, 200);
+      }
+    });
+  } finally {
+    prisma.order.findFirst = originalFindFirst;
+    prisma.order.updateMany = originalUpdateMany;
+  }
+
+  assert.equal(updateCalls.length, 2);
+  assert.deepEqual(updateCalls[0], {
+    where: { id: 'order_1', paymentStatus: { in: ['pending', 'failed'] } },
+    data: { paymentStatus: 'paid' },
+  });
+});
+
+test('handleStripeWebhook records a failed refund and restores the payment status', async () => {
+  const { handleStripeWebhook } = await import('../controllers/paymentController.js');
+  const originals = {
+    refundFindFirst: prisma.refund.findFirst,
+    refundUpdateMany: prisma.refund.updateMany,
+    refundAggregate: prisma.refund.aggregate,
+    orderFindUnique: prisma.order.findUnique,
+    orderUpdateMany: prisma.order.updateMany,
+  };
+  const refundUpdates = [];
+  const orderUpdates = [];
+  prisma.refund.findFirst = async () => ({ id: 'refund_1', orderId: 'order_1', status: 'pending' });
+  prisma.refund.updateMany = async (args) => {
+    refundUpdates.push(args);
+    return { count: 1 };
+  };
+  // The failed refund no longer counts, so nothing is refunded
+  prisma.refund.aggregate = async () => ({ _sum: { amount: null } });
+  prisma.order.findUnique = async () => ({ ...baseOrder, paymentStatus: 'refunded' });
+  prisma.order.updateMany = async (args) => {
+    orderUpdates.push(args);
+    return { count: 1 };
+  };
+
+  try {
+    await withWebhookSecret(async () => {
+      stubWebhookEvent({
+        type: 'refund.updated',
+        data: { object: { id: 're_1', status: 'failed', failure_reason: 'expired_or_canceled_card', metadata: { refundId: 'refund_1' } } },
+      });
+      const req = { headers: { 'stripe-signature': 'valid' }, body: Buffer.from('{}') };
+      const res = mockResponse();
+
+      await handleStripeWebhook(req, res);
+
+      assert.equal(res.statusCode, 200);
+    });
+  } finally {
+    prisma.refund.findFirst = originals.refundFindFirst;
+    prisma.refund.updateMany = originals.refundUpdateMany;
+    prisma.refund.aggregate = originals.refundAggregate;
+    prisma.order.findUnique = originals.orderFindUnique;
+    prisma.order.updateMany = originals.orderUpdateMany;
+  }
+
+  assert.deepEqual(refundUpdates[0], {
+    where: { id: 'refund_1', status: { not: 'failed' } },
+    data: { providerRefundId: 're_1', status: 'failed', failureReason: 'expired_or_canceled_card' },
+  });
+  assert.equal(orderUpdates[0].data.paymentStatus, 'paid');
+});
@@ -0,0 +1,167 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import prisma from '../config/db.js';
+
+const mockResponse = () => {
+  const res = {};
+  res.statusCode = 200;
+  res.body = null;
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (payload) => {
+    res.body = payload;
+    return res;
+  };
+  return res;
+};
+
+// Replace prisma model methods for the duration of fn and restore them afterwards
+const withPrismaStubs = async (stubs, fn) => {
+  const originals = [];
+  for (const [model, methods] of Object.entries(stubs)) {
+    if (typeof methods === 'function') {
+      originals.push([prisma, model, prisma[model]]);
+      prisma[model] = methods;
+      continue;
+    }
+    prisma[model] = prisma[model] || {};
+    for (const [name, impl] of Object.entries(methods)) {
+      originals.push([prisma[model], name, prisma[model][name]]);
+      prisma[model][name] = impl;
+    }
+  }
+
+  try {
+    await fn();
+  } finally {
+    for (const [target, key, original] of originals.reverse()) {
+      target[key] = original;
+    }
+  }
+};
+
+test('deleteProduct archives the product instead of deleting it', async () => {
+  const { deleteProduct } = await import('../controllers/productController.js');
+  let update;
+
+  await withPrismaStubs({
+    product: {
+      updateMany: async (args) => {
+        update = args;
+        return { count: 1 };
+      },
+      delete: async () => {
+        throw new Error('delete should not be called');
+      },
+    },
+  }, async () => {
+    const res = mockResponse();
+    await deleteProduct({ params: { id: 'prod_1' }, user: { id: 'admin_1' } }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.message, 'Product archived successfully');
+  });
+
+  assert.deepEqual(update.where, { id: 'prod_1', deletedAt: null });
+  assert.ok(update.data.deletedAt instanceof Date);
+});
+
+test('getProduct hides archived products from customers but not admins', async () => {
+  const { getProduct } = await import('../controllers/productController.js');
+  const archived = { id: 'prod_1', name: 'Lamp', price: '120.00', deletedAt: new Date(), reviews: [] };
+
+  await withPrismaStubs({
+    product: { findUnique: async () => archived },
+  }, async () => {
+    const customer = mockResponse();
+    await getProduct({ params: { id: 'prod_1' }, user: { role: 'CUSTOMER' } }, customer);
+    assert.equal(customer.statusCode, 404);
+
+    const admin = mockResponse();
+    await getProduct({ params: { id: 'prod_1' }, user: { role: 'ADMIN' } }, admin);
+    assert.equal(admin.statusCode, 200);
+    assert.equal(admin.body.data.id, 'prod_1');
+  });
+});
+
+test('purgeProduct refuses products that orders still reference', async () => {
+  const { purgeProduct } = await import('../controllers/productController.js');
+
+  await withPrismaStubs({
+    product: {
+      findUnique: async () => ({ id: 'prod_1' }),
+      delete: async () => {
+        throw new Error('delete should not be called');
+      },
+    },
+    orderItem: { count: async () => 2 },
+  }, async () => {
+    const res = mockResponse();
+    await purgeProduct({ params: { id: 'prod_1' }, user: { id: 'admin_1' } }, res);
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.success, false);
+  });
+});
+
+// Transaction client recording deleteMany calls per model; `failOn` makes that model's
+// deleteMany throw the given error
+const purgeTransaction = (calls, { failOn, error } = {}) => async (fn) => {
+  const model = (name) => ({
+    findMany: async () => (name === 'coupon' ? [{ id: 'coupon_1', productIds: ['prod_1', 'prod_2'] }] : []),
+    deleteMany: async () => {
+      if (name === failOn) throw error;
+      calls.push(`${name}.deleteMany`);
+      return { count: 0 };
+    },
+    update: async (args) => {
+      calls.push(`${name}.update:${args.data.productIds.join(',')}`);
+      return {};
+    },
+    delete: async () => {
+      calls.push(`${name}.delete`);
+      return {};
+    },
+  });
+  return fn(new Proxy({}, { get: (target, name) => model(name) }));
+};
+
+test('purgeProduct removes every dependent row before the product', async () => {
+  const { purgeProduct } = await import('../controllers/productController.js');
+  const calls = [];
+
+  await withPrismaStubs({
+    product: { findUnique: async () => ({ id: 'prod_1' }) },
+    orderItem: { count: async () => 0 },
+    $transaction: purgeTransaction(calls),
+  }, async () => {
+    const res = mockResponse();
+    await purgeProduct({ params: { id: 'prod_1' }, user: { id: 'admin_1' } }, res);
+
+    assert.equal(res.statusCode, 200);
+  });
+
+  for (const model of ['review', 'cartItem', 'stockSubscription', 'inventoryMovement', 'productVariant', 'productOption']) {
+    assert.ok(calls.includes(`${model}.deleteMany`), `${model} rows are deleted`);
+  }
+  assert.ok(calls.includes('coupon.update:prod_2'));
+  assert.equal(calls.at(-1), 'product.delete');
+});
+
+test('purgeProduct only blames orders for a foreign key failure when an order exists', async () => {
+  const { purgeProduct } = await import('../controllers/productController.js');
+  const error = Object.assign(new Error('Foreign key constraint failed'), { code: 'P2003' });
+
+  await withPrismaStubs({
+    product: { findUnique: async () => ({ id: 'prod_1' }) },
+    orderItem: { count: async () => 0 },
+    $transaction: purgeTransaction([], { failOn: 'productOption', error }),
+  }, async () => {
+    await assert.rejects(
+      purgeProduct({ params: { id: 'prod_1' }, user: { id: 'admin_1' } }, mockResponse()),
+      thrown => thrown === error
+    );
+  });
+});
@@ -0,0 +1,146 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import prisma from '../config/db.js';
+import {
+  buildProductFilters,
+  combineFilters,
+  countProductFacets,
+  parseOptionFilter,
+} from '../services/productFilterService.js';
+
+const withPrismaStubs = async (stubs, fn) => {
+  const originals = {};
+  for (const [model, methods] of Object.entries(stubs)) {
+    originals[model] = prisma[model];
+    prisma[model] = { ...prisma[model], ...methods };
+  }
+  try {
+    await fn();
+  } finally {
+    Object.assign(prisma, originals);
+  }
+};
+
+test('parseOptionFilter reads name:value pairs and skips incomplete ones', () => {
+  assert.deepEqual(parseOptionFilter('Size:Large, Finish:Brass,Color'), {
+    Size: 'Large',
+    Finish: 'Brass',
+  });
+  assert.deepEqual(parseOptionFilter(undefined), {});
+});
+
+const categories = [
+  { id: 'cat_lighting', name: 'Lighting', slug: 'lighting', parentId: null, sortOrder: 0 },
+  { id: 'cat_lamps', name: 'Lamps', slug: 'lamps', parentId: 'cat_lighting', sortOrder: 0 },
+  { id: 'cat_decor', name: 'Decor', slug: 'decor', parentId: null, sortOrder: 1 },
+];
+
+const categoryStub = { findMany: async () => categories };
+
+test('category filter includes subcategories', async () => {
+  await withPrismaStubs({ category: categoryStub }, async () => {
+    const { clauses } = await buildProductFilters({ category: 'lighting' });
+    assert.deepEqual(clauses.category, { categoryId: { in: ['cat_lighting', 'cat_lamps'] } });
+
+    const unknown = await buildProductFilters({ category: 'garden' });
+    assert.deepEqual(unknown.clauses.category, { categoryId: { in: [] } });
+  });
+});
+
+test('invalid price and rating parameters are ignored', async () => {
+  const { clauses } = await buildProductFilters({ minPrice: 'abc', maxPrice: '-5', minRating: 'x' });
+  assert.equal(clauses.price, undefined);
+  assert.equal(clauses.rating, undefined);
+
+  const valid = await buildProductFilters({ minPrice: 'abc', maxPrice: '500' });
+  const regular = valid.clauses.price.OR[1];
+  assert.equal(regular.AND[1].price.gte, undefined);
+  assert.equal(regular.AND[1].price.lte.toString(), '500');
+});
+
+test('price filter compares the sale price while a sale runs', async () => {
+  const { clauses } = await buildProductFilters({ minPrice: '100', maxPrice: '500' });
+  const [onSale, regular] = clauses.price.OR;
+
+  assert.equal(onSale.AND[0].salePrice.not, null);
+  assert.deepEqual(Object.keys(onSale.AND[1]), ['salePrice']);
+  assert.equal(onSale.AND[1].salePrice.gte.toString(), '100');
+  assert.equal(onSale.AND[1].salePrice.lte.toString(), '500');
+  assert.equal(regular.AND[0].NOT.salePrice.not, null);
+  assert.deepEqual(Object.keys(regular.AND[1]), ['price']);
+});
+
+test('combineFilters leaves out the excluded facet only', async () => {
+  await withPrismaStubs({ category: categoryStub }, async () => {
+    const { clauses } = await buildProductFilters({
+      category: 'lighting',
+      minRating: '4',
+      options: 'Size:Large',
+    });
+
+    assert.deepEqual(combineFilters(clauses, 'category').AND, [
+      { isActive: true, deletedAt: null },
+      { ratingAverage: { gte: 4 } },
+      clauses.options,
+    ]);
+    assert.equal(combineFilters(clauses).AND.length, 4);
+  });
+});
+
+test('each facet is counted without its own filter', async () => {
+  let clauses;
+  await withPrismaStubs({ category: categoryStub }, async () => {
+    ({ clauses } = await buildProductFilters({ category: 'lighting', options: 'Size:Large' }));
+  });
+  const countWheres = [];
+  let groupByWhere;
+  let variantWhere;
+
+  await withPrismaStubs({
+    category: categoryStub,
+    product: {
+      groupBy: async ({ where }) => {
+        groupByWhere = where;
+        return [
+          { categoryId: 'cat_lighting', _count: { _all: 1 } },
+          { categoryId: 'cat_lamps', _count: { _all: 2 } },
+          { categoryId: 'cat_decor', _count: { _all: 5 } },
+        ];
+      },
+      count: async ({ where }) => {
+        countWheres.push(where);
+        return 2;
+      },
+    },
+    productVariant: {
+      findMany: async ({ where }) => {
+        variantWhere = where.product;
+        return [
+          { productId: 'p1', options: { Size: 'Large' } },
+          { productId: 'p1', options: { Size: 'Small' } },
+          { productId: 'p2', options: { Size: 'Large' } },
+        ];
+      },
+    },
+  }, async () => {
+    const facets = await countProductFacets(clauses);
+
+    assert.deepEqual(facets.categories.map(node => [node.slug, node.productCount]), [
+      ['lighting', 3],
+      ['decor', 5],
+    ]);
+    assert.equal(facets.categories[0].children[0].productCount, 2);
+    assert.deepEqual(facets.options.Size, [
+      { value: 'Large', count: 2 },
+      { value: 'Small', count: 1 },
+    ]);
+    assert.equal(facets.priceRanges.length, 4);
+    assert.equal(facets.ratings[0].minRating, 4);
+  });
+
+  assert.ok(!groupByWhere.AND.includes(clauses.category));
+  assert.ok(groupByWhere.AND.includes(clauses.options));
+  assert.ok(!variantWhere.AND.includes(clauses.options));
+  assert.ok(variantWhere.AND.includes(clauses.category));
+  countWheres.forEach(where => assert.ok(where.AND[0].AND.includes(clauses.category)));
+});
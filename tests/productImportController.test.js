@@ -0,0 +1,84 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import prisma from '../config/db.js';
+
+// Writable-like response whose buffer reports full on every write until drained
+const streamingResponse = () => {
+  const res = new EventEmitter();
+  res.chunks = [];
+  res.headers = {};
+  res.destroyed = false;
+  res.ended = false;
+  res.setHeader = (name, value) => {
+    res.headers[name] = value;
+  };
+  res.write = (chunk) => {
+    res.chunks.push(chunk);
+    setImmediate(() => res.emit('drain'));
+    return false;
+  };
+  res.end = () => {
+    res.ended = true;
+  };
+  res.destroy = (error) => {
+    res.destroyed = true;
+    res.destroyError = error;
+    res.emit('close');
+  };
+  res.status = () => res;
+  res.json = () => {
+    throw new Error('No JSON response once the CSV has started');
+  };
+  return res;
+};
+
+const product = (id) => ({ id, name: `Product ${id}`, slug: id, price: '10', stock: 1, variants: [] });
+
+test('exportProducts waits for drain between batches and ends the download', async () => {
+  const { exportProducts } = await import('../controllers/productImportController.js');
+  const original = prisma.product;
+  prisma.product = { findMany: async () => [product('prod_1'), product('prod_2')] };
+
+  const res = streamingResponse();
+  try {
+    await exportProducts({ query: {} }, res, error => assert.fail(error));
+  } finally {
+    prisma.product = original;
+  }
+
+  assert.equal(res.chunks.length, 2);
+  assert.match(res.chunks[1], /prod_1[\s\S]*prod_2/);
+  assert.equal(res.ended, true);
+});
+
+test('exportProducts destroys the response when a later batch fails', async () => {
+  const { exportProducts } = await import('../controllers/productImportController.js');
+  const original = prisma.product;
+  let calls = 0;
+  prisma.product = {
+    findMany: async () => {
+      calls += 1;
+      if (calls > 1) throw new Error('connection lost');
+      return Array.from({ length: 200 }, (_, index) => product(`prod_${index}`));
+    },
+  };
+
+  const res = streamingResponse();
+  const originalError = console.error;
+  console.error = () => {};
+  let forwarded = null;
+  try {
+    await exportProducts({ query: {} }, res, error => {
+      forwarded = error;
+    });
+  } finally {
+    console.error = originalError;
+    prisma.product = original;
+  }
+
+  assert.equal(forwarded, null);
+  assert.equal(res.destroyed, true);
+  assert.equal(res.destroyError.message, 'connection lost');
+  assert.equal(res.ended, false);
+});
@@ -0,0 +1,94 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv } from '../services/csvService.js';
+import {
+  PRODUCT_CSV_COLUMNS,
+  buildImportResultCsv,
+  groupImportRecords,
+  parseImportRecord,
+  productToCsvRows,
+  summarizeImport,
+} from '../services/productImportService.js';
+
+test('parseImportRecord validates cells and skips empty ones', () => {
+  const parsed = parseImportRecord({
+    row: 4,
+    values: {
+      slug: 'brass-lamp',
+      sku: 'LAMP-L',
+      name: 'Brass Lamp',
+      price: '-3',
+      stock: '2.5',
+      isActive: 'maybe',
+      options: 'Size:Large|Finish:Brass',
+      description: '',
+    },
+  });
+
+  assert.equal(parsed.row, 4);
+  assert.deepEqual(parsed.fields.options, { Size: 'Large', Finish: 'Brass' });
+  assert.equal(parsed.fields.description, undefined);
+  assert.deepEqual(parsed.errors, [
+    'price must be a non-negative number',
+    'stock must be a non-negative integer',
+    'isActive must be true or false',
+  ]);
+});
+
+test('groupImportRecords groups variant rows by slug, then by sku', () => {
+  const groups = groupImportRecords([
+    { row: 2, fields: { slug: 'lamp', sku: 'LAMP-S' }, errors: [] },
+    { row: 3, fields: { slug: 'lamp', sku: 'LAMP-L' }, errors: [] },
+    { row: 4, fields: { sku: 'VASE-1' }, errors: [] },
+    { row: 5, fields: { name: 'Rug' }, errors: [] },
+  ]);
+
+  assert.deepEqual(groups.map(group => group.map(record => record.row)), [[2, 3], [4], [5]]);
+});
+
+test('productToCsvRows writes one row per active variant', () => {
+  const rows = productToCsvRows({
+    slug: 'lamp',
+    name: 'Lamp',
+    price: '100',
+    stock: 3,
+    images: ['a.jpg', 'b.jpg'],
+    isActive: true,
+    isFeatured: false,
+    variants: [
+      { sku: 'LAMP-S', price: null, stock: 1, images: [], options: { Size: 'Small' }, isActive: true },
+      { sku: 'LAMP-X', price: null, stock: 0, images: [], options: { Size: 'XL' }, isActive: false },
+    ],
+  });
+
+  assert.equal(rows.length, 1);
+  const row = Object.fromEntries(PRODUCT_CSV_COLUMNS.map((column, index) => [column, rows[0][index]]));
+  assert.equal(row.sku, 'LAMP-S');
+  assert.equal(row.options, 'Size:Small');
+  assert.equal(row.images, 'a.jpg|b.jpg');
+  assert.equal(row.stock, 1);
+});
+
+test('summary counts products and the result file annotates every row', () => {
+  const results = [
+    { row: 2, productRow: 2, status: 'created', slug: 'lamp', message: null },
+    { row: 3, productRow: 2, status: 'created', slug: 'lamp', message: null },
+    { row: 4, productRow: 4, status: 'error', slug: null, message: 'name is required for new products' },
+  ];
+
+  assert.deepEqual(summarizeImport(results), {
+    dryRun: false,
+    totalRows: 3,
+    errorRows: 1,
+    created: 1,
+    updated: 0,
+    valid: 0,
+  });
+
+  const csv = buildImportResultCsv(['slug'], [
+    { row: 2, values: { slug: 'lamp' } },
+    { row: 3, values: { slug: 'lamp' } },
+    { row: 4, values: { slug: '' } },
+  ], results);
+  assert.deepEqual(parseCsv(csv)[3], ['', 'error', 'name is required for new products']);
+});
@@ -0,0 +1,53 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  accumulateBaskets,
+  blendRelated,
+  createAffinityCounts,
+  scoreAffinities,
+} from '../services/recommendationService.js';
+
+test('accumulateBaskets counts each product and pair once per order', () => {
+  const counts = accumulateBaskets(createAffinityCounts(), [
+    ['lamp', 'bulb', 'lamp'],
+    ['bulb', 'lamp', 'shade'],
+    ['vase'],
+  ]);
+
+  assert.equal(counts.products.get('lamp'), 2);
+  assert.equal(counts.products.get('vase'), 1);
+  assert.equal(counts.pairs.get('bulb|lamp'), 2);
+  assert.equal(counts.pairs.get('lamp|shade'), 1);
+});
+
+test('scoreAffinities drops rare pairs and stores both directions, strongest first', () => {
+  const counts = accumulateBaskets(createAffinityCounts(), [
+    ['lamp', 'bulb'],
+    ['lamp', 'bulb'],
+    ['lamp', 'shade'],
+    ['lamp', 'shade'],
+    ['shade'],
+    ['shade'],
+    ['lamp', 'vase'],
+  ]);
+
+  const rows = scoreAffinities(counts, { minCoPurchases: 2 });
+  const lamp = rows.filter(row => row.productId === 'lamp');
+
+  assert.deepEqual(lamp.map(row => row.relatedProductId), ['bulb', 'shade']);
+  assert.equal(lamp[0].coPurchaseCount, 2);
+  assert.ok(rows.some(row => row.productId === 'bulb' && row.relatedProductId === 'lamp'));
+  assert.ok(!rows.some(row => row.relatedProductId === 'vase'));
+});
+
+test('blendRelated favours co-purchases in the same category and falls back to category order', () => {
+  const ranked = blendRelated([
+    { relatedProductId: 'bulb', score: 0.9, sameCategory: false },
+    { relatedProductId: 'shade', score: 0.8, sameCategory: true },
+  ], ['desk-lamp', 'shade', 'floor-lamp'], 4);
+
+  assert.deepEqual(ranked, ['shade', 'bulb', 'desk-lamp', 'floor-lamp']);
+
+  // A new product has no co-purchase data yet
+  assert.deepEqual(blendRelated([], ['desk-lamp', 'floor-lamp'], 4), ['desk-lamp', 'floor-lamp']);
+});
@@ -0,0 +1,164 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import prisma from '../config/db.js';
+import { createOrderRefund } from '../controllers/refundController.js';
+
+const mockResponse = () => {
+  const res = {};
+  res.statusCode = 200;
+  res.body = null;
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (payload) => {
+    res.body = payload;
+    return res;
+  };
+  return res;
+};
+
+// Replace prisma model methods for the duration of fn and restore them afterwards
+const withPrismaStubs = async (stubs, fn) => {
+  const originals = [];
+  for (const [model, methods] of Object.entries(stubs)) {
+    if (typeof methods === 'function') {
+      originals.push([prisma, model, prisma[model]]);
+      prisma[model] = methods;
+      continue;
+    }
+    prisma[model] = prisma[model] || {};
+    for (const [name, impl] of Object.entries(methods)) {
+      originals.push([prisma[model], name, prisma[model][name]]);
+      prisma[model][name] = impl;
+    }
+  }
+
+  try {
+    await fn();
+  } finally {
+    for (const [target, key, original] of originals.reverse()) {
+      target[key] = original;
+    }
+  }
+};
+
+// Paid outside Stripe, so nothing but the balance check stands between two refunds
+const manualOrder = {
+  id: 'order_1',
+  status: 'delivered',
+  paymentStatus: 'paid',
+  paymentIntentId: null,
+  total: '100.00',
+  taxInclusive: false,
+  items: [{ id: 'item_1', productId: 'prod_1', quantity: 2, total: '100.00', discount: '0', tax: '0' }],
+};
+
+const refundRequest = (body) => ({
+  params: { id: 'order_1' },
+  body: { reason: 'Damaged', ...body },
+  user: { id: 'admin_1', role: 'ADMIN' },
+});
+
+test('createOrderRefund rejects amounts that are not positive cents', async () => {
+  for (const amount of ['abc', '-5', 0, '10.005', true, '']) {
+    const res = mockResponse();
+    await createOrderRefund(refundRequest({ amount }), res);
+
+    assert.equal(res.statusCode, 400, `amount ${JSON.stringify(amount)}`);
+    assert.equal(res.body.message, 'Validation error');
+  }
+});
+
+test('concurrent manual refunds cannot together exceed the order total', async () => {
+  const refunds = [];
+  let lock = Promise.resolve();
+  const lockedQueries = [];
+
+  // Each transaction holds the order lock from its FOR UPDATE until it commits
+  const transaction = async (fn) => {
+    let release;
+    const held = new Promise(resolve => {
+      release = resolve;
+    });
+    const previous = lock;
+    lock = lock.then(() => held);
+
+    let acquired = false;
+    const tx = {
+      $queryRaw: async (strings, ...values) => {
+        lockedQueries.push({ sql: strings.join('?'), values });
+        await previous;
+        acquired = true;
+      },
+      refund: {
+        aggregate: async () => ({
+          _sum: { amount: refunds.reduce((sum, refund) => sum + Number(refund.amount), 0) },
+        }),
+        findMany: async () => refunds,
+        create: async ({ data }) => {
+          assert.ok(acquired);
+          const refund = { id: `refund_${refunds.length + 1}`, ...data };
+          refunds.push(refund);
+          return refund;
+        },
+      },
+    };
+
+    try {
+      return await fn(tx);
+    } finally {
+      release();
+    }
+  };
+
+  await withPrismaStubs({
+    order: {
+      findUnique: async () => manualOrder,
+      updateMany: async () => ({ count: 1 }),
+    },
+    refund: {
+      aggregate: async () => ({
+        _sum: { amount: refunds.reduce((sum, refund) => sum + Number(refund.amount), 0) },
+      }),
+    },
+    $transaction: transaction,
+  }, async () => {
+    const responses = [mockResponse(), mockResponse()];
+    await Promise.all([
+      createOrderRefund(refundRequest({ amount: '60' }), responses[0]),
+      createOrderRefund(refundRequest({ amount: '60' }), responses[1]),
+    ]);
+
+    assert.deepEqual(responses.map(res => res.statusCode).sort(), [201, 400]);
+    assert.match(responses.find(res => res.statusCode === 400).body.message, /at most 40/);
+  });
+
+  assert.equal(refunds.length, 1);
+  assert.match(lockedQueries[0].sql, /FOR UPDATE/);
+  assert.deepEqual(lockedQueries[0].values, ['order_1']);
+});
+
+test('line refunds count quantities refunded earlier under the lock', async () => {
+  const refunds = [{ id: 'refund_0', amount: '50.00', items: [{ orderItemId: 'item_1', quantity: 1 }] }];
+
+  await withPrismaStubs({
+    order: {
+      findUnique: async () => manualOrder,
+    },
+    $transaction: async (fn) => fn({
+      $queryRaw: async () => [],
+      refund: {
+        aggregate: async () => ({ _sum: { amount: '50.00' } }),
+        findMany: async () => refunds,
+        create: async () => assert.fail('refund should not be recorded'),
+      },
+    }),
+  }, async () => {
+    const res = mockResponse();
+    await createOrderRefund(refundRequest({ items: [{ orderItemId: 'item_1', quantity: 2 }] }), res);
+
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.message, /Refundable: 1/);
+  });
+});
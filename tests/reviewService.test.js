@@ -0,0 +1,150 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import prisma from '../config/db.js';
+import {
+  buildRatingDistribution,
+  buildReviewFilters,
+  hasVerifiedPurchase,
+  recordReviewVote,
+  refreshProductRating,
+  reviewRatingError,
+  serializeReview,
+  validateReviewPhotos,
+} from '../services/reviewService.js';
+
+const withPrismaStubs = async (stubs, fn) => {
+  const originals = {};
+  for (const [model, methods] of Object.entries(stubs)) {
+    originals[model] = prisma[model];
+    prisma[model] = { ...prisma[model], ...methods };
+  }
+  try {
+    await fn();
+  } finally {
+    Object.assign(prisma, originals);
+  }
+};
+
+test('reviewRatingError accepts whole stars from 1 to 5 only', () => {
+  assert.equal(reviewRatingError(5), null);
+  assert.equal(reviewRatingError('3'), null);
+  assert.ok(reviewRatingError(0));
+  assert.ok(reviewRatingError(4.5));
+  assert.ok(reviewRatingError(undefined));
+});
+
+test('buildRatingDistribution lists every star', () => {
+  assert.deepEqual(buildRatingDistribution([
+    { rating: 5, _count: { _all: 3 } },
+    { rating: 2, _count: { _all: 1 } },
+  ]), { 5: 3, 4: 0, 3: 0, 2: 1, 1: 0 });
+});
+
+test('refreshProductRating counts approved reviews only', async () => {
+  let groupByArgs;
+  let update;
+
+  await withPrismaStubs({
+    review: {
+      groupBy: async (args) => {
+        groupByArgs = args;
+        return [{ rating: 5, _count: { _all: 2 } }, { rating: 2, _count: { _all: 1 } }];
+      },
+    },
+    product: {
+      update: async (args) => {
+        update = args;
+        return {};
+      },
+    },
+  }, async () => {
+    await refreshProductRating('prod_1');
+  });
+
+  assert.deepEqual(groupByArgs.where, { productId: 'prod_1', status: 'approved' });
+  assert.equal(update.data.ratingAverage, 4);
+  assert.equal(update.data.ratingCount, 3);
+  assert.deepEqual(update.data.ratingDistribution, { 5: 2, 4: 0, 3: 0, 2: 1, 1: 0 });
+});
+
+test('hasVerifiedPurchase looks for a delivered order with the product', async () => {
+  let where;
+
+  await withPrismaStubs({
+    orderItem: {
+      count: async (args) => {
+        where = args.where;
+        return 1;
+      },
+    },
+  }, async () => {
+    assert.equal(await hasVerifiedPurchase('user_1', 'prod_1'), true);
+  });
+
+  assert.deepEqual(where, { productId: 'prod_1', order: { userId: 'user_1', status: 'delivered' } });
+});
+
+test('buildReviewFilters keeps approved reviews and applies star and photo filters', () => {
+  assert.deepEqual(buildReviewFilters('prod_1'), { productId: 'prod_1', status: 'approved' });
+  assert.deepEqual(buildReviewFilters('prod_1', { rating: '4,5,9', withPhotos: 'true' }), {
+    productId: 'prod_1',
+    status: 'approved',
+    rating: { in: [4, 5] },
+    photos: { some: {} },
+  });
+});
+
+test('serializeReview turns the loaded vote into myVote', () => {
+  assert.equal(serializeReview({ id: 'rev_1', votes: [{ helpful: false }] }).myVote, 'unhelpful');
+  assert.equal(serializeReview({ id: 'rev_1', votes: [] }).myVote, null);
+  assert.equal('myVote' in serializeReview({ id: 'rev_1' }), false);
+});
+
+test('validateReviewPhotos rejects photos of other users and other reviews', async () => {
+  await withPrismaStubs({
+    reviewPhoto: {
+      findMany: async ({ where }) => [
+        { id: 'photo_1', userId: 'user_1', reviewId: null },
+        { id: 'photo_2', userId: 'user_2', reviewId: null },
+        { id: 'photo_3', userId: 'user_1', reviewId: 'rev_2' },
+      ].filter(photo => where.id.in.includes(photo.id)),
+    },
+  }, async () => {
+    assert.equal(await validateReviewPhotos(['photo_1'], 'user_1'), null);
+    assert.match(await validateReviewPhotos(['photo_1', 'photo_2'], 'user_1'), /not found: photo_2/);
+    assert.match(await validateReviewPhotos(['photo_3'], 'user_1', 'rev_1'), /another review: photo_3/);
+    assert.equal(await validateReviewPhotos(['photo_3'], 'user_1', 'rev_2'), null);
+  });
+});
+
+test('recordReviewVote replaces the previous vote and recounts', async () => {
+  let upsert;
+  let update;
+  const tx = {
+    reviewVote: {
+      upsert: async (args) => {
+        upsert = args;
+      },
+      count: async ({ where }) => (where.helpful ? 3 : 1),
+    },
+    review: {
+      update: async (args) => {
+        update = args;
+        return { id: 'rev_1', ...args.data };
+      },
+    },
+  };
+
+  const originalTransaction = prisma.$transaction;
+  prisma.$transaction = async (fn) => fn(tx);
+  try {
+    const counts = await recordReviewVote('rev_1', 'user_1', true);
+    assert.deepEqual(counts, { id: 'rev_1', helpfulCount: 3, unhelpfulCount: 1 });
+  } finally {
+    prisma.$transaction = originalTransaction;
+  }
+
+  assert.deepEqual(upsert.where, { reviewId_userId: { reviewId: 'rev_1', userId: 'user_1' } });
+  assert.deepEqual(upsert.update, { helpful: true });
+  assert.deepEqual(update.data, { helpfulCount: 3, unhelpfulCount: 1 });
+});
@@ -0,0 +1,50 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeSalePricing, resolveSalePrice, withSalePricing } from '../services/salePriceService.js';
+
+const now = new Date('2026-06-15T12:00:00Z');
+
+test('resolveSalePrice compares a running sale against the regular price', () => {
+  const pricing = resolveSalePrice({ price: '100', salePrice: '75', saleEndsAt: new Date('2026-06-20T00:00:00Z') }, null, now);
+
+  assert.equal(pricing.price.toString(), '75');
+  assert.equal(pricing.regularPrice.toString(), '100');
+  assert.equal(pricing.compareAtPrice.toString(), '100');
+  assert.equal(pricing.onSale, true);
+  assert.deepEqual(pricing.saleEndsAt, new Date('2026-06-20T00:00:00Z'));
+});
+
+test('resolveSalePrice shows an explicit compare-at price only when it is higher', () => {
+  assert.equal(resolveSalePrice({ price: '100', compareAtPrice: '140' }, null, now).compareAtPrice.toString(), '140');
+  assert.equal(resolveSalePrice({ price: '100', compareAtPrice: '90' }, null, now).compareAtPrice, null);
+  assert.equal(resolveSalePrice({ price: '100', salePrice: '80', saleStartsAt: new Date('2026-07-01T00:00:00Z') }, null, now).onSale, false);
+});
+
+test('resolveSalePrice leaves a product without a price unpriced instead of throwing', () => {
+  const pricing = resolveSalePrice({ salePrice: '50' }, null, now);
+
+  assert.equal(pricing.price, null);
+  assert.equal(pricing.onSale, false);
+});
+
+test('withSalePricing resolves every loaded variant', () => {
+  const product = withSalePricing({
+    price: '100',
+    salePrice: '70',
+    variants: [{ price: null }, { price: '120' }],
+  }, now);
+
+  assert.deepEqual(product.variants.map(variant => variant.pricing.price.toString()), ['70', '120']);
+  assert.equal(product.pricing.onSale, true);
+});
+
+test('normalizeSalePricing converts sent fields and reports invalid ones', () => {
+  const { data, errors } = normalizeSalePricing({
+    salePrice: '-5',
+    compareAtPrice: null,
+    saleStartsAt: 'not a date',
+  });
+
+  assert.deepEqual(errors, ['salePrice must be a non-negative number', 'saleStartsAt must be a valid date']);
+  assert.deepEqual(data, { compareAtPrice: null });
+});
@@ -0,0 +1,76 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Prisma } from '@prisma/client';
+import prisma from '../config/db.js';
+import {
+  SEARCH_SETUP_STATEMENTS,
+  searchProductIds,
+  setupSearchIndexes,
+  suggestProducts,
+  toPrefixQuery,
+} from '../services/searchService.js';
+
+// Capture the tagged-template queries sent to $queryRaw and answer with `rows`
+const withQueryRaw = async (rows, fn) => {
+  const queries = [];
+  const original = prisma.$queryRaw;
+  prisma.$queryRaw = async (strings, ...values) => {
+    queries.push(Prisma.sql(strings, ...values));
+    return rows;
+  };
+  try {
+    await fn(queries);
+  } finally {
+    prisma.$queryRaw = original;
+  }
+};
+
+test('toPrefixQuery turns typed words into an AND of prefixes', () => {
+  assert.equal(toPrefixQuery('Brass  lam'), 'brass:* & lam:*');
+  assert.equal(toPrefixQuery("o'neil & co!"), 'oneil:* & co:*');
+  assert.equal(toPrefixQuery('  &! '), '');
+});
+
+test('searchProductIds passes the term as a parameter and keeps the ranked order', async () => {
+  await withQueryRaw([{ id: 'prod_2' }, { id: 'prod_1' }], async (queries) => {
+    const ids = await searchProductIds("brass lamp'; DROP TABLE");
+
+    assert.deepEqual(ids, ['prod_2', 'prod_1']);
+    const [query] = queries;
+    assert.ok(query.values.every(value => value === "brass lamp'; DROP TABLE" || typeof value === 'number'));
+    assert.doesNotMatch(query.text, /DROP TABLE/);
+    assert.match(query.text, /ORDER BY rank DESC, similarity DESC, p\."createdAt" DESC/);
+    assert.match(query.text, /OR p\."name" % \$\d+/);
+  });
+});
+
+test('suggestProducts uses a prefix query and skips the database for empty input', async () => {
+  await withQueryRaw([{ id: 'prod_1', name: 'Brass Lamp' }], async (queries) => {
+    assert.deepEqual(await suggestProducts('!!'), []);
+    assert.equal(queries.length, 0);
+
+    const suggestions = await suggestProducts('bra la', 5);
+    assert.deepEqual(suggestions, [{ id: 'prod_1', name: 'Brass Lamp' }]);
+    assert.ok(queries[0].values.includes('bra:* & la:*'));
+    assert.equal(queries[0].values.at(-1), 5);
+    assert.match(queries[0].text, /p\."deletedAt" IS NULL/);
+  });
+});
+
+test('setupSearchIndexes creates the extension before the indexes that need it', async () => {
+  const statements = [];
+  const original = prisma.$executeRawUnsafe;
+  prisma.$executeRawUnsafe = async (statement) => {
+    statements.push(statement);
+    return 0;
+  };
+  try {
+    await setupSearchIndexes();
+  } finally {
+    prisma.$executeRawUnsafe = original;
+  }
+
+  assert.deepEqual(statements, SEARCH_SETUP_STATEMENTS);
+  assert.match(statements[0], /CREATE EXTENSION IF NOT EXISTS pg_trgm/);
+  assert.ok(statements.slice(1).every(statement => /CREATE INDEX IF NOT EXISTS/.test(statement)));
+});
@@ -0,0 +1,101 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import prisma from '../config/db.js';
+import { buildShippingOptions, getShippingOptions } from '../services/shippingService.js';
+
+const rules = [
+  {
+    id: 'rule_dhaka_std',
+    name: 'Dhaka Standard',
+    method: 'standard',
+    basis: 'flat',
+    countries: ['BD'],
+    regions: ['Dhaka'],
+    baseRate: '60',
+    perUnitRate: '0',
+    freeShippingThreshold: '1000',
+  },
+  {
+    id: 'rule_bd_std',
+    name: 'Bangladesh Standard',
+    method: 'standard',
+    basis: 'weight',
+    countries: ['BD'],
+    regions: [],
+    baseRate: '100',
+    perUnitRate: '20',
+    freeShippingThreshold: null,
+  },
+  {
+    id: 'rule_bd_express',
+    name: 'Bangladesh Express',
+    method: 'express',
+    basis: 'quantity',
+    countries: ['BD'],
+    regions: [],
+    baseRate: '150',
+    perUnitRate: '10',
+    freeShippingThreshold: null,
+    maxUnits: '5',
+  },
+];
+
+test('buildShippingOptions prefers the first rule matching the address region', () => {
+  const options = buildShippingOptions(rules, { country: 'bd', state: 'dhaka' }, {
+    subtotal: '400',
+    totalWeight: '3',
+    totalQuantity: 2,
+  });
+
+  assert.deepEqual(options.map(o => [o.method, o.ruleId, o.cost.toString()]), [
+    ['standard', 'rule_dhaka_std', '60'],
+    ['express', 'rule_bd_express', '170'],
+  ]);
+});
+
+test('buildShippingOptions applies per-zone free shipping and weight rates', () => {
+  const dhaka = buildShippingOptions(rules, { country: 'BD', state: 'Dhaka' }, {
+    subtotal: '1000',
+    totalWeight: '3',
+    totalQuantity: 2,
+  });
+  const chattogram = buildShippingOptions(rules, { country: 'BD', state: 'Chattogram' }, {
+    subtotal: '1000',
+    totalWeight: '2.5',
+    totalQuantity: 2,
+  });
+
+  assert.equal(dhaka[0].freeShippingApplied, true);
+  assert.equal(dhaka[0].cost.toString(), '0');
+  assert.equal(chattogram[0].ruleId, 'rule_bd_std');
+  assert.equal(chattogram[0].cost.toString(), '150');
+});
+
+test('buildShippingOptions omits methods whose unit limits the cart exceeds', () => {
+  const options = buildShippingOptions(rules, { country: 'BD' }, {
+    subtotal: '400',
+    totalWeight: '10',
+    totalQuantity: 6,
+  });
+
+  assert.deepEqual(options.map(o => o.method), ['standard']);
+  assert.equal(buildShippingOptions(rules, { country: 'IN' }, { subtotal: '400', totalWeight: '1', totalQuantity: 1 }).length, 0);
+});
+
+test('getShippingOptions falls back to the flat fee when no rules are configured', async () => {
+  const originalFindMany = prisma.shippingRule.findMany;
+  prisma.shippingRule.findMany = async () => [];
+
+  try {
+    const [option] = await getShippingOptions({ country: 'BD' }, { subtotal: '500', totalWeight: '1', totalQuantity: 1 });
+    assert.equal(option.method, 'standard');
+    assert.equal(option.ruleId, null);
+    assert.equal(option.cost.toString(), '100');
+
+    const [free] = await getShippingOptions({ country: 'BD' }, { subtotal: '1500', totalWeight: '1', totalQuantity: 1 });
+    assert.equal(free.cost.toString(), '0');
+    assert.equal(free.freeShippingApplied, true);
+  } finally {
+    prisma.shippingRule.findMany = originalFindMany;
+  }
+});
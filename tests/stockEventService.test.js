@@ -0,0 +1,40 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  LOW_STOCK_EVENT,
+  RESTOCKED_EVENT,
+  detectStockEvents,
+  lowStockThresholdError,
+} from '../services/stockEventService.js';
+
+const movement = (delta, stockAfter, extra = {}) => ({ productId: 'p1', variantId: null, delta, stockAfter, ...extra });
+
+test('low-stock fires only when a movement crosses the threshold', () => {
+  const thresholds = new Map([['p1', 5]]);
+
+  assert.deepEqual(detectStockEvents([movement(-3, 5)], thresholds), [
+    { name: LOW_STOCK_EVENT, data: { productId: 'p1', variantId: null, stock: 5, threshold: 5 } },
+  ]);
+  // Already below the threshold: no repeat alert on every sale
+  assert.deepEqual(detectStockEvents([movement(-1, 3)], thresholds), []);
+  // Products without a threshold never alert
+  assert.deepEqual(detectStockEvents([movement(-3, 5)], new Map()), []);
+});
+
+test('restock fires when stock comes back above zero', () => {
+  const events = detectStockEvents([movement(4, 4, { variantId: 'v1' }), movement(2, 6)], new Map([['p1', 1]]));
+
+  assert.deepEqual(events, [
+    { name: RESTOCKED_EVENT, data: { productId: 'p1', variantId: 'v1', stock: 4 } },
+  ]);
+});
+
+test('threshold validation accepts non-negative integers and null', () => {
+  assert.equal(lowStockThresholdError(undefined), null);
+  assert.equal(lowStockThresholdError(null), null);
+  assert.equal(lowStockThresholdError(0), null);
+  assert.equal(lowStockThresholdError('10'), null);
+  assert.ok(lowStockThresholdError(-1));
+  assert.ok(lowStockThresholdError(2.5));
+  assert.ok(lowStockThresholdError(''));
+});
@@ -0,0 +1,62 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import prisma from '../config/db.js';
+import { findTaxRate, calculateTax, calculateTaxForAddress } from '../services/taxService.js';
+
+const rates = [
+  { id: 'rate_bd', country: 'BD', region: null, rate: '0.15', inclusive: false, exemptCategoryIds: ['cat_books'] },
+  { id: 'rate_bd_dhaka', country: 'BD', region: 'Dhaka', rate: '0.10', inclusive: false, exemptCategoryIds: [] },
+  { id: 'rate_de', country: 'DE', region: null, rate: '0.19', inclusive: true, exemptCategoryIds: [] },
+];
+
+test('findTaxRate prefers a regional rate over the country-wide rate', () => {
+  assert.equal(findTaxRate(rates, { country: 'BD', state: 'Dhaka' }).id, 'rate_bd_dhaka');
+  assert.equal(findTaxRate(rates, { country: 'bd', state: 'Sylhet' }).id, 'rate_bd');
+  assert.equal(findTaxRate(rates, { country: 'US' }), null);
+});
+
+test('calculateTax adds exclusive tax per line and skips exempt categories', () => {
+  const result = calculateTax(rates[0], [
+    { categoryId: 'cat_lighting', total: '200' },
+    { categoryId: 'cat_books', total: '50' },
+  ]);
+
+  assert.equal(result.taxRateId, 'rate_bd');
+  assert.equal(result.tax.toString(), '30');
+  assert.equal(result.additionalTax.toString(), '30');
+  assert.deepEqual(result.lines.map(line => [line.tax.toString(), line.taxExempt]), [
+    ['30', false],
+    ['0', true],
+  ]);
+});
+
+test('calculateTax extracts inclusive tax without adding to the total', () => {
+  const result = calculateTax(rates[2], [{ categoryId: 'cat_lighting', total: '119' }]);
+
+  assert.equal(result.inclusive, true);
+  assert.equal(result.tax.toString(), '19');
+  assert.equal(result.additionalTax.toString(), '0');
+});
+
+test('calculateTaxForAddress exempts subcategories of an exempt category', async () => {
+  const originals = { taxRate: prisma.taxRate, category: prisma.category };
+  prisma.taxRate = { findMany: async () => [rates[0]] };
+  prisma.category = {
+    findMany: async () => [
+      { id: 'cat_books', parentId: null },
+      { id: 'cat_cookbooks', parentId: 'cat_books' },
+      { id: 'cat_lighting', parentId: null },
+    ],
+  };
+
+  try {
+    const result = await calculateTaxForAddress({ country: 'BD' }, [
+      { categoryId: 'cat_cookbooks', total: '100' },
+      { categoryId: 'cat_lighting', total: '100' },
+    ]);
+    assert.deepEqual(result.lines.map(line => line.taxExempt), [true, false]);
+    assert.equal(result.tax.toString(), '15');
+  } finally {
+    Object.assign(prisma, originals);
+  }
+});
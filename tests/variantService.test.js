@@ -0,0 +1,195 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeVariantInput, resolveVariantPrice, syncProductVariants } from '../services/variantService.js';
+
+const options = [
+  { name: 'Size', values: ['Small', 'Large'] },
+  { name: 'Finish', values: ['Brass', 'Matte Black'] },
+];
+
+test('normalizeVariantInput accepts one variant per option combination', () => {
+  const result = normalizeVariantInput({
+    options,
+    variants: [
+      { sku: 'LAMP-S-BR', stock: 3, options: { Size: 'Small', Finish: 'Brass' } },
+      { sku: 'LAMP-L-BK', stock: '2', price: '149.99', options: { Size: 'Large', Finish: 'Matte Black' } },
+    ],
+  });
+
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.options.map(o => [o.name, o.position]), [['Size', 0], ['Finish', 1]]);
+  assert.equal(result.variants[0].price, null);
+  assert.equal(result.variants[1].price.toString(), '149.99');
+  assert.equal(result.variants[1].stock, 2);
+});
+
+test('normalizeVariantInput rejects unknown values, missing options and duplicate SKUs', () => {
+  const { errors } = normalizeVariantInput({
+    options,
+    variants: [
+      { sku: 'LAMP-S-BR', options: { Size: 'Small', Finish: 'Brass' } },
+      { sku: 'LAMP-S-BR', options: { Size: 'Medium', Finish: 'Brass' } },
+      { sku: 'LAMP-L', options: { Size: 'Large' } },
+    ],
+  });
+
+  assert.deepEqual(errors, [
+    'Duplicate SKU LAMP-S-BR',
+    'Variant LAMP-S-BR has an unknown Size value: Medium',
+    'Variant LAMP-L must choose a value for each option: Size, Finish',
+  ]);
+});
+
+test('normalizeVariantInput rejects negative and non-numeric variant prices', () => {
+  const { errors, variants } = normalizeVariantInput({
+    options,
+    variants: [
+      { sku: 'LAMP-S-BR', price: -5, options: { Size: 'Small', Finish: 'Brass' } },
+      { sku: 'LAMP-S-MB', price: 'abc', options: { Size: 'Small', Finish: 'Matte Black' } },
+      { sku: 'LAMP-L-BR', price: '', options: { Size: 'Large', Finish: 'Brass' } },
+    ],
+  });
+
+  assert.deepEqual(errors, [
+    'Variant LAMP-S-BR price must be a non-negative number',
+    'Variant LAMP-S-MB price must be a non-negative number',
+  ]);
+  assert.equal(variants[2].price, null);
+});
+
+test('resolveVariantPrice falls back to the product price without an override', () => {
+  const product = { price: '120.00' };
+
+  assert.equal(resolveVariantPrice(product, null).toString(), '120');
+  assert.equal(resolveVariantPrice(product, { price: null }).toString(), '120');
+  assert.equal(resolveVariantPrice(product, { price: '95.5' }).toString(), '95.5');
+});
+
+test('resolveVariantPrice applies a running sale and ignores scheduled or ended ones', () => {
+  const now = new Date('2026-06-15T12:00:00Z');
+  const product = {
+    price: '120.00',
+    salePrice: '90.00',
+    saleStartsAt: new Date('2026-06-01T00:00:00Z'),
+    saleEndsAt: new Date('2026-07-01T00:00:00Z'),
+  };
+
+  assert.equal(resolveVariantPrice(product, null, now).toString(), '90');
+  assert.equal(resolveVariantPrice(product, null, new Date('2026-05-31T23:59:59Z')).toString(), '120');
+  assert.equal(resolveVariantPrice(product, null, new Date('2026-07-01T00:00:00Z')).toString(), '120');
+
+  // Variants without their own price inherit the product sale; priced ones do not
+  assert.equal(resolveVariantPrice(product, { price: null }, now).toString(), '90');
+  assert.equal(resolveVariantPrice(product, { price: '150' }, now).toString(), '150');
+  assert.equal(resolveVariantPrice(product, { price: '150', salePrice: '110' }, now).toString(), '110');
+});
+
+test('normalizeVariantInput validates sale fields and leaves unsent ones untouched', () => {
+  const result = normalizeVariantInput({
+    options,
+    variants: [
+      {
+        sku: 'LAMP-S-BR',
+        options: { Size: 'Small', Finish: 'Brass' },
+        salePrice: '80',
+        saleStartsAt: '2026-06-10T00:00:00Z',
+        saleEndsAt: '2026-06-01T00:00:00Z',
+      },
+      { sku: 'LAMP-L-BK', options: { Size: 'Large', Finish: 'Matte Black' } },
+    ],
+  });
+
+  assert.deepEqual(result.errors, ['Variant LAMP-S-BR saleEndsAt must be after saleStartsAt']);
+  assert.equal(result.variants[0].salePrice.toString(), '80');
+  assert.equal('salePrice' in result.variants[1], false);
+});
+
+// In-memory transaction over one product and its variants
+const variantTransaction = ({ productStock, variants }) => {
+  const product = { id: 'prod_1', stock: productStock };
+  const rows = variants.map(variant => ({ productId: 'prod_1', isActive: true, ...variant }));
+  const ledger = [];
+  const matches = (row, where) => (!where.sku?.notIn || !where.sku.notIn.includes(row.sku))
+    && (!where.sku?.in || where.sku.in.includes(row.sku))
+    && (where.isActive === undefined || row.isActive === where.isActive);
+
+  const tx = {
+    productOption: {
+      deleteMany: async () => ({ count: 0 }),
+      createMany: async () => ({ count: 0 }),
+    },
+    product: {
+      findUnique: async () => ({ stock: product.stock }),
+      update: async ({ data }) => Object.assign(product, data),
+    },
+    productVariant: {
+      findMany: async ({ where }) => rows.filter(row => matches(row, where)).map(row => ({ ...row })),
+      updateMany: async ({ where, data }) => {
+        rows.filter(row => matches(row, where)).forEach(row => Object.assign(row, data));
+        return { count: 0 };
+      },
+      update: async ({ where, data }) => Object.assign(rows.find(row => row.id === where.id), data),
+      upsert: async ({ where, update, create }) => {
+        const row = rows.find(candidate => candidate.sku === where.sku);
+        if (row) {
+          Object.entries(update).forEach(([key, value]) => value !== undefined && (row[key] = value));
+          return row;
+        }
+        const created = { id: `var_${rows.length + 1}`, ...create };
+        rows.push(created);
+        return created;
+      },
+      aggregate: async ({ where }) => {
+        const active = rows.filter(row => matches(row, where));
+        return {
+          _sum: { stock: active.reduce((sum, row) => sum + row.stock, 0) },
+          _count: { _all: active.length },
+        };
+      },
+    },
+    inventoryMovement: {
+      createMany: async ({ data }) => {
+        ledger.push(...data);
+        return { count: data.length };
+      },
+    },
+  };
+
+  return { tx, product, ledger };
+};
+
+test('syncProductVariants records every change of the product total in the ledger', async () => {
+  const { tx, product, ledger } = variantTransaction({
+    productStock: 8,
+    variants: [
+      { id: 'var_1', sku: 'LAMP-S-BR', stock: 5, isActive: true },
+      { id: 'var_2', sku: 'LAMP-L-BR', stock: 3, isActive: true },
+    ],
+  });
+
+  await syncProductVariants(tx, 'prod_1', {
+    options: [],
+    variants: [{ sku: 'LAMP-S-BR', stock: 5, isActive: true }],
+  }, { preserveStock: true, userId: 'admin_1' });
+
+  assert.equal(product.stock, 5);
+  assert.deepEqual(ledger.map(entry => [entry.variantId, entry.delta, entry.reason, entry.stockAfter]), [
+    ['var_2', -3, 'adjustment', 0],
+  ]);
+  assert.equal(ledger.reduce((sum, entry) => sum + entry.delta, 0), product.stock - 8);
+});
+
+test('syncProductVariants records product stock replaced by a first set of variants', async () => {
+  const { tx, product, ledger } = variantTransaction({ productStock: 10, variants: [] });
+
+  await syncProductVariants(tx, 'prod_1', {
+    options: [],
+    variants: [{ sku: 'LAMP-S-BR', stock: 4, isActive: true }],
+  });
+
+  assert.equal(product.stock, 4);
+  assert.deepEqual(ledger.map(entry => [entry.variantId, entry.delta, entry.stockAfter]), [
+    ['var_1', 4, 4],
+    [null, -10, 4],
+  ]);
+});